@@ -0,0 +1,316 @@
+// Baselines for --baseline / --diff, shared by every command. Results are
+// matched to baseline entries by file and the normalized text of their line
+// instead of line numbers, with counts per fingerprint, so unrelated edits
+// and moves don't turn known issues into new ones while an extra copy of a
+// known color still shows up.
+
+const crypto = require("node:crypto");
+const { execFileSync } = require("node:child_process");
+const fs = require("node:fs");
+const path = require("node:path");
+const { relativePath } = require("./utils");
+
+const WHITESPACE_RE = /\s+/g;
+const GIT_RENAME_RE = /^R\d*\t([^\t]+)\t([^\t]+)$/;
+const GIT_TIMEOUT_MS = 10_000;
+
+// Format of the baseline file. Files without a version are the `compare`
+// baselines written before other commands supported --baseline.
+const BASELINE_VERSION = 2;
+const TOOL_VERSION = require("../package.json").version;
+
+/**
+ * --baseline / --diff for a command. `spec` is { command, options, fields }:
+ * the command name, the options its results depend on (recorded in the
+ * file) and the fields stored for each result. Saves `results` when
+ * options.baseline is set and returns those not in options.diff (all of
+ * them without --diff), or null after an error.
+ */
+function applyBaseline(results, options, spec) {
+  if (options.baseline) {
+    saveBaseline(results, options.baseline, spec);
+  }
+  return options.diff
+    ? diffAgainstBaseline(results, options.diff, spec, options.renameMap)
+    : results;
+}
+
+/**
+ * Save results as a baseline file: { version, command, toolVersion,
+ * options, commit, entries } with the current git commit (null outside git)
+ * for following renames.
+ */
+function saveBaseline(results, filePath, spec) {
+  const resolved = path.resolve(filePath);
+  const baseDir = path.dirname(resolved);
+  const baseline = {
+    version: BASELINE_VERSION,
+    command: spec.command,
+    toolVersion: TOOL_VERSION,
+    options: spec.options,
+    commit: gitHead(baseDir),
+    entries: baselineEntries(results, baseDir, spec.fields),
+  };
+  fs.writeFileSync(resolved, JSON.stringify(baseline, null, 2), "utf-8");
+  console.log(
+    `Baseline saved: ${baseline.entries.length} entries to ${resolved}`
+  );
+}
+
+/**
+ * Results not in the baseline file, or null after printing an error when
+ * it was saved by another command or in a format this version can't read.
+ * A missing or unparsable file only warns and keeps every result. Files
+ * renamed since the baseline are followed through `renameMap` (--rename-map)
+ * or, when the baseline records a commit, git history.
+ */
+function diffAgainstBaseline(results, baselinePath, spec, renameMap) {
+  const resolved = path.resolve(baselinePath);
+  const baseline = readBaseline(resolved);
+  if (!baseline) {
+    return results;
+  }
+  if (!checkBaseline(baseline, resolved, spec.command)) {
+    process.exitCode = 1;
+    return null;
+  }
+  warnChangedOptions(baseline, spec.options);
+
+  let renames;
+  try {
+    renames = renameMap
+      ? readRenameMap(renameMap)
+      : gitRenames(baseline.commit, path.dirname(resolved));
+  } catch (err) {
+    console.error(
+      `Warning: Could not read rename map ${renameMap}: ${err.message}`
+    );
+    renames = new Map();
+  }
+
+  // Older baselines are a plain array with paths as searched
+  const legacy = Array.isArray(baseline);
+  const newResults = newSinceBaseline(
+    results,
+    legacy ? baseline : baseline.entries || [],
+    {
+      baseDir: legacy ? process.cwd() : path.dirname(resolved),
+      renames,
+    }
+  );
+  console.log(
+    `Diff: ${newResults.length} new issues (${results.length - newResults.length} already in baseline)\n`
+  );
+  return newResults;
+}
+
+function readBaseline(resolved) {
+  if (!fs.existsSync(resolved)) {
+    console.error(
+      `Warning: Baseline file not found: ${resolved}. Showing all results.`
+    );
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(resolved, "utf-8"));
+  } catch {
+    console.error(
+      "Warning: Could not parse baseline file. Showing all results."
+    );
+    return null;
+  }
+}
+
+/**
+ * Whether a baseline can be diffed by `command`; prints the error if not.
+ */
+function checkBaseline(baseline, file, command) {
+  const version = baseline.version ?? 1;
+  if (!Number.isInteger(version) || version < 1 || version > BASELINE_VERSION) {
+    const savedBy = baseline.toolVersion
+      ? ` (saved by hardcode-replacer ${baseline.toolVersion})`
+      : "";
+    console.error(
+      `Error: ${file} is in baseline format ${version}${savedBy}, but hardcode-replacer ${TOOL_VERSION} reads formats 1-${BASELINE_VERSION}. Save a new baseline with --baseline.`
+    );
+    return false;
+  }
+  const saved = baseline.command ?? "compare";
+  if (saved !== command) {
+    console.error(
+      `Error: ${file} is a baseline for \`${saved}\`, not \`${command}\`. Save one with \`hardcode-replacer ${command} --baseline <file>\`.`
+    );
+    return false;
+  }
+  return true;
+}
+
+function warnChangedOptions(baseline, options) {
+  if (!baseline.options) {
+    return;
+  }
+  const changed = Object.keys(options).filter(
+    (key) =>
+      JSON.stringify(baseline.options[key]) !== JSON.stringify(options[key])
+  );
+  if (changed.length > 0) {
+    console.error(
+      `Warning: Baseline was saved with different options (${changed.join(", ")}). New issues may include results those options left out.`
+    );
+  }
+}
+
+/**
+ * Fingerprint of a result: a hash of its value and trimmed, whitespace-
+ * collapsed line text (`lineText`, or `text`/`context` for results that
+ * keep the line there). Copies on identical lines share a fingerprint.
+ */
+function fingerprint(result) {
+  const text = (result.lineText ?? result.text ?? result.context ?? "")
+    .trim()
+    .replace(WHITESPACE_RE, " ");
+  return crypto
+    .createHash("sha1")
+    .update(`${result.value.toLowerCase()}\n${text}`)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Baseline entries for results: `fields(result)` plus `fingerprint` and
+ * `occurrence` (the index among results with that fingerprint in the same
+ * file). Files are stored relative to `baseDir`, the baseline's directory.
+ */
+function baselineEntries(results, baseDir, fields) {
+  const seen = new Map();
+  return sortByPosition(results).map((r) => {
+    const file = relativePath(baseDir, r.file);
+    const print = fingerprint(r);
+    const key = `${file}\n${print}`;
+    const occurrence = seen.get(key) || 0;
+    seen.set(key, occurrence + 1);
+    return { ...fields(r), file, fingerprint: print, occurrence };
+  });
+}
+
+/**
+ * Results not covered by the baseline. Each fingerprint in a file allows as
+ * many results as the baseline has entries for it, in position order, so
+ * "two allowed, three found" leaves the last one as new. Baseline files
+ * (relative to `baseDir`) are followed through `renames` (absolute old path
+ * -> absolute new path). Entries without a fingerprint, from older
+ * baselines, match any result with the same file, value and hex.
+ */
+function newSinceBaseline(results, entries, { baseDir, renames = new Map() }) {
+  const allowed = new Map();
+  const legacy = new Set();
+  for (const entry of entries) {
+    const absolute = path.resolve(baseDir, entry.file);
+    const file = renames.get(absolute) || absolute;
+    if (entry.fingerprint) {
+      const key = `${file}\n${entry.fingerprint}`;
+      allowed.set(key, (allowed.get(key) || 0) + 1);
+    } else {
+      legacy.add(`${file}:${entry.value}:${entry.hex}`);
+    }
+  }
+
+  const found = new Map();
+  const fresh = new Set();
+  for (const r of sortByPosition(results)) {
+    const file = path.resolve(r.file);
+    if (legacy.has(`${file}:${r.value}:${r.hex}`)) {
+      continue;
+    }
+    const key = `${file}\n${fingerprint(r)}`;
+    const count = (found.get(key) || 0) + 1;
+    found.set(key, count);
+    if (count > (allowed.get(key) || 0)) {
+      fresh.add(r);
+    }
+  }
+  return results.filter((r) => fresh.has(r));
+}
+
+function sortByPosition(results) {
+  return [...results].sort(
+    (a, b) =>
+      a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column
+  );
+}
+
+/**
+ * Current git commit of the repository containing `dir`, or null.
+ */
+function gitHead(dir) {
+  return git(["rev-parse", "HEAD"], dir)?.trim() || null;
+}
+
+/**
+ * Files renamed since `commit` (committed or in the working tree), as
+ * absolute old path -> absolute new path. Empty when git or the commit is
+ * not available.
+ */
+function gitRenames(commit, dir) {
+  const renames = new Map();
+  const root = commit ? git(["rev-parse", "--show-toplevel"], dir) : null;
+  const output = root
+    ? git(["diff", "--name-status", "-M", commit, "--"], dir)
+    : null;
+  for (const line of output ? output.split("\n") : []) {
+    const match = line.match(GIT_RENAME_RE);
+    if (match) {
+      renames.set(
+        path.resolve(root.trim(), match[1]),
+        path.resolve(root.trim(), match[2])
+      );
+    }
+  }
+  return renames;
+}
+
+function git(args, dir) {
+  try {
+    return execFileSync("git", args, {
+      cwd: dir,
+      encoding: "utf-8",
+      stdio: ["ignore", "pipe", "ignore"],
+      timeout: GIT_TIMEOUT_MS,
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a --rename-map file: JSON { "old/path": "new/path" } with paths
+ * relative to the map file. Returns absolute old path -> absolute new path.
+ * Throws if the file cannot be read or is not such an object.
+ */
+function readRenameMap(mapPath) {
+  const resolved = path.resolve(mapPath);
+  const map = JSON.parse(fs.readFileSync(resolved, "utf-8"));
+  if (!map || typeof map !== "object" || Array.isArray(map)) {
+    throw new Error("expected an object of old path -> new path");
+  }
+  const dir = path.dirname(resolved);
+  return new Map(
+    Object.entries(map).map(([from, to]) => [
+      path.resolve(dir, from),
+      path.resolve(dir, String(to)),
+    ])
+  );
+}
+
+module.exports = {
+  BASELINE_VERSION,
+  applyBaseline,
+  saveBaseline,
+  diffAgainstBaseline,
+  fingerprint,
+  baselineEntries,
+  newSinceBaseline,
+  gitHead,
+  gitRenames,
+  readRenameMap,
+};
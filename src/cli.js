@@ -3,11 +3,17 @@ const { findColors } = require("./commands/find-colors");
 const { findTailwind } = require("./commands/find-tailwind");
 const { compareVars } = require("./commands/compare-vars");
 const { findPatterns } = require("./commands/find-patterns");
+const { extractTokens } = require("./commands/extract");
+const { paletteCluster } = require("./commands/palette-cluster");
+const { auditPalette } = require("./commands/audit-palette");
+const { tokenUsage } = require("./commands/token-usage");
+const { revert } = require("./commands/revert");
+const { DEFAULT_JOURNAL } = require("./fix-journal");
 const { loadConfig, mergeOptions } = require("./config");
 const { getSchema } = require("./output-schemas");
 
 // Helper for repeatable options (--exclude can be used multiple times)
-function collect(val, arr) {
+function collect(val, arr = []) {
   arr.push(val);
   return arr;
 }
@@ -24,8 +30,13 @@ program
       "Commands:\n" +
       "  colors    Find all hardcoded color values (hex, rgb, hsl, oklch, named)\n" +
       "  compare   Compare found colors against a variables file, get replacements\n" +
+      "  extract   Turn unmatched colors into new tokens (CSS, SCSS, DTCG, @theme)\n" +
+      "  palette-cluster  Group all colors into perceptual clusters for a minimal palette\n" +
+      "  audit-palette    Find duplicate, unreachable and out-of-order palette tokens\n" +
+      "  token-usage      Count references to each palette token, list unused ones\n" +
       "  tailwind  Find Tailwind color utility classes and arbitrary values\n" +
-      "  patterns  Find repeated className/cn()/clsx() patterns for extraction\n\n" +
+      "  patterns  Find repeated className/cn()/clsx() patterns for extraction\n" +
+      "  revert    Undo the edits of a --fix run from its journal\n\n" +
       "Quick start:\n" +
       "  $ hardcode-replacer colors src/\n" +
       "  $ hardcode-replacer compare src/ --vars styles/variables.css\n" +
@@ -67,10 +78,28 @@ TYPICAL WORKFLOW
   1. Scan:      hardcode-replacer colors src/
   2. Compare:   hardcode-replacer compare src/ --vars styles/theme.css
   3. Auto-fix:  hardcode-replacer compare src/ --vars styles/theme.css --fix
-  4. Baseline:  hardcode-replacer compare src/ --vars styles/theme.css --baseline .hcr-baseline.json
-  5. Diff:      hardcode-replacer compare src/ --vars styles/theme.css --diff .hcr-baseline.json
-  6. Tailwind:  hardcode-replacer tailwind src/ --vars styles/theme.css
-  7. Patterns:  hardcode-replacer patterns src/ --min-count 3
+                (add --dry-run to preview the edits as a unified diff,
+                 --fix-close 1 to include near-exact close matches;
+                 undo with: hardcode-replacer revert)
+  4. Review:    hardcode-replacer compare src/ --vars styles/theme.css --interactive
+                (close and unmatched colors one by one; ignored ones are
+                 saved to the config file)
+  5. Baseline:  hardcode-replacer compare src/ --vars styles/theme.css --baseline .hcr-baseline.json
+  6. Diff:      hardcode-replacer compare src/ --vars styles/theme.css --diff .hcr-baseline.json
+                (colors, tailwind and patterns take --baseline/--diff too;
+                 a baseline only diffs against the command that saved it)
+  7. Extract:   hardcode-replacer extract src/ --vars styles/theme.css --out styles/extracted.css
+                (unmatched colors as new, merged tokens; --fix also
+                 replaces the colors with them)
+  8. Clusters:  hardcode-replacer palette-cluster src/ --threshold 5 --out palette.css
+                (a legacy app's hundreds of colors as a minimal palette)
+  9. Audit:     hardcode-replacer audit-palette --vars styles/theme.css
+                (near-duplicate and unreachable tokens, uneven shade ramps)
+  10. Usage:    hardcode-replacer token-usage src/ --vars styles/theme.css --unused
+                (tokens nothing references, to delete dead ones)
+  11. Tailwind: hardcode-replacer tailwind src/ --vars styles/theme.css
+                (--fix rewrites exact bg-[#hex] matches to theme classes)
+  12. Patterns: hardcode-replacer patterns src/ --min-count 3
 
 CONTEXT CLASSIFICATION
   Every found color is classified into one of these categories:
@@ -83,11 +112,17 @@ CONTEXT CLASSIFICATION
   GENERATED           — Template-generated code
   META/MANIFEST       — Browser-level meta tags (no CSS var support)
   EFFECT              — Pure black/white with alpha (intentional)
+  IGNORED             — Listed in the config file's "ignore" (--interactive)
 
   Detection is automatic based on file imports, file paths, and line content.
 
 COLOR MATCHING
-  Colors are matched using CIE76 Delta-E perceptual distance:
+  Colors are matched using Delta-E perceptual distance (--metric):
+    cie76      — Euclidean distance in CIELAB (default)
+    cie94      — CIELAB weighted for chroma and hue
+    ciede2000  — Current CIE standard, best for near-grays and blues
+    oklab      — Euclidean distance in OKLab, scaled x100
+
     0      — Identical
     < 1    — Imperceptible
     1-2    — Close (same intended color)
@@ -95,17 +130,48 @@ COLOR MATCHING
     > 10   — Different color
 
   Default threshold: 10. Use --threshold 5 for stricter matching.
+  Strict CI gates: --metric ciede2000 --threshold 2
 
 REPLACEMENT SYNTAX
   Exact match (opaque):   var(--primary-500)
   Exact match (with alpha): color-mix(in srgb, var(--primary-500) 40%, transparent)
+  Translucent token:      var(--overlay-success)  (token has the same alpha)
+  SCSS/Less variable:     $brand, map.get($colors, primary), @brand in .scss/.less
+                          files (rgba($brand, 0.4) / fade(@brand, 40%) with alpha)
+  JS/TS theme token:      theme.colors.emerald[500] in JS/TS files (--js-ref
+                          "theme.{path}"), replacing the whole string literal
+  CSS variable in JS/TS:  tokens.colorPrimary for '#10b981' with --js-template
+                          "tokens.{name}" ({tokens.colorPrimary} in JSX
+                          attributes); --fix applies JS references with
+                          --js-import "import { tokens } from '@/design/tokens'"
+  tailwind.config color:  theme('colors.brand.500') in stylesheets, bg-brand-500
+                          (from bg-[#hex] or the property) elsewhere
+  Tailwind v4 @theme:     bg-primary inside bg-[#hex], var(--color-primary)
+                          elsewhere (the @theme entry point is the default --vars)
   Close match: Same as exact, but review the delta-E distance first
-  Unmatched: A suggested variable name is provided (e.g., --color-red-700)
+  Unmatched: A suggested variable name is provided (e.g., --color-red-700);
+             extract turns them into tokens with unique names
 
 SUPPORTED FORMATS
   Color values:    hex, rgb, rgba, hsl, hsla, oklch, oklab, lch, lab, hwb, color(), named
   Modern syntax:   rgb(255 0 0 / 50%), hsl(360 100% 50% / 0.5)
-  Variable files:  CSS custom properties, JSON (nested), JS/TS exports
+  Variable files:  CSS custom properties, JSON (nested), JS/TS theme modules,
+                   W3C design tokens (DTCG: $value, $type, {alias} references),
+                   SCSS $variables and maps, Less @variables,
+                   tailwind.config.js theme.colors / theme.extend.colors,
+                   Tailwind v4 @theme blocks (inline, static, --color-*: initial)
+  DTCG names:      color.brand.primary -> --color-brand-primary; change the
+                   naming with --token-name "--ds-{path}" ({path}, {name})
+  Several files:   --vars primitives.css --vars semantic.css (later files win;
+                   conflicting definitions are listed, matches show file:line)
+
+THEMES
+  CSS variables files are split into theme palettes:
+    :root, html                            — default theme
+    .dark, [data-theme="dark"]             — dark theme
+    @media (prefers-color-scheme: dark)    — dark theme
+  compare matches every theme and notes tokens that only match in one
+  (e.g. "| dark: --surface"). Use --theme dark to match one theme only.
   Class patterns:  className="...", class="...", cn(), clsx(), twMerge(), cva()
 
 CONFIG FILE
@@ -113,7 +179,8 @@ CONFIG FILE
   {
     "exclude": ["**/*.test.*"],
     "vars": "src/styles/variables.css",
-    "threshold": 10
+    "threshold": 10,
+    "metric": "ciede2000"
   }
 
 FOR AI ASSISTANTS
@@ -149,6 +216,12 @@ program
   )
   .option("--format <format>", "Output format: text or json", "text")
   .option("--no-named", "Skip named CSS color detection (red, blue, etc.)")
+  .option("--baseline <file>", "Save results to a baseline JSON file")
+  .option("--diff <file>", "Show only new issues vs a previous baseline")
+  .option(
+    "--rename-map <file>",
+    'With --diff, JSON { "old/path": "new/path" } of renamed files (default: git renames since the baseline)'
+  )
   .action((paths, opts) => {
     const config = loadConfig(paths[0] || ".");
     findColors(paths, mergeOptions(opts, config));
@@ -169,13 +242,45 @@ program
   .option("--format <format>", "Output format: text or json", "text")
   .option(
     "--vars <file>",
-    "Compare arbitrary values (bg-[#hex]) against a palette"
+    "Compare arbitrary values (bg-[#hex]) against a palette (repeatable)",
+    collect
   )
   .option(
     "--threshold <number>",
     "Delta-E threshold for arbitrary value matching",
     "10"
   )
+  .option(
+    "--metric <name>",
+    "Distance metric: cie76, cie94, ciede2000, or oklab",
+    "cie76"
+  )
+  .option(
+    "--token-name <template>",
+    "CSS variable name for DTCG token paths, e.g. --ds-{path} (default: --{path})"
+  )
+  .option(
+    "--js-ref <template>",
+    "Reference for JS/TS theme tokens, e.g. theme.{path} (default: {path})"
+  )
+  .option(
+    "--fix",
+    "Replace arbitrary classes that exactly match a palette color with its theme utility"
+  )
+  .option(
+    "--dry-run",
+    "With --fix, print a unified diff (or JSON edits) instead of writing"
+  )
+  .option(
+    "--journal <file>",
+    `Undo journal for --fix edits (default: ${DEFAULT_JOURNAL})`
+  )
+  .option("--baseline <file>", "Save results to a baseline JSON file")
+  .option("--diff <file>", "Show only new issues vs a previous baseline")
+  .option(
+    "--rename-map <file>",
+    'With --diff, JSON { "old/path": "new/path" } of renamed files (default: git renames since the baseline)'
+  )
   .action((paths, opts) => {
     const config = loadConfig(paths[0] || ".");
     findTailwind(paths, mergeOptions(opts, config));
@@ -188,15 +293,41 @@ program
     "Compare colors against a variables file — get exact replacement code"
   )
   .argument("[paths...]", "Paths to search for hardcoded colors", ["."])
-  .requiredOption(
+  .option(
     "--vars <file>",
-    "Path to variables file (CSS, JSON, JS, or TS)"
+    "Path to variables file: CSS, SCSS, Less, JSON, JS, or TS (repeatable, later files win; defaults to the Tailwind v4 @theme entry point)",
+    collect
   )
   .option(
     "--threshold <number>",
     'Delta-E threshold for "close" match (default: 10)',
     "10"
   )
+  .option(
+    "--metric <name>",
+    "Distance metric: cie76, cie94, ciede2000, or oklab",
+    "cie76"
+  )
+  .option(
+    "--token-name <template>",
+    "CSS variable name for DTCG token paths, e.g. --ds-{path} (default: --{path})"
+  )
+  .option(
+    "--js-ref <template>",
+    "Reference for JS/TS theme tokens, e.g. theme.{path} (default: {path})"
+  )
+  .option(
+    "--js-template <template>",
+    "Reference for CSS variables replacing whole JS/TS string literals, e.g. tokens.{name} ({name} camelCased, {var} as is)"
+  )
+  .option(
+    "--js-import <statement>",
+    "Import that --fix adds where it writes a JS reference, e.g. \"import { tokens } from '@/design/tokens'\" (JS references are only fixed with it)"
+  )
+  .option(
+    "--theme <name>",
+    "Only match against one theme of the variables file (e.g. dark)"
+  )
   .option("--include <glob>", "File glob pattern to include")
   .option(
     "--exclude <glob...>",
@@ -204,13 +335,246 @@ program
     collect,
     []
   )
+  .option("--no-named", "Skip named CSS color detection (red, blue, etc.)")
+  .option(
+    "--learn",
+    "Learn which properties each token family is used for from existing references and prefer matching tokens"
+  )
   .option("--format <format>", "Output format: text or json", "text")
   .option("--fix", "Auto-replace exact matches with var() / color-mix()")
+  .option(
+    "--fix-close <maxDeltaE>",
+    "With --fix, also replace close matches up to this delta-E (skipped when another token color is within 0.5)"
+  )
+  .option(
+    "--interactive",
+    "Review close and unmatched colors one by one: accept, pick a token, skip, or ignore"
+  )
+  .option(
+    "--dry-run",
+    "With --fix or --interactive, print a unified diff (or JSON edits) instead of writing"
+  )
+  .option(
+    "--journal <file>",
+    `Undo journal for --fix edits (default: ${DEFAULT_JOURNAL})`
+  )
   .option("--baseline <file>", "Save results to a baseline JSON file")
   .option("--diff <file>", "Show only new issues vs a previous baseline")
+  .option(
+    "--rename-map <file>",
+    'With --diff, JSON { "old/path": "new/path" } of renamed files (default: git renames since the baseline)'
+  )
+  .action((paths, opts) => {
+    const config = loadConfig(paths[0] || ".");
+    return compareVars(paths, mergeOptions(opts, config));
+  });
+
+// === extract command ===
+program
+  .command("extract")
+  .description(
+    "Generate tokens for unmatched colors, merging perceptually identical ones"
+  )
+  .argument("[paths...]", "Paths to search for hardcoded colors", ["."])
+  .option(
+    "--vars <file>",
+    "Existing variables file(s), as for compare (repeatable; defaults to the Tailwind v4 @theme entry point)",
+    collect
+  )
+  .option(
+    "--threshold <number>",
+    "Delta-E threshold for colors the palette already covers",
+    "10"
+  )
+  .option(
+    "--metric <name>",
+    "Distance metric: cie76, cie94, ciede2000, or oklab",
+    "cie76"
+  )
+  .option(
+    "--merge <deltaE>",
+    "Merge colors within this delta-E into one token (default: 2)"
+  )
+  .option(
+    "--syntax <syntax>",
+    "Definitions as css, scss, dtcg or tailwind (v4 @theme); default from --out (.scss, .json), else css"
+  )
+  .option("--out <file>", "Write the definitions to this new file")
+  .option(
+    "--token-name <template>",
+    "CSS variable name for DTCG token paths, e.g. --ds-{path} (default: --{path})"
+  )
+  .option(
+    "--js-ref <template>",
+    "Reference for JS/TS theme tokens, e.g. theme.{path} (default: {path})"
+  )
+  .option(
+    "--js-template <template>",
+    "Reference for the new tokens in JS/TS string literals, e.g. tokens.{name}"
+  )
+  .option(
+    "--js-import <statement>",
+    "Import that --fix adds where it writes a JS reference"
+  )
+  .option(
+    "--theme <name>",
+    "Only match against one theme of the variables file (e.g. dark)"
+  )
+  .option("--include <glob>", "File glob pattern to include")
+  .option(
+    "--exclude <glob...>",
+    "File glob patterns to exclude (repeatable)",
+    collect,
+    []
+  )
+  .option("--no-named", "Skip named CSS color detection (red, blue, etc.)")
+  .option("--format <format>", "Output format: text or json", "text")
+  .option(
+    "--fix",
+    "With --out, also replace the colors with references to the new tokens"
+  )
+  .option(
+    "--dry-run",
+    "With --fix, print a unified diff (or JSON edits) instead of writing"
+  )
+  .option(
+    "--journal <file>",
+    `Undo journal for --fix edits (default: ${DEFAULT_JOURNAL})`
+  )
+  .action((paths, opts) => {
+    const config = loadConfig(paths[0] || ".");
+    extractTokens(paths, mergeOptions(opts, config));
+  });
+
+// === palette-cluster command ===
+program
+  .command("palette-cluster")
+  .description(
+    "Group actionable colors into perceptual clusters to propose a minimal palette"
+  )
+  .argument("[paths...]", "Paths to search for hardcoded colors", ["."])
+  .option(
+    "--threshold <number>",
+    "Largest delta-E between two colors of a cluster (default: 10)"
+  )
+  .option(
+    "--clusters <n>",
+    "Merge until this many clusters remain (instead of --threshold)"
+  )
+  .option(
+    "--metric <name>",
+    "Distance metric: cie76, cie94, ciede2000, or oklab",
+    "cie76"
+  )
+  .option(
+    "--out <file>",
+    "Write the cluster representatives as a starting palette to this new file"
+  )
+  .option(
+    "--syntax <syntax>",
+    "Palette as css, scss, dtcg or tailwind (v4 @theme); default from --out (.scss, .json), else css"
+  )
+  .option("--include <glob>", "File glob pattern to include")
+  .option(
+    "--exclude <glob...>",
+    "File glob patterns to exclude (repeatable)",
+    collect,
+    []
+  )
+  .option("--no-named", "Skip named CSS color detection (red, blue, etc.)")
+  .option("--format <format>", "Output format: text or json", "text")
   .action((paths, opts) => {
     const config = loadConfig(paths[0] || ".");
-    compareVars(paths, mergeOptions(opts, config));
+    paletteCluster(paths, mergeOptions(opts, config));
+  });
+
+// === audit-palette command ===
+program
+  .command("audit-palette")
+  .description(
+    "Report near-duplicate, unreachable and out-of-order tokens of a palette"
+  )
+  .argument(
+    "[paths...]",
+    "Paths to search for a Tailwind v4 @theme entry point without --vars",
+    ["."]
+  )
+  .option(
+    "--vars <file>",
+    "Variables file(s) to audit, as for compare (repeatable; defaults to the Tailwind v4 @theme entry point)",
+    collect
+  )
+  .option(
+    "--near <number>",
+    "Report different tokens within this delta-E (default: 2)"
+  )
+  .option(
+    "--hue-jump <degrees>",
+    "Report hue turns larger than this between neighboring shades (default: 30)"
+  )
+  .option(
+    "--metric <name>",
+    "Distance metric: cie76, cie94, ciede2000, or oklab",
+    "cie76"
+  )
+  .option(
+    "--token-name <template>",
+    "CSS variable name for DTCG token paths, e.g. --ds-{path} (default: --{path})"
+  )
+  .option(
+    "--js-ref <template>",
+    "Reference for JS/TS theme tokens, e.g. theme.{path} (default: {path})"
+  )
+  .option("--theme <name>", "Only audit one theme of the variables file")
+  .option("--format <format>", "Output format: text or json", "text")
+  .action((paths, opts) => {
+    const config = loadConfig(paths[0] || ".");
+    auditPalette(paths, mergeOptions(opts, config));
+  });
+
+// === token-usage command ===
+program
+  .command("token-usage")
+  .description(
+    "Count references to each palette token in source and list unused tokens"
+  )
+  .argument("[paths...]", "Paths to search for token references", ["."])
+  .option(
+    "--vars <file>",
+    "Variables file(s), as for compare (repeatable; defaults to the Tailwind v4 @theme entry point)",
+    collect
+  )
+  .option("--unused", "Only list tokens with no references")
+  .option(
+    "--token-name <template>",
+    "CSS variable name for DTCG token paths, e.g. --ds-{path} (default: --{path})"
+  )
+  .option(
+    "--js-ref <template>",
+    "Reference for JS/TS theme tokens, e.g. theme.{path} (default: {path})"
+  )
+  .option("--theme <name>", "Only report the tokens of one theme")
+  .option("--include <glob>", "File glob pattern to include")
+  .option(
+    "--exclude <glob...>",
+    "File glob patterns to exclude (repeatable)",
+    collect,
+    []
+  )
+  .option("--format <format>", "Output format: text or json", "text")
+  .action((paths, opts) => {
+    const config = loadConfig(paths[0] || ".");
+    tokenUsage(paths, mergeOptions(opts, config));
+  });
+
+// === revert command ===
+program
+  .command("revert")
+  .description("Undo the edits recorded in a --fix journal")
+  .argument("[journal]", "Journal file written by --fix", DEFAULT_JOURNAL)
+  .option("--format <format>", "Output format: text or json", "text")
+  .action((journal, opts) => {
+    revert(journal, opts);
   });
 
 // === patterns command ===
@@ -232,6 +596,12 @@ program
     []
   )
   .option("--format <format>", "Output format: text or json", "text")
+  .option("--baseline <file>", "Save results to a baseline JSON file")
+  .option("--diff <file>", "Show only new issues vs a previous baseline")
+  .option(
+    "--rename-map <file>",
+    'With --diff, JSON { "old/path": "new/path" } of renamed files (default: git renames since the baseline)'
+  )
   .action((paths, opts) => {
     const config = loadConfig(paths[0] || ".");
     findPatterns(paths, mergeOptions(opts, config));
@@ -239,7 +609,17 @@ program
 
 // Handle --output-schema before parse to bypass required-option validation
 if (process.argv.includes("--output-schema")) {
-  const commands = ["colors", "tailwind", "compare", "patterns"];
+  const commands = [
+    "colors",
+    "tailwind",
+    "compare",
+    "extract",
+    "palette-cluster",
+    "audit-palette",
+    "token-usage",
+    "patterns",
+    "revert",
+  ];
   const cmdName = process.argv.find((arg) => commands.includes(arg));
   if (cmdName) {
     const schema = getSchema(cmdName);
@@ -255,4 +635,4 @@ if (process.argv.includes("--output-schema")) {
   process.exit(0);
 }
 
-program.parse();
+program.parseAsync();
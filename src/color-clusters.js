@@ -0,0 +1,145 @@
+// Perceptual clustering for `palette-cluster`: complete-linkage
+// agglomerative clustering, so every two colors in a cluster are within the
+// cluster's merge distance of each other, built with the nearest-neighbor
+// chain algorithm (O(n^2) time and memory for n distinct colors).
+
+const { colorDistance, parseColor } = require("./color-utils");
+
+/**
+ * Cluster colors ([{ hex, weight }], weight being the usage count).
+ * Clusters merge while their farthest pair of colors is within `threshold`,
+ * or, with `count`, until that many clusters remain. Returns
+ * [{ members, representative, spread }] with member indices into `colors`,
+ * the medoid (the member with the lowest usage-weighted distance to the
+ * others) and its largest distance to a member, heaviest cluster first.
+ */
+function clusterColors(colors, { metric, threshold, count }) {
+  const n = colors.length;
+  const rgb = colors.map((c) => parseColor(c.hex));
+  const distances = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const d = colorDistance(rgb[i], rgb[j], metric);
+      distances[i * n + j] = d;
+      distances[j * n + i] = d;
+    }
+  }
+  const distance = (i, j) => distances[i * n + j];
+
+  const merges = nearestNeighborChain(distances.slice(), n).sort(
+    (a, b) => a.distance - b.distance
+  );
+  const limit =
+    count == null
+      ? merges.filter((m) => m.distance <= threshold).length
+      : Math.max(0, n - count);
+  const parent = Array.from({ length: n }, (_, i) => i);
+  const find = (i) => {
+    let root = i;
+    while (parent[root] !== root) {
+      parent[root] = parent[parent[root]];
+      root = parent[root];
+    }
+    return root;
+  };
+  for (const { a, b } of merges.slice(0, limit)) {
+    parent[find(a)] = find(b);
+  }
+
+  const groups = new Map();
+  for (let i = 0; i < n; i++) {
+    const root = find(i);
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(i);
+  }
+  const weight = (members) =>
+    members.reduce((sum, i) => sum + colors[i].weight, 0);
+  return [...groups.values()]
+    .map((members) => {
+      const representative = medoid(members, colors, distance);
+      const spread = Math.max(
+        ...members.map((i) => distance(representative, i))
+      );
+      return { members, representative, spread };
+    })
+    .sort((a, b) => weight(b.members) - weight(a.members));
+}
+
+/**
+ * Complete-linkage merges of n points, given their distance matrix
+ * (overwritten with cluster distances): [{ a, b, distance }] where a and b
+ * are points of the two clusters merged.
+ */
+function nearestNeighborChain(distances, n) {
+  const active = new Array(n).fill(true);
+  const merges = [];
+  const chain = [];
+  let remaining = n;
+  while (remaining > 1) {
+    if (chain.length === 0) {
+      chain.push(active.indexOf(true));
+    }
+    const a = chain.at(-1);
+    const previous = chain.length > 1 ? chain.at(-2) : -1;
+    const { nearest, best } = nearestActive(distances, n, active, a, previous);
+    if (nearest !== previous) {
+      chain.push(nearest);
+      continue;
+    }
+
+    // a and its predecessor are each other's nearest: merge a into it
+    chain.splice(-2);
+    merges.push({ a, b: nearest, distance: best });
+    for (let k = 0; k < n; k++) {
+      if (active[k] && k !== a && k !== nearest) {
+        const d = Math.max(distances[nearest * n + k], distances[a * n + k]);
+        distances[nearest * n + k] = d;
+        distances[k * n + nearest] = d;
+      }
+    }
+    active[a] = false;
+    remaining--;
+  }
+  return merges;
+}
+
+/**
+ * Nearest active cluster to `a`; ties go to `previous` (the chain's
+ * predecessor), which keeps the chain from cycling.
+ */
+function nearestActive(distances, n, active, a, previous) {
+  let nearest = -1;
+  let best = Number.POSITIVE_INFINITY;
+  for (let k = 0; k < n; k++) {
+    const d = distances[a * n + k];
+    if (
+      active[k] &&
+      k !== a &&
+      (nearest === -1 || d < best || (d === best && k === previous))
+    ) {
+      nearest = k;
+      best = d;
+    }
+  }
+  return { nearest, best };
+}
+
+function medoid(members, colors, distance) {
+  let best = members[0];
+  let bestCost = Number.POSITIVE_INFINITY;
+  for (const i of members) {
+    const cost = members.reduce(
+      (sum, j) => sum + colors[j].weight * distance(i, j),
+      0
+    );
+    if (cost < bestCost) {
+      best = i;
+      bestCost = cost;
+    }
+  }
+  return best;
+}
+
+module.exports = { clusterColors };
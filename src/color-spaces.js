@@ -0,0 +1,235 @@
+// CSS Color 4 color space conversions.
+// Matrices and transfer functions follow the sample code in the
+// CSS Color Module Level 4 specification (https://www.w3.org/TR/css-color-4/).
+
+// CIE D50 white point, used by lab(), lch(), prophoto-rgb and xyz-d50
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+const LAB_KAPPA = 24_389 / 27;
+const LAB_EPSILON = 216 / 24_389;
+
+const XYZ_D65_TO_LINEAR_SRGB = [
+  [3.240_969_941_904_522_6, -1.537_383_177_570_094, -0.498_610_760_293_003_4],
+  [-0.969_243_636_280_879_6, 1.875_967_501_507_720_2, 0.041_555_057_407_175_59],
+  [
+    0.055_630_079_696_993_66, -0.203_976_958_888_976_52,
+    1.056_971_514_242_878_6,
+  ],
+];
+
+const LINEAR_P3_TO_XYZ_D65 = [
+  [0.486_570_948_648_216_2, 0.265_667_693_169_093_06, 0.198_217_285_234_362_5],
+  [0.228_974_564_069_748_8, 0.691_738_521_836_506_4, 0.079_286_914_093_745],
+  [0, 0.045_113_381_858_902_64, 1.043_944_368_900_976],
+];
+
+const LINEAR_A98_TO_XYZ_D65 = [
+  [0.576_669_042_910_130_5, 0.185_558_237_906_546_3, 0.188_228_646_234_994_7],
+  [0.297_344_975_250_536_05, 0.627_363_566_255_466_1, 0.075_291_458_493_997_8],
+  [0.027_031_361_386_412_34, 0.070_688_852_535_827_23, 0.991_337_536_837_638_8],
+];
+
+const LINEAR_PROPHOTO_TO_XYZ_D50 = [
+  [0.797_760_489_672_302_7, 0.135_185_837_175_740_31, 0.031_349_349_581_524_8],
+  [0.288_071_128_229_293_4, 0.711_843_217_810_101_4, 0.000_085_653_960_605_259],
+  [0, 0, 0.825_104_602_510_460_1],
+];
+
+const LINEAR_REC2020_TO_XYZ_D65 = [
+  [0.636_958_048_301_291_4, 0.144_616_903_586_208_32, 0.168_880_975_164_172_1],
+  [0.262_700_212_011_267_1, 0.677_998_071_518_870_8, 0.059_301_716_469_861_96],
+  [0, 0.028_072_693_049_087_428, 1.060_985_057_710_791],
+];
+
+// Bradford chromatic adaptation D50 -> D65
+const D50_TO_D65 = [
+  [0.955_473_421_488_075, -0.023_098_454_948_764_71, 0.063_259_243_200_570_72],
+  [
+    -0.028_369_709_333_863_7, 1.009_995_398_081_304_1,
+    0.021_041_441_191_917_323,
+  ],
+  [
+    0.012_314_014_864_481_998, -0.020_507_649_298_898_964,
+    1.330_365_926_242_124,
+  ],
+];
+
+const REC2020_ALPHA = 1.099_296_826_809_44;
+const REC2020_BETA = 0.018_053_968_510_807;
+
+function multiplyMatrix(m, v) {
+  return m.map((row) => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+}
+
+function signedPow(v, exp) {
+  return Math.sign(v) * Math.abs(v) ** exp;
+}
+
+function srgbToLinear(v) {
+  const abs = Math.abs(v);
+  if (abs <= 0.040_45) {
+    return v / 12.92;
+  }
+  return Math.sign(v) * ((abs + 0.055) / 1.055) ** 2.4;
+}
+
+function linearToSrgb(v) {
+  const abs = Math.abs(v);
+  if (abs <= 0.003_130_8) {
+    return v * 12.92;
+  }
+  return Math.sign(v) * (1.055 * abs ** (1 / 2.4) - 0.055);
+}
+
+function a98ToLinear(v) {
+  return signedPow(v, 563 / 256);
+}
+
+function prophotoToLinear(v) {
+  if (Math.abs(v) <= 16 / 512) {
+    return v / 16;
+  }
+  return signedPow(v, 1.8);
+}
+
+function rec2020ToLinear(v) {
+  const abs = Math.abs(v);
+  if (abs < REC2020_BETA * 4.5) {
+    return v / 4.5;
+  }
+  return (
+    Math.sign(v) * ((abs + REC2020_ALPHA - 1) / REC2020_ALPHA) ** (1 / 0.45)
+  );
+}
+
+/**
+ * Convert CIE XYZ (D65) to gamma-encoded sRGB channels in the 0-1 range.
+ * Out-of-gamut values are not clipped here.
+ */
+function xyzD65ToSrgb(xyz) {
+  return multiplyMatrix(XYZ_D65_TO_LINEAR_SRGB, xyz).map(linearToSrgb);
+}
+
+function xyzD50ToSrgb(xyz) {
+  return xyzD65ToSrgb(multiplyMatrix(D50_TO_D65, xyz));
+}
+
+/**
+ * Convert CIE Lab (D50, as used by CSS lab()/lch()) to sRGB channels (0-1).
+ */
+function labToSrgb(l, a, b) {
+  const f1 = (l + 16) / 116;
+  const f0 = a / 500 + f1;
+  const f2 = f1 - b / 200;
+
+  const x = f0 ** 3 > LAB_EPSILON ? f0 ** 3 : (116 * f0 - 16) / LAB_KAPPA;
+  const y = l > LAB_KAPPA * LAB_EPSILON ? f1 ** 3 : l / LAB_KAPPA;
+  const z = f2 ** 3 > LAB_EPSILON ? f2 ** 3 : (116 * f2 - 16) / LAB_KAPPA;
+
+  return xyzD50ToSrgb([x * D50_WHITE[0], y * D50_WHITE[1], z * D50_WHITE[2]]);
+}
+
+/**
+ * Convert OKLab to sRGB channels (0-1).
+ */
+function oklabToSrgb(l, a, b) {
+  const l_ = (l + 0.396_337_777_4 * a + 0.215_803_757_3 * b) ** 3;
+  const m_ = (l - 0.105_561_345_8 * a - 0.063_854_172_8 * b) ** 3;
+  const s_ = (l - 0.089_484_177_5 * a - 1.291_485_548 * b) ** 3;
+
+  return [
+    4.076_741_662_1 * l_ - 3.307_711_591_3 * m_ + 0.230_969_929_2 * s_,
+    -1.268_438_004_6 * l_ + 2.609_757_401_1 * m_ - 0.341_319_396_5 * s_,
+    -0.004_196_086_3 * l_ - 0.703_418_614_7 * m_ + 1.707_614_701 * s_,
+  ].map(linearToSrgb);
+}
+
+/**
+ * Convert sRGB channels (0-255) to OKLab.
+ */
+function srgbToOklab(r, g, b) {
+  const [lr, lg, lb] = [r, g, b].map((c) => srgbToLinear(c / 255));
+
+  const l = Math.cbrt(
+    0.412_221_470_8 * lr + 0.536_332_536_3 * lg + 0.051_445_992_9 * lb
+  );
+  const m = Math.cbrt(
+    0.211_903_498_2 * lr + 0.680_699_545_1 * lg + 0.107_396_956_6 * lb
+  );
+  const s = Math.cbrt(
+    0.088_302_461_9 * lr + 0.281_718_837_6 * lg + 0.629_978_700_5 * lb
+  );
+
+  return {
+    l: 0.210_454_255_3 * l + 0.793_617_785 * m - 0.004_072_046_8 * s,
+    a: 1.977_998_495_1 * l - 2.428_592_205 * m + 0.450_593_709_9 * s,
+    b: 0.025_904_037_1 * l + 0.782_771_766_2 * m - 0.808_675_766 * s,
+  };
+}
+
+/**
+ * Convert polar (lightness, chroma, hue in degrees) to rectangular (l, a, b).
+ */
+function polarToRect(l, c, h) {
+  const rad = (h * Math.PI) / 180;
+  return [l, c * Math.cos(rad), c * Math.sin(rad)];
+}
+
+/**
+ * Convert hwb() components (hue in degrees, whiteness/blackness 0-1)
+ * to sRGB channels (0-1).
+ */
+function hwbToSrgb(h, white, black) {
+  if (white + black >= 1) {
+    const gray = white / (white + black);
+    return [gray, gray, gray];
+  }
+  const hue = (((h % 360) + 360) % 360) / 60;
+  const channel = (n) => {
+    const k = (n + hue) % 6;
+    return 1 - Math.max(0, Math.min(k, 4 - k, 1));
+  };
+  return [channel(5), channel(3), channel(1)].map(
+    (c) => c * (1 - white - black) + white
+  );
+}
+
+// Predefined color spaces accepted by color(): decode + matrix to XYZ
+const PREDEFINED_SPACES = {
+  srgb: (rgb) => rgb,
+  "srgb-linear": (rgb) => rgb.map(linearToSrgb),
+  "display-p3": (rgb) =>
+    xyzD65ToSrgb(multiplyMatrix(LINEAR_P3_TO_XYZ_D65, rgb.map(srgbToLinear))),
+  "a98-rgb": (rgb) =>
+    xyzD65ToSrgb(multiplyMatrix(LINEAR_A98_TO_XYZ_D65, rgb.map(a98ToLinear))),
+  "prophoto-rgb": (rgb) =>
+    xyzD50ToSrgb(
+      multiplyMatrix(LINEAR_PROPHOTO_TO_XYZ_D50, rgb.map(prophotoToLinear))
+    ),
+  rec2020: (rgb) =>
+    xyzD65ToSrgb(
+      multiplyMatrix(LINEAR_REC2020_TO_XYZ_D65, rgb.map(rec2020ToLinear))
+    ),
+  xyz: xyzD65ToSrgb,
+  "xyz-d65": xyzD65ToSrgb,
+  "xyz-d50": xyzD50ToSrgb,
+};
+
+/**
+ * Convert a color() predefined color space value to sRGB channels (0-1).
+ * Returns null for unknown color spaces.
+ */
+function predefinedToSrgb(space, channels) {
+  const convert = PREDEFINED_SPACES[space];
+  return convert ? convert(channels) : null;
+}
+
+module.exports = {
+  labToSrgb,
+  oklabToSrgb,
+  srgbToOklab,
+  polarToRect,
+  hwbToSrgb,
+  predefinedToSrgb,
+  srgbToLinear,
+};
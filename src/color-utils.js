@@ -1,21 +1,30 @@
 const { NAMED_COLORS, NAMED_COLOR_SET } = require("./css-named-colors");
+const {
+  labToSrgb,
+  oklabToSrgb,
+  polarToRect,
+  hwbToSrgb,
+  predefinedToSrgb,
+  srgbToOklab,
+} = require("./color-spaces");
 
 // Top-level regex patterns for performance
-const RGB_MODERN_RE =
-  /rgba?\(\s*([\d.]+)%?\s+([\d.]+)%?\s+([\d.]+)%?\s*(?:\/\s*([\d.]+%?)\s*)?\)/;
-const RGB_LEGACY_RE =
-  /rgba?\(\s*([\d.]+)%?\s*,\s*([\d.]+)%?\s*,\s*([\d.]+)%?\s*(?:,\s*([\d.]+%?)\s*)?\)/;
-const RGB_PERCENT_RE = /rgba?\(\s*[\d.]+%/;
-const HSL_MODERN_RE =
-  /hsla?\(\s*([\d.]+)(?:deg|rad|grad|turn)?\s+([\d.]+)%?\s+([\d.]+)%?\s*(?:\/\s*[\d.]+%?\s*)?\)/;
-const HSL_LEGACY_RE =
-  /hsla?\(\s*([\d.]+)(?:deg|rad|grad|turn)?\s*,\s*([\d.]+)%?\s*,\s*([\d.]+)%?\s*(?:,\s*[\d.]+%?\s*)?\)/;
-const MODERN_ALPHA_RE = /\/\s*([\d.]+)(%?)\s*\)/;
-const LEGACY_ALPHA_RE = /,\s*([\d.]+)\s*\)/;
+const COLOR_FUNCTION_RE = /^([a-z]+)\(\s*(.*?)\s*\)$/;
+const COMPONENT_SEPARATOR_RE = /[\s,]+/;
+const COMPONENT_RE =
+  /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|rad|grad|turn)?$/;
 const CSS_PROP_RE =
   /\b([\w-]+)\s*:\s*(?:#|rgb|hsl|oklch|oklab|lch|lab|hwb|color\()/i;
 const JS_PROP_RE = /\b(\w+)\s*:\s*['"]/;
 
+// Angle units accepted for hue components, as multipliers to degrees
+const ANGLE_TO_DEGREES = {
+  deg: 1,
+  rad: 180 / Math.PI,
+  grad: 0.9,
+  turn: 360,
+};
+
 /**
  * Parse a hex color string to RGB values.
  * Supports #rgb, #rgba, #rrggbb, #rrggbbaa
@@ -42,96 +51,220 @@ function hexToRgb(hexInput) {
 }
 
 /**
- * Parse rgb()/rgba() string to RGB values.
- * Supports both legacy comma-separated and modern space-separated syntax:
- *   rgb(255, 0, 0)           — legacy
- *   rgb(255 0 0)             — modern
- *   rgb(255 0 0 / 50%)       — modern with alpha
- *   rgba(255, 0, 0, 0.5)     — legacy with alpha
+ * Split a CSS color function into its name, channel components and alpha.
+ * Supports legacy comma-separated and modern space-separated syntax:
+ *   rgba(255, 0, 0, 0.5)          — legacy, alpha as 4th argument
+ *   oklch(0.7 0.15 160 / 50%)     — modern, alpha after a slash
+ *   color(display-p3 1 0 0)       — color space keyword as first argument
+ * Returns null if the string is not a function call.
  */
-function rgbStringToRgb(str) {
-  // Try modern space-separated first: rgb(255 0 0) or rgb(255 0 0 / 50%)
-  const modernMatch = str.match(RGB_MODERN_RE);
-  // Then try legacy comma-separated: rgb(255, 0, 0) or rgba(255, 0, 0, 0.5)
-  const legacyMatch = str.match(RGB_LEGACY_RE);
-
-  const match = modernMatch || legacyMatch;
+function parseColorFunction(str) {
+  const match = str.match(COLOR_FUNCTION_RE);
   if (!match) {
     return null;
   }
+  const [, name, body] = match;
 
-  const [, rStr, gStr, bStr] = match;
-  const isPercent = RGB_PERCENT_RE.test(str);
-  const r = isPercent
-    ? Math.round(Number.parseFloat(rStr) * 2.55)
-    : Number.parseFloat(rStr);
-  const g = isPercent
-    ? Math.round(Number.parseFloat(gStr) * 2.55)
-    : Number.parseFloat(gStr);
-  const b = isPercent
-    ? Math.round(Number.parseFloat(bStr) * 2.55)
-    : Number.parseFloat(bStr);
+  let channelPart = body;
+  let alpha = null;
+  const slashIdx = body.indexOf("/");
+  if (slashIdx === -1) {
+    const commaArgs = body.split(",");
+    if (commaArgs.length === 4) {
+      alpha = commaArgs.pop().trim();
+      channelPart = commaArgs.join(",");
+    }
+  } else {
+    channelPart = body.slice(0, slashIdx);
+    alpha = body.slice(slashIdx + 1).trim();
+  }
 
-  return { r: Math.round(r), g: Math.round(g), b: Math.round(b) };
+  const components = channelPart.split(COMPONENT_SEPARATOR_RE).filter(Boolean);
+  return { name, components, alpha };
 }
 
 /**
- * Parse hsl()/hsla() string to RGB values.
- * Supports both legacy and modern syntax:
- *   hsl(360, 100%, 50%)         — legacy
- *   hsl(360 100% 50%)           — modern
- *   hsl(360 100% 50% / 50%)     — modern with alpha
+ * Parse one numeric component token.
+ * Returns { value, unit } (unit is '', '%', or an angle unit),
+ * { value: 0, unit: 'none' } for the `none` keyword, or null if invalid.
  */
-function hslStringToRgb(str) {
-  // Modern space-separated
-  const modernMatch = str.match(HSL_MODERN_RE);
-  // Legacy comma-separated
-  const legacyMatch = str.match(HSL_LEGACY_RE);
-  const match = modernMatch || legacyMatch;
+function parseComponent(token) {
+  if (token === "none") {
+    return { value: 0, unit: "none" };
+  }
+  const match = token?.match(COMPONENT_RE);
   if (!match) {
     return null;
   }
+  return { value: Number.parseFloat(match[1]), unit: match[2] || "" };
+}
 
-  const [, hStr, sStr, lStr] = match;
-  const h = Number.parseFloat(hStr) / 360;
-  const s = Number.parseFloat(sStr) / 100;
-  const l = Number.parseFloat(lStr) / 100;
+/**
+ * Resolve a component to a number. Percentages are scaled so that
+ * 100% maps to `percentRef` (the reference range from CSS Color 4).
+ */
+function resolveComponent(component, percentRef) {
+  if (component.unit === "%") {
+    return (component.value / 100) * percentRef;
+  }
+  return component.value;
+}
 
-  let r, g, b;
-  if (s === 0) {
-    r = g = b = l;
-  } else {
-    const hue2rgb = (p, q, tVal) => {
-      let t = tVal;
-      if (t < 0) {
-        t += 1;
-      }
-      if (t > 1) {
-        t -= 1;
-      }
-      if (t < 1 / 6) {
-        return p + (q - p) * 6 * t;
-      }
-      if (t < 1 / 2) {
-        return q;
-      }
-      if (t < 2 / 3) {
-        return p + (q - p) * (2 / 3 - t) * 6;
+/**
+ * Resolve a hue component to degrees (bare numbers are degrees).
+ */
+function resolveHue(component) {
+  if (component.unit === "%") {
+    return null;
+  }
+  return component.value * (ANGLE_TO_DEGREES[component.unit] || 1);
+}
+
+// Channel converters for each CSS color function. Each receives the parsed
+// components and returns sRGB channels in the 0-1 range (or null).
+const FUNCTION_CONVERTERS = {
+  rgb: ([r, g, b]) =>
+    [r, g, b].map((c) => {
+      if (c.unit === "%") {
+        return Math.round(c.value * 2.55) / 255;
       }
-      return p;
-    };
-    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-    const p = 2 * l - q;
-    r = hue2rgb(p, q, h + 1 / 3);
-    g = hue2rgb(p, q, h);
-    b = hue2rgb(p, q, h - 1 / 3);
+      return c.value / 255;
+    }),
+  hsl: ([h, s, l]) =>
+    hslToSrgb(
+      resolveHue(h),
+      resolveComponent(s, 100),
+      resolveComponent(l, 100)
+    ),
+  hwb: ([h, w, b]) =>
+    hwbToSrgb(
+      resolveHue(h),
+      resolveComponent(w, 100) / 100,
+      resolveComponent(b, 100) / 100
+    ),
+  lab: ([l, a, b]) =>
+    labToSrgb(
+      resolveComponent(l, 100),
+      resolveComponent(a, 125),
+      resolveComponent(b, 125)
+    ),
+  lch: ([l, c, h]) =>
+    labToSrgb(
+      ...polarToRect(
+        resolveComponent(l, 100),
+        resolveComponent(c, 150),
+        resolveHue(h)
+      )
+    ),
+  oklab: ([l, a, b]) =>
+    oklabToSrgb(
+      resolveComponent(l, 1),
+      resolveComponent(a, 0.4),
+      resolveComponent(b, 0.4)
+    ),
+  oklch: ([l, c, h]) =>
+    oklabToSrgb(
+      ...polarToRect(
+        resolveComponent(l, 1),
+        resolveComponent(c, 0.4),
+        resolveHue(h)
+      )
+    ),
+};
+FUNCTION_CONVERTERS.rgba = FUNCTION_CONVERTERS.rgb;
+FUNCTION_CONVERTERS.hsla = FUNCTION_CONVERTERS.hsl;
+
+/**
+ * Convert sRGB channels (0-1, possibly out of gamut) to clamped 0-255 RGB.
+ * Out-of-gamut colors (e.g. wide oklch or display-p3) are clipped per channel.
+ */
+function channelsToRgb(channels) {
+  if (!channels || channels.some((c) => !Number.isFinite(c))) {
+    return null;
   }
+  const [r, g, b] = channels.map((c) =>
+    Math.round(Math.max(0, Math.min(1, c)) * 255)
+  );
+  return { r, g, b };
+}
 
-  return {
-    r: Math.round(r * 255),
-    g: Math.round(g * 255),
-    b: Math.round(b * 255),
+/**
+ * Parse a CSS color function string to RGB values.
+ * Supports rgb(), rgba(), hsl(), hsla(), hwb(), lab(), lch(), oklab(),
+ * oklch() and color(<colorspace> ...), including `none` components,
+ * angle units (deg, rad, grad, turn) and percentage forms:
+ *   rgb(255 0 0 / 50%)           hsl(0.5turn 100% 50%)
+ *   oklch(70% 0.15 160)          lab(50 40 -20)
+ *   hwb(120 10% 20%)             color(display-p3 1 0 0)
+ */
+function functionStringToRgb(str) {
+  const parsed = parseColorFunction(str);
+  if (!parsed) {
+    return null;
+  }
+  const { name, components } = parsed;
+
+  if (name === "color") {
+    const [space, ...rest] = components;
+    const channels = rest.map(parseComponent);
+    if (
+      channels.length !== 3 ||
+      channels.some((c) => !c || ANGLE_TO_DEGREES[c.unit])
+    ) {
+      return null;
+    }
+    return channelsToRgb(
+      predefinedToSrgb(
+        space,
+        channels.map((c) => resolveComponent(c, 1))
+      )
+    );
+  }
+
+  const convert = FUNCTION_CONVERTERS[name];
+  const values = components.map(parseComponent);
+  if (!convert || values.length !== 3 || values.some((c) => !c)) {
+    return null;
+  }
+  return channelsToRgb(convert(values));
+}
+
+/**
+ * Convert HSL (hue in degrees, saturation/lightness 0-100) to sRGB channels (0-1).
+ */
+function hslToSrgb(hDeg, sPct, lPct) {
+  if (hDeg == null) {
+    return null;
+  }
+  const h = (((hDeg % 360) + 360) % 360) / 360;
+  const s = sPct / 100;
+  const l = lPct / 100;
+
+  if (s === 0) {
+    return [l, l, l];
+  }
+  const hue2rgb = (p, q, tVal) => {
+    let t = tVal;
+    if (t < 0) {
+      t += 1;
+    }
+    if (t > 1) {
+      t -= 1;
+    }
+    if (t < 1 / 6) {
+      return p + (q - p) * 6 * t;
+    }
+    if (t < 1 / 2) {
+      return q;
+    }
+    if (t < 2 / 3) {
+      return p + (q - p) * (2 / 3 - t) * 6;
+    }
+    return p;
   };
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  return [hue2rgb(p, q, h + 1 / 3), hue2rgb(p, q, h), hue2rgb(p, q, h - 1 / 3)];
 }
 
 /**
@@ -153,17 +286,8 @@ function parseColor(strInput) {
     return hexToRgb(str);
   }
 
-  // RGB/RGBA
-  if (str.startsWith("rgb")) {
-    return rgbStringToRgb(str);
-  }
-
-  // HSL/HSLA
-  if (str.startsWith("hsl")) {
-    return hslStringToRgb(str);
-  }
-
-  return null;
+  // rgb(), hsl(), hwb(), lab(), lch(), oklab(), oklch(), color()
+  return functionStringToRgb(str);
 }
 
 /**
@@ -190,6 +314,34 @@ function normalizeToHex(colorStr) {
   return rgbToHex(rgb.r, rgb.g, rgb.b);
 }
 
+/**
+ * Normalize any color to hex, keeping translucency as an 8-digit #rrggbbaa
+ * form when alpha is below 1 (e.g. rgba(16, 185, 129, 0.4) -> #10b98166).
+ * Opaque colors normalize to the same 6-digit form as normalizeToHex().
+ */
+function normalizeToHexAlpha(colorStr) {
+  const hex = normalizeToHex(colorStr);
+  if (!hex) {
+    return null;
+  }
+
+  // Hex alpha digits are kept verbatim (extractAlpha rounds to 2 decimals)
+  const str = colorStr.trim().toLowerCase();
+  if (str.startsWith("#") && (str.length === 5 || str.length === 9)) {
+    const alphaHex = str.length === 5 ? str[4] + str[4] : str.slice(7);
+    return alphaHex === "ff" ? hex : `${hex}${alphaHex}`;
+  }
+
+  const alpha = extractAlpha(colorStr);
+  if (alpha == null || alpha >= 1) {
+    return hex;
+  }
+  const alphaHex = Math.round(Math.max(0, alpha) * 255)
+    .toString(16)
+    .padStart(2, "0");
+  return `${hex}${alphaHex}`;
+}
+
 /**
  * Convert RGB to LAB color space for perceptual distance calculation.
  * Uses the CIE 1976 LAB color space.
@@ -221,10 +373,153 @@ function rgbToLab(r, g, b) {
 }
 
 /**
- * Calculate CIE76 Delta-E color distance (perceptual).
+ * CIE76 Delta-E: Euclidean distance in CIELAB.
+ */
+function deltaE76(lab1, lab2) {
+  return Math.sqrt(
+    (lab2.l - lab1.l) ** 2 + (lab2.a - lab1.a) ** 2 + (lab2.b - lab1.b) ** 2
+  );
+}
+
+/**
+ * CIE94 Delta-E (graphic arts weights: kL=1, K1=0.045, K2=0.015).
+ * CIE94 is asymmetric; the geometric mean of both chromas is used as the
+ * reference so that distance(a, b) === distance(b, a).
+ */
+function deltaE94(lab1, lab2) {
+  const c1 = Math.hypot(lab1.a, lab1.b);
+  const c2 = Math.hypot(lab2.a, lab2.b);
+  const cRef = Math.sqrt(c1 * c2);
+
+  const dL = lab1.l - lab2.l;
+  const dC = c1 - c2;
+  const dH2 = Math.max(
+    0,
+    (lab1.a - lab2.a) ** 2 + (lab1.b - lab2.b) ** 2 - dC ** 2
+  );
+
+  const sC = 1 + 0.045 * cRef;
+  const sH = 1 + 0.015 * cRef;
+  return Math.sqrt(dL ** 2 + (dC / sC) ** 2 + dH2 / sH ** 2);
+}
+
+const DEG = Math.PI / 180;
+const POW25_7 = 25 ** 7;
+
+/**
+ * Hue angle in degrees (0-360) of a Lab a/b pair.
+ */
+function labHue(a, b) {
+  if (a === 0 && b === 0) {
+    return 0;
+  }
+  const h = Math.atan2(b, a) / DEG;
+  return h < 0 ? h + 360 : h;
+}
+
+/**
+ * CIEDE2000 hue difference (degrees) and mean hue for two primed hues.
+ */
+function ciede2000Hues(h1, h2, chromaProduct) {
+  if (chromaProduct === 0) {
+    return { dh: 0, hMean: h1 + h2 };
+  }
+  let dh = h2 - h1;
+  if (dh > 180) {
+    dh -= 360;
+  } else if (dh < -180) {
+    dh += 360;
+  }
+  let hMean = (h1 + h2) / 2;
+  if (Math.abs(h1 - h2) > 180) {
+    hMean += hMean < 180 ? 180 : -180;
+  }
+  return { dh, hMean };
+}
+
+/**
+ * CIEDE2000 Delta-E (Sharma, Wu & Dalal 2005 formulation, kL=kC=kH=1).
+ */
+function deltaE2000(lab1, lab2) {
+  const cBar = (Math.hypot(lab1.a, lab1.b) + Math.hypot(lab2.a, lab2.b)) / 2;
+  const g = 0.5 * (1 - Math.sqrt(cBar ** 7 / (cBar ** 7 + POW25_7)));
+
+  const a1 = lab1.a * (1 + g);
+  const a2 = lab2.a * (1 + g);
+  const c1 = Math.hypot(a1, lab1.b);
+  const c2 = Math.hypot(a2, lab2.b);
+  const { dh, hMean } = ciede2000Hues(
+    labHue(a1, lab1.b),
+    labHue(a2, lab2.b),
+    c1 * c2
+  );
+
+  const dL = lab2.l - lab1.l;
+  const dC = c2 - c1;
+  const dH = 2 * Math.sqrt(c1 * c2) * Math.sin((dh / 2) * DEG);
+
+  const lMean = (lab1.l + lab2.l) / 2;
+  const cMean = (c1 + c2) / 2;
+  const t =
+    1 -
+    0.17 * Math.cos((hMean - 30) * DEG) +
+    0.24 * Math.cos(2 * hMean * DEG) +
+    0.32 * Math.cos((3 * hMean + 6) * DEG) -
+    0.2 * Math.cos((4 * hMean - 63) * DEG);
+
+  const sL =
+    1 + (0.015 * (lMean - 50) ** 2) / Math.sqrt(20 + (lMean - 50) ** 2);
+  const sC = 1 + 0.045 * cMean;
+  const sH = 1 + 0.015 * cMean * t;
+  const rC = 2 * Math.sqrt(cMean ** 7 / (cMean ** 7 + POW25_7));
+  const rT =
+    -Math.sin(2 * 30 * Math.exp(-(((hMean - 275) / 25) ** 2)) * DEG) * rC;
+
+  return Math.sqrt(
+    (dL / sL) ** 2 +
+      (dC / sC) ** 2 +
+      (dH / sH) ** 2 +
+      rT * (dC / sC) * (dH / sH)
+  );
+}
+
+/**
+ * Perceptual distance metrics, each taking two { r, g, b } objects.
+ * The OKLab distance is scaled by 100 so its thresholds sit on roughly the
+ * same scale as the CIELAB-based metrics.
+ */
+const DISTANCE_METRICS = {
+  cie76: (rgb1, rgb2) =>
+    deltaE76(
+      rgbToLab(rgb1.r, rgb1.g, rgb1.b),
+      rgbToLab(rgb2.r, rgb2.g, rgb2.b)
+    ),
+  cie94: (rgb1, rgb2) =>
+    deltaE94(
+      rgbToLab(rgb1.r, rgb1.g, rgb1.b),
+      rgbToLab(rgb2.r, rgb2.g, rgb2.b)
+    ),
+  ciede2000: (rgb1, rgb2) =>
+    deltaE2000(
+      rgbToLab(rgb1.r, rgb1.g, rgb1.b),
+      rgbToLab(rgb2.r, rgb2.g, rgb2.b)
+    ),
+  oklab: (rgb1, rgb2) =>
+    deltaE76(
+      srgbToOklab(rgb1.r, rgb1.g, rgb1.b),
+      srgbToOklab(rgb2.r, rgb2.g, rgb2.b)
+    ) * 100,
+};
+
+const METRIC_NAMES = Object.keys(DISTANCE_METRICS);
+const DEFAULT_METRIC = "cie76";
+
+/**
+ * Calculate Delta-E color distance (perceptual) using the given metric.
+ * Metrics: 'cie76' (default), 'cie94', 'ciede2000', 'oklab'.
  * Values: 0 = identical, <1 = imperceptible, 1-2 = close, 2-10 = noticeable, >10 = different
  */
-function colorDistance(color1, color2) {
+function colorDistance(color1, color2, metric = DEFAULT_METRIC) {
   const rgb1 = typeof color1 === "string" ? parseColor(color1) : color1;
   const rgb2 = typeof color2 === "string" ? parseColor(color2) : color2;
 
@@ -232,36 +527,41 @@ function colorDistance(color1, color2) {
     return Number.POSITIVE_INFINITY;
   }
 
-  const lab1 = rgbToLab(rgb1.r, rgb1.g, rgb1.b);
-  const lab2 = rgbToLab(rgb2.r, rgb2.g, rgb2.b);
-
-  return Math.sqrt(
-    (lab2.l - lab1.l) ** 2 + (lab2.a - lab1.a) ** 2 + (lab2.b - lab1.b) ** 2
-  );
+  const distance = DISTANCE_METRICS[metric];
+  if (!distance) {
+    throw new Error(
+      `Unknown distance metric: ${metric} (expected one of ${METRIC_NAMES.join(", ")})`
+    );
+  }
+  return distance(rgb1, rgb2);
 }
 
 /**
- * Find the nearest color from a palette.
+ * Find the nearest color from a palette. Translucent palette colors only
+ * match colors with the same alpha, as in compare.
  * @param {string} colorStr - The color to match
  * @param {Object} palette - Map of { name: hexValue }
+ * @param {string} [metric] - Distance metric (see colorDistance)
  * @returns {{ name, hex, distance } | null}
  */
-function findNearestColor(colorStr, palette) {
+function findNearestColor(colorStr, palette, metric = DEFAULT_METRIC) {
   const rgb = parseColor(colorStr);
   if (!rgb) {
     return null;
   }
 
+  const alpha = roundedAlpha(colorStr);
   let nearest = null;
   let minDistance = Number.POSITIVE_INFINITY;
 
   for (const [name, hex] of Object.entries(palette)) {
     const paletteRgb = parseColor(hex);
-    if (!paletteRgb) {
+    const paletteAlpha = roundedAlpha(hex);
+    if (!paletteRgb || (paletteAlpha < 1 && paletteAlpha !== alpha)) {
       continue;
     }
 
-    const dist = colorDistance(rgb, paletteRgb);
+    const dist = colorDistance(rgb, paletteRgb, metric);
     if (dist < minDistance) {
       minDistance = dist;
       nearest = { name, hex, distance: Math.round(dist * 100) / 100 };
@@ -271,6 +571,14 @@ function findNearestColor(colorStr, palette) {
   return nearest;
 }
 
+/**
+ * Alpha of a color string rounded to two decimals (1 when opaque).
+ */
+function roundedAlpha(colorStr) {
+  const alpha = extractAlpha(colorStr);
+  return alpha == null || alpha >= 1 ? 1 : Math.round(alpha * 100) / 100;
+}
+
 /**
  * Classify a color type from its string representation.
  */
@@ -331,19 +639,16 @@ function extractHexAlpha(hex) {
 }
 
 /**
- * Extract alpha from a functional color notation (rgb/hsl).
+ * Extract alpha from a functional color notation (rgb/hsl/oklch/etc.).
+ * `none` is treated as fully transparent, per CSS Color 4.
  */
-function extractFunctionAlpha(str, legacyPrefix) {
-  const modernAlpha = str.match(MODERN_ALPHA_RE);
-  if (modernAlpha) {
-    const val = Number.parseFloat(modernAlpha[1]);
-    return modernAlpha[2] === "%" ? val / 100 : val;
-  }
-  const legacyAlpha = str.match(LEGACY_ALPHA_RE);
-  if (legacyAlpha && str.startsWith(legacyPrefix)) {
-    return Number.parseFloat(legacyAlpha[1]);
+function extractFunctionAlpha(str) {
+  const parsed = parseColorFunction(str);
+  const alpha = parseComponent(parsed?.alpha);
+  if (!alpha || ANGLE_TO_DEGREES[alpha.unit]) {
+    return null;
   }
-  return null;
+  return resolveComponent(alpha, 1);
 }
 
 /**
@@ -359,13 +664,7 @@ function extractAlpha(colorStr) {
   if (str.startsWith("#")) {
     return extractHexAlpha(str.slice(1));
   }
-  if (str.startsWith("rgb")) {
-    return extractFunctionAlpha(str, "rgba");
-  }
-  if (str.startsWith("hsl")) {
-    return extractFunctionAlpha(str, "hsla");
-  }
-  return null;
+  return extractFunctionAlpha(str);
 }
 
 /**
@@ -515,12 +814,17 @@ function extractCssProperty(lineText) {
 }
 
 module.exports = {
+  METRIC_NAMES,
+  DEFAULT_METRIC,
   parseColor,
   normalizeToHex,
+  normalizeToHexAlpha,
+  rgbToLab,
   colorDistance,
   findNearestColor,
   classifyColor,
   extractAlpha,
+  roundedAlpha,
   colorMixSuggestion,
   suggestVariableName,
   extractCssProperty,
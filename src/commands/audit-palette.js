@@ -0,0 +1,151 @@
+const { loadThemes, TIE_WINDOW } = require("./compare-vars");
+const { auditThemes } = require("../palette-audit");
+
+// Different tokens this close (in the chosen metric) are near-duplicates
+const DEFAULT_NEAR = 2;
+
+// Hue turns (LCh degrees) larger than this between neighboring shades
+const DEFAULT_HUE_JUMP = 30;
+
+/**
+ * Audit the palette `compare` matches against: identical values under
+ * different names, near-duplicate tokens (those within the tie window are
+ * picked by name, not color), tokens that can never win a match, and shade
+ * ramps with out-of-order lightness or hue jumps.
+ *
+ * Options (palette options as for `compare`):
+ *   --near <dE>      Report different tokens this close (default: 2).
+ *   --hue-jump <deg> Report hue turns larger than this between neighboring
+ *                    shades of a ramp (default: 30).
+ *   --metric <name>  Distance metric: cie76, cie94, ciede2000, oklab.
+ *   --theme <name>   Audit only this theme.
+ */
+function auditPalette(paths, options) {
+  const settings = auditSettings(options);
+  if (!settings) {
+    return;
+  }
+  const palette = loadThemes(paths, options);
+  if (!palette) {
+    return;
+  }
+
+  const report = {
+    ...auditThemes(palette.themes, { ...settings, metric: palette.metric }),
+    ...settings,
+    files: palette.loaded.files,
+    metric: palette.metric,
+  };
+  if (options.format === "json") {
+    outputJson(report);
+  } else {
+    outputText(report);
+  }
+}
+
+/**
+ * Validate the audit options: { near, hueJump }, or null after printing an
+ * error.
+ */
+function auditSettings(options) {
+  const near =
+    options.near == null ? DEFAULT_NEAR : Number.parseFloat(options.near);
+  const hueJump =
+    options.hueJump == null
+      ? DEFAULT_HUE_JUMP
+      : Number.parseFloat(options.hueJump);
+  const error = optionError(options, near, hueJump);
+  if (error) {
+    console.error(`Error: ${error}`);
+    process.exitCode = 1;
+    return null;
+  }
+  return { near, hueJump };
+}
+
+function optionError(options, near, hueJump) {
+  if (!(near >= 0)) {
+    return `--near must be a distance of 0 or more, got "${options.near}".`;
+  }
+  if (!(hueJump >= 0 && hueJump <= 180)) {
+    return `--hue-jump must be an angle from 0 to 180, got "${options.hueJump}".`;
+  }
+  return null;
+}
+
+function outputJson(report) {
+  const output = {
+    command: "audit-palette",
+    files: report.files,
+    metric: report.metric,
+    near: report.near,
+    hueJump: report.hueJump,
+    summary: {
+      tokens: report.tokens,
+      identical: report.identical.length,
+      nearDuplicates: report.nearDuplicates.length,
+      unreachable: report.unreachable.length,
+      lightness: report.lightness.length,
+      hueJumps: report.hueJumps.length,
+    },
+    identical: report.identical,
+    nearDuplicates: report.nearDuplicates,
+    unreachable: report.unreachable,
+    lightness: report.lightness,
+    hueJumps: report.hueJumps,
+  };
+  console.log(JSON.stringify(output, null, 2));
+}
+
+function outputText(report) {
+  const label = (f) => (f.theme ? `[${f.theme}] ` : "");
+  const sections = [
+    {
+      title: "IDENTICAL VALUES",
+      findings: report.identical,
+      line: (f) => `${label(f)}${f.hex}: ${f.tokens.join(", ")}`,
+    },
+    {
+      title: `NEAR-DUPLICATES WITHIN dE ${report.near}`,
+      findings: report.nearDuplicates,
+      line: (f) =>
+        `${label(f)}${f.tokens[0]} ${f.hexes[0]} ~ ${f.tokens[1]} ${f.hexes[1]}  dE ${f.distance}${f.tie ? `  (within dE ${TIE_WINDOW}: compare picks by name)` : ""}`,
+    },
+    {
+      title: "UNREACHABLE TOKENS",
+      findings: report.unreachable,
+      line: (f) =>
+        `${label(f)}${f.token} ${f.hex}  always matched as ${f.winners.join(", ")}`,
+    },
+    {
+      title: "LIGHTNESS OUT OF ORDER",
+      findings: report.lightness,
+      line: (f) =>
+        `${label(f)}${f.ramp}: ${f.from.token} L ${f.from.lightness} -> ${f.to.token} L ${f.to.lightness} (ramp gets ${f.direction})`,
+    },
+    {
+      title: `HUE JUMPS OVER ${report.hueJump}°`,
+      findings: report.hueJumps,
+      line: (f) =>
+        `${label(f)}${f.ramp}: ${f.from.token} ${f.from.hue}° -> ${f.to.token} ${f.to.hue}° (${f.change}°)`,
+    },
+  ];
+
+  console.log("\n=== Palette Audit ===");
+  console.log(
+    `${report.tokens} tokens in ${report.files.join(", ")} (${report.metric})`
+  );
+  const reported = sections.filter((s) => s.findings.length > 0);
+  if (reported.length === 0) {
+    console.log("\nNo issues found.");
+    return;
+  }
+  for (const section of reported) {
+    console.log(`\n--- ${section.title} (${section.findings.length}) ---`);
+    for (const f of section.findings) {
+      console.log(`  ${section.line(f)}`);
+    }
+  }
+}
+
+module.exports = { auditPalette };
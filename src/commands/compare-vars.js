@@ -4,13 +4,17 @@ const { search } = require("../search");
 const { buildColorSearchPattern } = require("../color-patterns");
 const {
   normalizeToHex,
+  normalizeToHexAlpha,
   classifyColor,
   extractAlpha,
+  roundedAlpha,
   colorMixSuggestion,
   suggestVariableName,
   extractCssProperty,
   colorDistance,
   parseColor,
+  METRIC_NAMES,
+  DEFAULT_METRIC,
 } = require("../color-utils");
 const {
   classifyContext,
@@ -19,7 +23,31 @@ const {
   clearCache,
   isInBlockComment,
 } = require("../context-classifier");
+const {
+  DEFAULT_THEME,
+  loadPalette,
+  parseVariablesFile,
+} = require("../palette");
+const { preprocessorSuggestion } = require("../preprocessor-vars");
+const {
+  jsThemeSuggestion,
+  stringLiteralAround,
+  jsTemplateReference,
+  literalReplacement,
+} = require("../js-theme");
+const { tailwindSuggestion } = require("../tailwind-config");
+const { findV4EntryPoints, tailwindV4Utility } = require("../tailwind-colors");
 const { countByKey } = require("../utils");
+const { applyBaseline } = require("../baseline");
+const { searchNamedColors } = require("./find-colors");
+const { planEdits, applyPlans, printPlans } = require("../fixer");
+const { reviewResults } = require("../review");
+const { addIgnoredColors } = require("../config");
+const {
+  learnPreferences,
+  learnedPreference,
+  describePreferences,
+} = require("../token-preferences");
 
 /**
  * Semantic property categories — used to prefer variable matches
@@ -46,6 +74,19 @@ const PROPERTY_CATEGORIES = {
   fill: ["fill", "stroke"],
 };
 
+// Dry-run summary wording per match status
+const DRY_RUN_LABELS = {
+  exact: "exact matches",
+  close: "close matches",
+  unmatched: "unmatched colors",
+};
+
+// Distances this close are ties, decided by preferenceScore()
+const TIE_WINDOW = 0.5;
+
+// Tokens offered per color in --interactive review
+const MAX_REVIEW_CANDIDATES = 5;
+
 // Map variable name patterns to property categories
 const VAR_NAME_CATEGORIES = {
   background: /bg|background/i,
@@ -82,22 +123,115 @@ function getMatchStatus(nearest, threshold) {
 
 /**
  * Build a replacement suggestion for a matched color.
+ * `usage` is { file, text, column, value, cssProp } for the color.
+ * Translucent tokens already carry the alpha, so they are used as-is;
+ * opaque tokens are wrapped in color-mix() to reproduce the alpha.
+ * SCSS/Less variables are referenced in their own syntax, JS theme tokens
+ * by their reference (only from files that can use them), and Tailwind
+ * config colors as theme() or a utility class. Tailwind v4 theme colors
+ * become a utility inside arbitrary value classes and var() elsewhere.
  */
-function buildSuggestion(nearest, status, value) {
+function buildSuggestion(nearest, status, usage) {
   if (!nearest || (status !== "exact" && status !== "close")) {
     return null;
   }
-  const alpha = extractAlpha(value);
+  const { file, value } = usage;
+  if (nearest.syntax === "js") {
+    return jsThemeSuggestion(nearest.reference, file);
+  }
+  const alpha = nearest.alpha == null ? extractAlpha(value) : null;
+  if (nearest.syntax === "tailwind") {
+    return tailwindSuggestion(nearest, { ...usage, alpha });
+  }
+  if (nearest.syntax === "tailwind-v4") {
+    const utility = tailwindV4Utility(nearest.name, usage, alpha);
+    if (utility) {
+      return utility;
+    }
+  } else if (nearest.syntax) {
+    return preprocessorSuggestion(nearest.name, nearest.syntax, file, alpha);
+  }
+  const varName = nearest.reference || nearest.name;
+  if (nearest.alpha != null) {
+    return `var(${varName})`;
+  }
   if (alpha != null && alpha < 1) {
-    return colorMixSuggestion(nearest.name, alpha);
+    return colorMixSuggestion(varName, alpha);
+  }
+  return `var(${varName})`;
+}
+
+/**
+ * Suggestion for a matched color and the source text it replaces:
+ * { suggestion, replaces }. When the color is a whole JS/TS string literal,
+ * JS references (JS theme tokens, and CSS variables through --js-template)
+ * replace the literal, quotes included; otherwise `replaces` is the color.
+ */
+function buildReplacement(nearest, status, usage) {
+  const suggestion = buildSuggestion(nearest, status, usage);
+  const reference =
+    suggestion && usage.literal ? jsReference(nearest, usage) : null;
+  if (reference) {
+    return {
+      suggestion: literalReplacement(reference, usage.literal),
+      replaces: usage.literal.text,
+    };
+  }
+  // A translucent color of an opaque token needs color-mix(), a CSS string
+  // the JS code that --js-template references are for can't use
+  if (suggestion && usage.literal && templateReferenced(nearest, usage)) {
+    return { suggestion: null, replaces: null };
   }
-  return `var(${nearest.name})`;
+  return { suggestion, replaces: suggestion ? usage.value : null };
+}
+
+/**
+ * JS reference for a token, or null: the reference of a JS theme token, or
+ * the --js-template reference of a CSS variable (not for translucent colors
+ * of opaque tokens, which need color-mix()).
+ */
+function jsReference(nearest, usage) {
+  if (nearest.syntax === "js") {
+    return nearest.reference;
+  }
+  const needsAlpha = nearest.alpha == null && roundedAlpha(usage.value) < 1;
+  if (!templateReferenced(nearest, usage) || needsAlpha) {
+    return null;
+  }
+  return jsTemplateReference(usage.jsTemplate, nearest.name);
+}
+
+/**
+ * True if --js-template references the token: a CSS variable (plain or
+ * Tailwind v4 theme) with a template set.
+ */
+function templateReferenced(nearest, usage) {
+  const cssVariable = !nearest.syntax || nearest.syntax === "tailwind-v4";
+  return Boolean(usage.jsTemplate) && cssVariable;
+}
+
+/**
+ * Where a color is used: { file, text, column, value, cssProp, literal,
+ * jsTemplate } for buildReplacement(), from the full source line `text`.
+ */
+function colorUsage({ file, text, column, value }, jsTemplate) {
+  const usage = { file, text, column, value };
+  return {
+    ...usage,
+    cssProp: extractCssProperty(text),
+    literal: stringLiteralAround(usage),
+    jsTemplate,
+  };
 }
 
 /**
  * Process a single raw color search result into a comparison entry.
+ * `themes` maps theme name -> { colors, tokens } (see loadPalette()) and
+ * `matchOptions` holds { threshold, metric, preferences, varsFiles,
+ * jsTemplate }; colors in the variables files themselves are token
+ * definitions.
  */
-function processColorResult(result, palette, threshold) {
+function processColorResult(result, themes, matchOptions) {
   const value = result.match.trim();
   const type = classifyColor(value);
   if (type === "unknown") {
@@ -115,13 +249,16 @@ function processColorResult(result, palette, threshold) {
   }
 
   const hex = normalizeToHex(value);
-  const cssProp = extractCssProperty(result.text);
-  const nearest = hex
-    ? findNearestColorSemantic(value, palette, cssProp)
-    : null;
-  const status = getMatchStatus(nearest, threshold);
-  const context = classifyContext(result);
-  const suggestion = buildSuggestion(nearest, status, value);
+  const usage = colorUsage({ ...result, value }, matchOptions.jsTemplate);
+  const { cssProp } = usage;
+  const { nearest, themeMatches } = hex
+    ? matchAcrossThemes(value, themes, cssProp, matchOptions)
+    : { nearest: null };
+  const status = getMatchStatus(nearest, matchOptions.threshold);
+  const context = matchOptions.varsFiles?.has(path.resolve(result.file))
+    ? "css-definition"
+    : classifyContext(result);
+  const { suggestion, replaces } = buildReplacement(nearest, status, usage);
   const nameSuggestion =
     status === "unmatched" && isActionable(context)
       ? suggestVariableName(value, cssProp)
@@ -136,46 +273,202 @@ function processColorResult(result, palette, threshold) {
     hex,
     status,
     match: nearest,
+    themeMatches,
     context,
     contextLabel: contextLabel(context),
     actionable: isActionable(context),
     lineText: result.text.trim(),
     suggestion,
+    replaces,
     nameSuggestion,
     cssProperty: cssProp,
   };
 }
 
+/**
+ * Match a color against each theme palette. Only the match in the primary
+ * theme (see primaryTheme()) becomes `nearest`, which decides the status and
+ * the replacement: a token replaces the color in every theme, so a match
+ * that only holds in dark mode would change the default rendering.
+ * Per-theme matches are returned for the report when several themes are
+ * compared, e.g. a color that equals --surface only in dark mode; other
+ * themes are then matched only against the tokens they define themselves,
+ * since inherited tokens already match in the default theme.
+ * `matchOptions` holds { metric, preferences }.
+ */
+function matchAcrossThemes(colorStr, themes, cssProp, { metric, preferences }) {
+  const entries = Object.entries(themes);
+  const labelTheme = entries.length > 1 || entries[0][0] !== DEFAULT_THEME;
+  const themeMatches = {};
+  for (const [theme, { colors, tokens, declared }] of entries) {
+    const candidates =
+      entries.length > 1 && theme !== DEFAULT_THEME
+        ? Object.fromEntries(declared.map((name) => [name, colors[name]]))
+        : colors;
+    const match = findNearestColorSemantic(colorStr, candidates, cssProp, {
+      metric,
+      tokens,
+      preferences,
+    });
+    if (!match) {
+      continue;
+    }
+    if (labelTheme) {
+      match.theme = theme;
+    }
+    themeMatches[theme] = match;
+  }
+  return {
+    nearest: themeMatches[primaryTheme(themes)] ?? null,
+    themeMatches: entries.length > 1 ? themeMatches : undefined,
+  };
+}
+
+/**
+ * The theme whose tokens may replace colors: the default theme, or the
+ * only theme compared (as selected with --theme). Null when the variables
+ * files only define non-default themes.
+ */
+function primaryTheme(themes) {
+  const names = Object.keys(themes);
+  if (names.includes(DEFAULT_THEME)) {
+    return DEFAULT_THEME;
+  }
+  return names.length === 1 ? names[0] : null;
+}
+
 /**
  * Compare hardcoded colors found in source files against a global variables file.
  * Reports matches, close matches, and unmatched colors.
  * Classifies each result by context to separate actionable from non-actionable.
  *
  * Options:
- *   --vars <file>      Required. CSS/JSON/JS/TS variables file.
+ *   --vars <file>      Repeatable. CSS/SCSS/Less/JSON/JS/TS files; later
+ *                      files take precedence. Defaults to the Tailwind v4
+ *                      @theme entry point (tailwind.css, globals.css, ...).
  *   --threshold <n>    Delta-E distance for "close" match (default: 10).
+ *   --metric <name>    Distance metric: cie76, cie94, ciede2000, oklab.
+ *   --theme <name>     Only match against one theme palette (e.g. dark).
+ *   --no-named         Skip named CSS colors (red, blue, etc.).
+ *   --token-name <t>   CSS variable name template for DTCG tokens (--{path}).
+ *   --js-ref <t>       Reference template for JS/TS theme tokens ({path}).
+ *   --js-template <t>  Reference for CSS variables in JS/TS string literals,
+ *                      e.g. tokens.{name} ({name} camelCased, {var} as is).
+ *   --js-import <s>    Import statement --fix adds where it writes a JS
+ *                      reference; JS references are only fixed with it.
+ *   --learn            Prefer tokens whose family (--surface-*) `paths`
+ *                      already use for the same kind of property.
  *   --fix              Auto-replace exact matches with var() references.
+ *   --fix-close <dE>   With --fix, also replace close matches up to this
+ *                      distance that have no tied token of another color.
+ *   --dry-run          With --fix, print the planned edits instead of writing.
+ *   --journal <file>   Undo journal for --fix edits (see `revert`).
+ *   --interactive      Review close and unmatched colors one by one.
  *   --baseline <file>  Save results to a baseline file.
  *   --diff <file>      Compare against a baseline, show only new issues.
+ *   --rename-map <f>   With --diff, JSON { "old": "new" } of renamed files
+ *                      (default: renames in git since the baseline's commit).
  */
 function compareVars(paths, options) {
-  if (!options.vars) {
+  if (!checkFixModes(options)) {
+    return;
+  }
+  const compared = compareColors(paths, options);
+  if (!compared) {
+    return;
+  }
+  const { loaded, themes, threshold, metric, preferences, results } = compared;
+
+  // Baseline/diff handling
+  const finalResults = applyBaseline(results, options, baselineSpec(options));
+  if (!finalResults) {
+    return;
+  }
+
+  // --fix mode: auto-replace exact matches
+  if (options.fix) {
+    runFixes(finalResults, { themes, metric, preferences }, options);
+    return;
+  }
+  if (options.interactive) {
+    return runReview(
+      finalResults,
+      { themes, metric, preferences, paths, jsTemplate: options.jsTemplate },
+      options
+    );
+  }
+
+  const report = {
+    loaded,
+    themeNames: Object.keys(themes),
+    threshold,
+    metric,
+    preferences,
+  };
+  if (options.format === "json") {
+    outputJson(finalResults, report);
+  } else {
+    outputText(finalResults, report);
+  }
+}
+
+/**
+ * Load the palette of --vars (default: the Tailwind v4 @theme entry points
+ * in `paths`) and the --metric and --theme it is matched with. Returns
+ * { varsFiles, loaded, metric, themes }, or null after printing an error.
+ */
+function loadThemes(paths, options) {
+  // Tailwind v4 projects can use their @theme entry point as the palette
+  const varsFiles = options.vars
+    ? [options.vars].flat()
+    : findV4EntryPoints(paths);
+  if (varsFiles.length === 0) {
     console.error(
-      "Error: --vars <file> is required. Specify a CSS, JSON, JS, or TS variables file."
+      "Error: --vars <file> is required. Specify a CSS, JSON, JS, or TS variables file (Tailwind v4 @theme entry points are found automatically)."
     );
     process.exitCode = 1;
-    return;
+    return null;
   }
 
-  // 1. Parse the variables file
-  const palette = parseVariablesFile(options.vars);
+  const loaded = loadPalette(varsFiles, {
+    tokenName: options.tokenName,
+    jsRef: options.jsRef,
+  });
+  const palette = loaded?.colors;
   if (!palette || Object.keys(palette).length === 0) {
-    console.error(`Error: No color variables found in ${options.vars}`);
+    console.error(`Error: No color variables found in ${varsFiles.join(", ")}`);
     process.exitCode = 1;
-    return;
+    return null;
   }
 
+  const metric = resolveMetric(options.metric);
+  if (!metric) {
+    return null;
+  }
+  const themes = selectThemes(loaded.themes, options.theme);
+  if (!themes) {
+    return null;
+  }
+  return { varsFiles, loaded, metric, themes };
+}
+
+/**
+ * Find the colors in `paths` and match them against the palette: the part
+ * of `compare` that `extract` shares. Returns { loaded, themes, threshold,
+ * metric, results } (results deduplicated, ignored colors marked), or null
+ * after printing an error.
+ */
+function compareColors(paths, options) {
+  // 1. Parse the variables files
+  const palette = loadThemes(paths, options);
+  if (!palette) {
+    return null;
+  }
+  const { varsFiles, loaded, metric, themes } = palette;
   const threshold = Number.parseFloat(options.threshold) || 10;
+  const preferences = options.learn
+    ? learnPreferences(paths, palette, options, getPropertyCategory)
+    : null;
 
   // 2. Find all hardcoded colors
   clearCache();
@@ -184,11 +477,21 @@ function compareVars(paths, options) {
     include: options.include,
     exclude: options.exclude,
   });
+  if (options.named !== false) {
+    rawResults.push(...searchNamedColors(paths, options));
+  }
 
   // 3. Compare each found color against the palette, classify context
+  const matchOptions = {
+    threshold,
+    metric,
+    preferences,
+    varsFiles: new Set(varsFiles.map((f) => path.resolve(f))),
+    jsTemplate: options.jsTemplate,
+  };
   const results = [];
   for (const result of rawResults) {
-    const entry = processColorResult(result, palette, threshold);
+    const entry = processColorResult(result, themes, matchOptions);
     if (entry) {
       results.push(entry);
     }
@@ -204,47 +507,107 @@ function compareVars(paths, options) {
     seen.add(key);
     return true;
   });
+  markIgnored(deduped, options.ignore);
+  return {
+    loaded,
+    themes,
+    threshold,
+    metric,
+    preferences,
+    results: deduped,
+  };
+}
 
-  // Baseline/diff handling
-  if (options.baseline) {
-    saveBaseline(deduped, options.baseline);
+/**
+ * Validate how --fix, --dry-run and --interactive are combined, reporting
+ * an error for invalid combinations. Returns true if they are valid.
+ */
+function checkFixModes(options) {
+  let error = null;
+  if (options.fix && options.interactive) {
+    error =
+      "--fix and --interactive are separate runs: --fix applies exact matches, --interactive reviews the rest.";
+  } else if (options.interactive && options.format === "json") {
+    error = "--interactive needs a terminal and cannot print JSON.";
+  } else if (options.dryRun && !(options.fix || options.interactive)) {
+    error = "--dry-run previews --fix. Use --fix --dry-run.";
+  } else if (options.fixClose != null && !options.fix) {
+    error = "--fix-close extends --fix. Use --fix --fix-close <maxDeltaE>.";
+  } else if (
+    options.fixClose != null &&
+    !(Number.parseFloat(options.fixClose) >= 0)
+  ) {
+    error = `Invalid --fix-close "${options.fixClose}". Use a delta-E distance such as 1.`;
   }
-
-  let finalResults = deduped;
-  if (options.diff) {
-    finalResults = diffAgainstBaseline(deduped, options.diff);
+  if (error) {
+    console.error(`Error: ${error}`);
+    process.exitCode = 1;
+    return false;
   }
+  return true;
+}
 
-  // --fix mode: auto-replace exact matches
-  if (options.fix) {
-    const fixCount = applyFixes(finalResults);
-    console.log(`Fixed ${fixCount} exact matches with var() replacements.`);
-    return;
+/**
+ * Validate the --metric option, reporting an error for unknown names.
+ * Returns the metric name, or null if it is invalid.
+ */
+function resolveMetric(metricOption) {
+  const metric = (metricOption || DEFAULT_METRIC).toLowerCase();
+  if (!METRIC_NAMES.includes(metric)) {
+    console.error(
+      `Error: Unknown --metric "${metricOption}". Use one of: ${METRIC_NAMES.join(", ")}.`
+    );
+    process.exitCode = 1;
+    return null;
   }
+  return metric;
+}
 
-  if (options.format === "json") {
-    outputJson(finalResults, palette, threshold);
-  } else {
-    outputText(finalResults, palette, threshold, options.vars);
+/**
+ * Restrict theme palettes to the --theme option, reporting unknown themes.
+ * Returns the selected themes, or null if the theme is not defined.
+ */
+function selectThemes(themes, themeOption) {
+  if (!themeOption) {
+    return themes;
   }
+  const name = themeOption.toLowerCase();
+  if (!themes[name]) {
+    console.error(
+      `Error: Unknown --theme "${themeOption}". Themes in the variables file: ${Object.keys(themes).join(", ")}.`
+    );
+    process.exitCode = 1;
+    return null;
+  }
+  return { [name]: themes[name] };
 }
 
 /**
  * Find nearest color with semantic awareness.
  * When multiple variables have the same color distance,
- * prefer variables whose name matches the CSS property context.
+ * prefer variables with the same alpha as the color, then variables
+ * that fit the CSS property context (semantic aliases first).
+ *
+ * Translucent tokens (e.g. --overlay: rgba(16, 185, 129, 0.4)) only match
+ * colors with the same alpha; opaque tokens match any alpha via color-mix().
+ *
+ * Options: { metric, tokens, preferences } — `tokens` is the metadata from
+ * loadPalette(), `preferences` the learnPreferences() of --learn. The match
+ * gets `preference` when a learned preference applies to it.
  */
-function findNearestColorSemantic(colorStr, palette, cssProp) {
+function findNearestColorSemantic(colorStr, palette, cssProp, options = {}) {
+  const { metric = DEFAULT_METRIC, tokens = {}, preferences } = options;
   const rgb = parseColor(colorStr);
   if (!rgb) {
     return null;
   }
 
   const propCategory = cssProp ? getPropertyCategory(cssProp) : null;
+  const alpha = roundedAlpha(colorStr);
 
   let nearest = null;
   let minDistance = Number.POSITIVE_INFINITY;
-  let bestSemanticScore = 0;
+  let bestScore = 0;
 
   for (const [name, hex] of Object.entries(palette)) {
     const paletteRgb = parseColor(hex);
@@ -252,34 +615,91 @@ function findNearestColorSemantic(colorStr, palette, cssProp) {
       continue;
     }
 
-    const dist = colorDistance(rgb, paletteRgb);
+    const tokenAlpha = roundedAlpha(hex);
+    if (tokenAlpha < 1 && tokenAlpha !== alpha) {
+      continue;
+    }
+
+    const dist = colorDistance(rgb, paletteRgb, metric);
     const roundedDist = Math.round(dist * 100) / 100;
 
-    // Semantic score: higher is better match for the property context
-    let semanticScore = 0;
-    if (propCategory) {
-      const varPattern = VAR_NAME_CATEGORIES[propCategory];
-      if (varPattern?.test(name)) {
-        semanticScore = 1;
-      }
-    }
+    const score = preferenceScore(name, propCategory, {
+      alphaMatches: tokenAlpha === alpha,
+      isAlias: Boolean(tokens[name]?.aliasOf),
+      preferences,
+    });
 
-    // Prefer: lower distance first, then higher semantic score
+    // Prefer: lower distance first, then higher preference score
     const isBetter =
-      dist < minDistance - 0.5 ||
-      (Math.abs(dist - minDistance) <= 0.5 &&
-        semanticScore > bestSemanticScore);
+      dist < minDistance - TIE_WINDOW ||
+      (Math.abs(dist - minDistance) <= TIE_WINDOW && score > bestScore);
 
     if (isBetter) {
       minDistance = dist;
-      bestSemanticScore = semanticScore;
-      nearest = { name, hex, distance: roundedDist };
+      bestScore = score;
+      nearest = buildMatch(name, hex, roundedDist, tokens[name]);
     }
   }
 
+  const learned =
+    nearest && propCategory
+      ? learnedPreference(nearest.name, propCategory, preferences)
+      : null;
+  if (learned) {
+    nearest.preference = { category: propCategory, ...learned };
+  }
   return nearest;
 }
 
+/**
+ * Match object for a palette token: alpha for translucent tokens, aliasOf
+ * for aliases, syntax for SCSS/Less/JS tokens, the reference of JS theme
+ * tokens and the source file/line of the token's definition.
+ */
+function buildMatch(name, hex, distance, info) {
+  const match = { name, hex, distance };
+  const alpha = roundedAlpha(hex);
+  if (alpha < 1) {
+    match.alpha = alpha;
+  }
+  if (info?.aliasOf) {
+    match.aliasOf = info.aliasOf;
+  }
+  if (info?.syntax) {
+    match.syntax = info.syntax;
+  }
+  if (info?.reference) {
+    match.reference = info.reference;
+  }
+  if (info?.file) {
+    match.source = { file: info.file, line: info.line };
+  }
+  return match;
+}
+
+/**
+ * Score how well a variable fits the match context (higher is better).
+ * An equal alpha outweighs a semantic fit to the CSS property, and a
+ * fitting semantic alias beats a fitting primitive. The fit is the share of
+ * the token family's uses in the property's category when --learn learned
+ * enough about the family, otherwise whether its name matches the category.
+ */
+function preferenceScore(
+  name,
+  propCategory,
+  { alphaMatches, isAlias, preferences }
+) {
+  const score = alphaMatches ? 4 : 0;
+  if (!propCategory) {
+    return score;
+  }
+  const learned = learnedPreference(name, propCategory, preferences);
+  const fit = learned
+    ? learned.share
+    : Number(Boolean(VAR_NAME_CATEGORIES[propCategory]?.test(name)));
+  return score + fit * (isAlias ? 2 : 1);
+}
+
 function getPropertyCategory(cssProp) {
   const prop = cssProp.toLowerCase();
   for (const [category, props] of Object.entries(PROPERTY_CATEGORIES)) {
@@ -293,212 +713,408 @@ function getPropertyCategory(cssProp) {
 }
 
 /**
- * Apply --fix: replace exact matches with var() or color-mix() in source files.
+ * True if --fix can apply a suggestion: it replaces the color text itself,
+ * or is a JS reference replacing a whole string literal and `jsImport`
+ * (--js-import) provides the reference. JS references inside longer
+ * strings and Tailwind utilities replacing a whole class are left to the
+ * user.
  */
-function applyFixes(results) {
-  const exactActionable = results.filter(
-    (r) => r.actionable && r.status === "exact" && r.suggestion
-  );
-
-  // Group by file for efficient processing
-  const byFile = {};
-  for (const r of exactActionable) {
-    if (!byFile[r.file]) {
-      byFile[r.file] = [];
-    }
-    byFile[r.file].push(r);
+function replacesColorInPlace(r, jsImport) {
+  if (r.replaces !== r.value) {
+    return Boolean(jsImport);
   }
+  if (r.match.syntax === "js") {
+    return false;
+  }
+  if (r.match.syntax === "tailwind") {
+    return r.suggestion.startsWith("theme(");
+  }
+  if (r.match.syntax === "tailwind-v4") {
+    return (
+      r.suggestion.startsWith("var(") || r.suggestion.startsWith("color-mix(")
+    );
+  }
+  return true;
+}
 
-  let fixCount = 0;
-
-  for (const [filePath, fileResults] of Object.entries(byFile)) {
-    try {
-      const content = fs.readFileSync(filePath, "utf-8");
-      const lines = content.split("\n");
-
-      // Process replacements in reverse order (by line, then column) to preserve positions
-      const sorted = [...fileResults].sort(
-        (a, b) => b.line - a.line || b.column - a.column
-      );
-
-      for (const r of sorted) {
-        const lineIdx = r.line - 1;
-        if (lineIdx < 0 || lineIdx >= lines.length) {
-          continue;
-        }
-
-        const line = lines[lineIdx];
-        const col = r.column - 1;
-
-        // Find the exact match in the line at the expected position
-        const matchIdx = line.indexOf(r.value, col > 0 ? col - 1 : 0);
-        if (matchIdx === -1) {
-          continue;
-        }
-
-        // Replace
-        lines[lineIdx] =
-          line.substring(0, matchIdx) +
-          r.suggestion +
-          line.substring(matchIdx + r.value.length);
-        fixCount++;
-      }
-
-      fs.writeFileSync(filePath, lines.join("\n"), "utf-8");
-    } catch (err) {
-      console.error(`Error fixing ${filePath}: ${err.message}`);
+/**
+ * Plan --fix: replace exact matches with var() or color-mix() in source
+ * files, and close matches up to --fix-close unless a token of another
+ * color is within TIE_WINDOW of the match (the choice would be a guess).
+ * Returns { plans, ambiguous }: the per-file plans from planEdits(), whose
+ * edits carry the match status and distance, and the close matches left
+ * alone with their tied tokens.
+ */
+function planFixes(results, context, options) {
+  const maxClose =
+    options.fixClose == null ? null : Number.parseFloat(options.fixClose);
+  const fixable = results.filter(
+    (r) =>
+      r.actionable && r.suggestion && replacesColorInPlace(r, options.jsImport)
+  );
+  const fixes = fixable.filter((r) => r.status === "exact");
+  const ambiguous = [];
+  for (const r of fixable) {
+    const outOfRange = maxClose == null || r.match.distance > maxClose;
+    if (r.status !== "close" || outOfRange) {
+      continue;
+    }
+    const tied = tiedTokens(r, context);
+    if (tied.length > 0) {
+      ambiguous.push({ ...r, tied });
+    } else {
+      fixes.push(r);
     }
   }
 
-  return fixCount;
+  const requests = fixes.map((r) => ({
+    ...fixRequest(r, r, options.jsImport),
+    status: r.status,
+    distance: r.match.distance,
+  }));
+  return { plans: planEdits(requests), ambiguous };
 }
 
 /**
- * Save results as a baseline JSON file for future diffing.
+ * planEdits() request applying `replacement` ({ suggestion, replaces }) to
+ * a result. JS references replace the string literal from its opening
+ * quote and bring the --js-import statement along.
  */
-function saveBaseline(results, filePath) {
-  const baseline = results.map((r) => ({
+function fixRequest(r, { suggestion, replaces }, jsImport) {
+  const request = {
     file: r.file,
     line: r.line,
     column: r.column,
-    value: r.value,
-    hex: r.hex,
-    status: r.status,
-    context: r.context,
-  }));
+    value: replaces,
+    replacement: suggestion,
+  };
+  if (replaces === r.value) {
+    return request;
+  }
+  return { ...request, column: r.column - 1, importStatement: jsImport };
+}
 
-  const resolved = path.resolve(filePath);
-  fs.writeFileSync(resolved, JSON.stringify(baseline, null, 2), "utf-8");
-  console.log(`Baseline saved: ${baseline.length} entries to ${resolved}`);
+/**
+ * Tokens of a different color than a result's match whose distance is
+ * within TIE_WINDOW of it.
+ */
+function tiedTokens(r, { themes, metric, preferences }) {
+  const color = normalizeToHexAlpha(r.match.hex);
+  return rankTokens(r.value, themes, r.cssProperty, {
+    metric,
+    preferences,
+  }).filter(
+    (m) =>
+      m.distance - r.match.distance <= TIE_WINDOW &&
+      normalizeToHexAlpha(m.hex) !== color
+  );
 }
 
 /**
- * Diff current results against a baseline, returning only new issues.
+ * Run --fix: print the planned edits with --dry-run, otherwise write them
+ * and record them in the undo journal. `context` is { themes, metric,
+ * preferences }.
  */
-function diffAgainstBaseline(results, baselinePath) {
-  const resolved = path.resolve(baselinePath);
-  if (!fs.existsSync(resolved)) {
-    console.error(
-      `Warning: Baseline file not found: ${resolved}. Showing all results.`
-    );
-    return results;
+function runFixes(results, context, options) {
+  const { plans, ambiguous } = planFixes(results, context, options);
+  if (options.dryRun) {
+    printDryRun(plans, options.format, ambiguous);
+    return;
   }
+  applyPlans(
+    plans,
+    { command: "compare", journal: options.journal },
+    (edits) => {
+      const close = edits.filter((e) => e.status === "close");
+      return [
+        `Fixed ${edits.length - close.length} exact matches with var() replacements.`,
+        ...closeFixLines(close, ambiguous, options.fixClose),
+      ].join("\n");
+    }
+  );
+}
 
-  try {
-    const baseline = JSON.parse(fs.readFileSync(resolved, "utf-8"));
-    const baselineKeys = new Set(
-      baseline.map((b) => `${b.file}:${b.value}:${b.hex}`)
-    );
-
-    const newResults = results.filter(
-      (r) => !baselineKeys.has(`${r.file}:${r.value}:${r.hex}`)
-    );
-    console.log(
-      `Diff: ${newResults.length} new issues (${results.length - newResults.length} already in baseline)\n`
-    );
-    return newResults;
-  } catch {
-    console.error(
-      "Warning: Could not parse baseline file. Showing all results."
+/**
+ * Summary lines for --fix-close: each close match replaced with its
+ * distance, then those skipped because of tied tokens.
+ */
+function closeFixLines(close, ambiguous, maxClose) {
+  if (maxClose == null) {
+    return [];
+  }
+  const lines = [
+    `Fixed ${close.length} close matches (dE <= ${maxClose}):`,
+    ...close.map(
+      (e) =>
+        `  ${e.file}:${e.line}:${e.column}  ${e.value} -> ${e.replacement} (dE=${e.distance})`
+    ),
+  ];
+  if (ambiguous.length > 0) {
+    lines.push(
+      `Skipped ${ambiguous.length} close matches with another token within dE ${TIE_WINDOW}:`
     );
-    return results;
+    for (const r of ambiguous) {
+      const others = r.tied.map((m) => `${m.name} (dE=${m.distance})`);
+      lines.push(
+        `  ${r.file}:${r.line}:${r.column}  ${r.value} -> ${r.match.name} (dE=${r.match.distance}) or ${others.join(", ")}`
+      );
+    }
   }
+  return lines;
 }
 
 /**
- * Parse a variables file and return color name to hex mappings.
- * Supports CSS custom properties, JSON, and JS/TS exports.
+ * Run --interactive: review close and unmatched actionable colors one by
+ * one, then apply the accepted replacements in one pass (or print them with
+ * --dry-run) and add ignored colors to the config file.
+ * `context` is { themes, metric, preferences, paths }. Returns a promise.
  */
-function parseVariablesFile(filePath) {
-  const resolved = path.resolve(filePath);
-  if (!fs.existsSync(resolved)) {
-    console.error(`Error: File not found: ${resolved}`);
-    process.exitCode = 1;
-    return null;
+async function runReview(results, context, options) {
+  const items = reviewItems(results, context, options.jsImport);
+  if (items.length === 0) {
+    console.log("No close or unmatched colors to review.");
+    return;
   }
+  const { accepted, ignored } = await reviewResults(items, {
+    input: options.input,
+    output: options.output,
+  });
 
-  const content = fs.readFileSync(resolved, "utf-8");
-  const ext = path.extname(resolved).toLowerCase();
-
-  if (ext === ".json") {
-    return parseJsonColors(content);
-  }
-  if ([".css", ".scss", ".sass", ".less"].includes(ext)) {
-    return parseCssColors(content);
-  }
-  if ([".js", ".ts", ".mjs", ".cjs"].includes(ext)) {
-    return parseJsColors(content);
+  if (ignored.length > 0) {
+    const configPath = addIgnoredColors(
+      context.paths[0] || ".",
+      ignored.map(({ result }) => ({
+        file: result.file,
+        value: result.value,
+        text: result.lineText,
+      }))
+    );
+    if (configPath) {
+      console.log(`Ignored ${ignored.length} colors in ${configPath}.`);
+    }
   }
 
-  // Try all parsers as fallback
-  let result = parseCssColors(content);
-  if (Object.keys(result).length > 0) {
-    return result;
-  }
-  result = parseJsonColors(content);
-  if (Object.keys(result).length > 0) {
-    return result;
+  const plans = planEdits(
+    accepted.map(({ result, candidate }) => ({
+      ...fixRequest(result, candidate, options.jsImport),
+      status: result.status,
+      distance: candidate.match.distance,
+    }))
+  );
+  if (options.dryRun) {
+    printDryRun(plans, options.format);
+    return;
   }
-  return parseJsColors(content);
+  applyPlans(
+    plans,
+    { command: "compare", journal: options.journal },
+    (edits) => `Applied ${edits.length} reviewed replacements.`
+  );
 }
 
-function parseCssColors(content) {
-  const palette = {};
-  const regex =
-    /--([\w-]+)\s*:\s*(#[0-9a-fA-F]{3,8}|rgba?\([^)]+\)|hsla?\([^)]+\)|[a-zA-Z]+)\s*;?/g;
-  for (const match of content.matchAll(regex)) {
-    const hex = normalizeToHex(match[2].trim());
-    if (hex) {
-      palette[`--${match[1]}`] = hex;
+/**
+ * Review items for close and unmatched actionable results: the source line
+ * and up to MAX_REVIEW_CANDIDATES tokens whose suggestion --fix could
+ * apply (see replacesColorInPlace), closest first.
+ */
+function reviewItems(
+  results,
+  { themes, metric, preferences, jsTemplate },
+  jsImport
+) {
+  const sources = new Map();
+  const lineOf = (file, line) => {
+    if (!sources.has(file)) {
+      sources.set(file, readSource(file));
     }
-  }
-  return palette;
+    return sources.get(file)?.[line - 1];
+  };
+
+  return results
+    .filter(
+      (r) => r.actionable && (r.status === "close" || r.status === "unmatched")
+    )
+    .map((result) => {
+      const text = lineOf(result.file, result.line) ?? result.lineText;
+      const usage = colorUsage({ ...result, text }, jsTemplate);
+      const candidates = [];
+      for (const match of rankTokens(result.value, themes, result.cssProperty, {
+        metric,
+        preferences,
+      })) {
+        const candidate = {
+          match,
+          ...buildReplacement(match, "close", usage),
+        };
+        const fixable = { ...candidate, value: result.value };
+        if (candidate.suggestion && replacesColorInPlace(fixable, jsImport)) {
+          candidates.push(candidate);
+        }
+        if (candidates.length === MAX_REVIEW_CANDIDATES) {
+          break;
+        }
+      }
+      return { result, text, candidates };
+    });
 }
 
-function parseJsonColors(content) {
-  const palette = {};
+function readSource(file) {
   try {
-    flattenColors(JSON.parse(content), "", palette);
+    return fs.readFileSync(file, "utf-8").split("\n");
   } catch {
-    /* not valid JSON */
+    return null;
   }
-  return palette;
 }
 
-function parseJsColors(content) {
-  const palette = {};
-  const regex = /['"]?([\w-]+)['"]?\s*:\s*['"]([^'"]+)['"]/g;
-  for (const match of content.matchAll(regex)) {
-    const hex = normalizeToHex(match[2].trim());
-    if (hex) {
-      palette[match[1]] = hex;
+/**
+ * Tokens of the primary theme ranked by distance to a color (closest
+ * first; ties prefer tokens that fit the CSS property, as in
+ * findNearestColorSemantic). Other themes' tokens can't replace the color,
+ * so they are neither offered nor tied.
+ */
+function rankTokens(colorStr, themes, cssProp, { metric, preferences }) {
+  const rgb = parseColor(colorStr);
+  const theme = primaryTheme(themes);
+  if (!(rgb && theme)) {
+    return [];
+  }
+  const propCategory = cssProp ? getPropertyCategory(cssProp) : null;
+  const alpha = roundedAlpha(colorStr);
+  const { colors, tokens } = themes[theme];
+  const labelTheme = theme !== DEFAULT_THEME || Object.keys(themes).length > 1;
+  const ranked = [];
+
+  for (const [name, hex] of Object.entries(colors)) {
+    const paletteRgb = parseColor(hex);
+    const tokenAlpha = roundedAlpha(hex);
+    if (!paletteRgb || (tokenAlpha < 1 && tokenAlpha !== alpha)) {
+      continue;
+    }
+    const distance =
+      Math.round(colorDistance(rgb, paletteRgb, metric) * 100) / 100;
+    const match = buildMatch(name, hex, distance, tokens[name]);
+    if (labelTheme) {
+      match.theme = theme;
     }
+    const score = preferenceScore(name, propCategory, {
+      alphaMatches: tokenAlpha === alpha,
+      isAlias: Boolean(tokens[name]?.aliasOf),
+      preferences,
+    });
+    ranked.push({ match, score });
   }
-  return palette;
+
+  return ranked
+    .sort((a, b) => a.match.distance - b.match.distance || b.score - a.score)
+    .map(({ match }) => match);
 }
 
-function flattenColors(obj, prefix, result) {
-  for (const [key, value] of Object.entries(obj)) {
-    const fullKey = prefix ? `${prefix}.${key}` : key;
-    if (typeof value === "string") {
-      const hex = normalizeToHex(value);
-      if (hex) {
-        result[fullKey] = hex;
-      }
-    } else if (typeof value === "object" && value !== null) {
-      flattenColors(value, fullKey, result);
+/**
+ * Mark results ignored in the config file ("ignore": [{ file, value, text }])
+ * as skipped. `text` is the trimmed source line; entries without it ignore
+ * the value anywhere in the file.
+ */
+function markIgnored(results, ignore) {
+  if (!Array.isArray(ignore) || ignore.length === 0) {
+    return;
+  }
+  for (const r of results) {
+    const file = path.resolve(r.file);
+    const ignored = ignore.some(
+      (entry) =>
+        entry.file === file &&
+        entry.value === r.value &&
+        (entry.text == null || entry.text === r.lineText)
+    );
+    if (ignored) {
+      r.context = "ignored";
+      r.contextLabel = contextLabel("ignored");
+      r.actionable = false;
     }
   }
 }
 
-function outputJson(results, palette, threshold) {
+/**
+ * Print planned fixes without writing them (see printPlans), with the
+ * close matches --fix-close left alone because of tied tokens.
+ */
+function printDryRun(plans, format, ambiguous = []) {
+  printPlans(plans, {
+    command: "compare",
+    format,
+    extra: {
+      ambiguous: ambiguous.map((r) => ({
+        file: r.file,
+        line: r.line,
+        column: r.column,
+        value: r.value,
+        match: r.match,
+        tied: r.tied,
+      })),
+    },
+    summary: (edits) => {
+      const byStatus = countByKey(edits, "status");
+      const counts = Object.entries(DRY_RUN_LABELS)
+        .filter(([status]) => byStatus[status])
+        .map(([status, label]) => `${byStatus[status]} ${label}`);
+      const lines = [
+        `Would fix ${counts.join(" and ") || "0 exact matches"} in ${plans.length} files (dry run, no files written).`,
+      ];
+      for (const r of ambiguous) {
+        const others = r.tied.map((m) => m.name).join(", ");
+        lines.push(
+          `Skipped ${r.file}:${r.line}:${r.column}  ${r.value}: ${r.match.name} is tied with ${others}`
+        );
+      }
+      return lines.join("\n");
+    },
+  });
+}
+
+/**
+ * What compare baselines record: the options results depend on and the
+ * fields of each entry.
+ */
+function baselineSpec(options) {
+  return {
+    command: "compare",
+    options: {
+      vars: options.vars,
+      threshold: options.threshold,
+      metric: options.metric,
+      theme: options.theme,
+      named: options.named !== false,
+      include: options.include,
+      exclude: options.exclude,
+    },
+    fields: (r) => ({
+      line: r.line,
+      column: r.column,
+      value: r.value,
+      hex: r.hex,
+      status: r.status,
+      context: r.context,
+    }),
+  };
+}
+
+function outputJson(results, report) {
+  const { loaded, themeNames, threshold, metric } = report;
   const actionable = results.filter((r) => r.actionable);
   const skipped = results.filter((r) => !r.actionable);
 
   const output = {
     command: "compare",
-    palette,
+    palette: loaded.colors,
+    files: loaded.files,
+    conflicts: loaded.conflicts,
+    aliases: collectAliases(loaded.tokens),
+    themes: themeNames,
     threshold,
+    metric,
+    learned: report.preferences
+      ? describePreferences(report.preferences)
+      : undefined,
     summary: {
       total: results.length,
       actionable: actionable.length,
@@ -527,6 +1143,21 @@ function outputJson(results, palette, threshold) {
   console.log(JSON.stringify(output, null, 2));
 }
 
+function printConflicts(conflicts) {
+  if (conflicts.length === 0) {
+    return;
+  }
+  console.log(`--- PALETTE CONFLICTS (${conflicts.length}) ---`);
+  for (const c of conflicts) {
+    const theme = c.theme === DEFAULT_THEME ? "" : ` [${c.theme}]`;
+    console.log(`  ${c.name}${theme} (last definition wins)`);
+    for (const d of c.definitions) {
+      console.log(`    ${d.file}:${d.line ?? "?"}  ${d.value}`);
+    }
+  }
+  console.log("");
+}
+
 function printUnmatched(items) {
   if (items.length === 0) {
     return;
@@ -538,7 +1169,7 @@ function printUnmatched(items) {
       : "";
     const nameInfo = r.nameSuggestion ? ` [suggest: ${r.nameSuggestion}]` : "";
     console.log(
-      `  ${r.file}:${r.line}:${r.column}  ${r.value}${r.hex ? ` -> ${r.hex}` : ""}${nearestInfo}${nameInfo}`
+      `  ${r.file}:${r.line}:${r.column}  ${r.value}${r.hex ? ` -> ${r.hex}` : ""}${nearestInfo}${nameInfo}${themeNote(r)}`
     );
     console.log(`    ${r.lineText}`);
   }
@@ -553,7 +1184,7 @@ function printCloseMatches(items) {
   for (const r of items) {
     const replacement = r.suggestion ? ` | replace: ${r.suggestion}` : "";
     console.log(
-      `  ${r.file}:${r.line}:${r.column}  ${r.value} -> use ${r.match.name} (${r.match.hex}, dE=${r.match.distance})${replacement}`
+      `  ${r.file}:${r.line}:${r.column}  ${r.value} -> use ${matchLabel(r.match)} (${r.match.hex}, dE=${r.match.distance})${themeNote(r)}${replacement}`
     );
     console.log(`    ${r.lineText}`);
   }
@@ -568,7 +1199,7 @@ function printExactMatches(items) {
   for (const r of items) {
     const replacement = r.suggestion ? ` | replace: ${r.suggestion}` : "";
     console.log(
-      `  ${r.file}:${r.line}:${r.column}  ${r.value} -> ${r.match.name} (${r.match.hex})${replacement}`
+      `  ${r.file}:${r.line}:${r.column}  ${r.value} -> ${matchLabel(r.match)} (${r.match.hex})${themeNote(r)}${replacement}`
     );
     console.log(`    ${r.lineText}`);
   }
@@ -596,7 +1227,8 @@ function printSkipped(skipped) {
   console.log("");
 }
 
-function outputText(results, palette, threshold, varsFile) {
+function outputText(results, report) {
+  const { loaded, themeNames, threshold, metric } = report;
   if (results.length === 0) {
     console.log("No hardcoded colors found to compare.");
     return;
@@ -611,9 +1243,23 @@ function outputText(results, palette, threshold, varsFile) {
 
   console.log("\n=== Color Variable Comparison ===");
   console.log(
-    `Palette: ${Object.keys(palette).length} variables from ${path.basename(varsFile)}`
+    `Palette: ${Object.keys(loaded.colors).length} variables from ${loaded.files.map((f) => path.basename(f)).join(", ")}`
   );
-  console.log(`Threshold: delta-E <= ${threshold} for close matches`);
+  if (themeNames.length > 1 || themeNames[0] !== DEFAULT_THEME) {
+    console.log(`Themes: ${themeNames.join(", ")}`);
+  }
+  console.log(
+    `Threshold: delta-E (${metric}) <= ${threshold} for close matches`
+  );
+  if (report.preferences) {
+    const uses = [...report.preferences.values()].reduce(
+      (sum, p) => sum + p.uses,
+      0
+    );
+    console.log(
+      `Learned: property preferences of ${report.preferences.size} token families from ${uses} references (listed with --format json)`
+    );
+  }
   console.log(
     `Total found: ${results.length} | Actionable: ${actionable.length} | Skipped: ${skipped.length}`
   );
@@ -631,12 +1277,56 @@ function outputText(results, palette, threshold, varsFile) {
   }
   console.log("");
 
+  printConflicts(loaded.conflicts);
   printUnmatched(actUnmatched);
   printCloseMatches(actClose);
   printExactMatches(actExact);
   printSkipped(skipped);
 }
 
+/**
+ * Map of alias name -> primitive name for tokens resolved through var().
+ */
+function collectAliases(tokens) {
+  const aliases = {};
+  for (const [name, info] of Object.entries(tokens)) {
+    if (info.aliasOf) {
+      aliases[name] = info.aliasOf;
+    }
+  }
+  return aliases;
+}
+
+/**
+ * Format a matched token name for text output,
+ * e.g. "--bg (alias of --emerald-500) [dark] @ semantic.css:12".
+ */
+function matchLabel(match) {
+  const alias = match.aliasOf ? ` (alias of ${match.aliasOf})` : "";
+  const theme =
+    match.theme && match.theme !== DEFAULT_THEME ? ` [${match.theme}]` : "";
+  const source = match.source
+    ? ` @ ${path.basename(match.source.file)}:${match.source.line ?? "?"}`
+    : "";
+  return `${match.name}${alias}${theme}${source}`;
+}
+
+/**
+ * List other themes with an exact match that the result's own match isn't,
+ * e.g. " | dark: --surface". These tokens only hold in their theme, so they
+ * are reported but never suggested.
+ */
+function themeNote(r) {
+  if (!r.themeMatches) {
+    return "";
+  }
+  const exact = r.match?.distance === 0 ? r.match.name : null;
+  const others = Object.entries(r.themeMatches)
+    .filter(([, m]) => m.distance === 0 && m.name !== exact)
+    .map(([theme, m]) => `${theme}: ${m.name}`);
+  return others.length > 0 ? ` | ${others.join(", ")}` : "";
+}
+
 function groupByContext(results) {
   const grouped = {};
   for (const r of results) {
@@ -649,4 +1339,19 @@ function groupByContext(results) {
   return grouped;
 }
 
-module.exports = { compareVars, parseVariablesFile };
+module.exports = {
+  compareVars,
+  compareColors,
+  loadThemes,
+  findNearestColorSemantic,
+  buildReplacement,
+  colorUsage,
+  fixRequest,
+  replacesColorInPlace,
+  readSource,
+  loadPalette,
+  parseVariablesFile,
+  resolveMetric,
+  PROPERTY_CATEGORIES,
+  TIE_WINDOW,
+};
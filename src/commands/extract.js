@@ -0,0 +1,267 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const {
+  compareColors,
+  buildReplacement,
+  colorUsage,
+  fixRequest,
+  replacesColorInPlace,
+  readSource,
+} = require("./compare-vars");
+const {
+  definitionsTarget,
+  groupColors,
+  nameTokens,
+  bareName,
+  renderTokens,
+  tokenMatch,
+} = require("../extract-tokens");
+const { planEdits, applyPlans, printPlans } = require("../fixer");
+const { relativePath } = require("../utils");
+
+// Colors this close (in the chosen metric) become one token by default
+const DEFAULT_MERGE = 2;
+const SASS_EXTENSION_RE = /\.s[ac]ss$/i;
+const SASS_PARTIAL_RE = /(^|\/)_(?=[^/]*$)/;
+
+/**
+ * Turn the unmatched actionable colors of `compare` into new tokens:
+ * perceptually identical colors are merged, and each token gets a name that
+ * clashes with neither the palette nor the other new tokens.
+ *
+ * Options (palette, search and matching options as for `compare`):
+ *   --merge <dE>     Merge colors within this distance (default: 2).
+ *   --syntax <s>     css, scss, dtcg or tailwind (v4 @theme); defaults to
+ *                    the --out extension (.scss, .json), otherwise css.
+ *   --out <file>     Write the definitions to this new file.
+ *   --fix            With --out, replace the colors with the new tokens
+ *                    (with scss, fixed files also @use the --out file).
+ *   --dry-run        With --fix, print the edits instead of writing.
+ *   --journal <file> Undo journal for --fix edits (see `revert`).
+ *   --js-template <t>, --js-import <s>  JS references, as for `compare`.
+ */
+function extractTokens(paths, options) {
+  const settings = extractSettings(options);
+  if (!settings) {
+    return;
+  }
+  const compared = compareColors(paths, options);
+  if (!compared) {
+    return;
+  }
+
+  const unmatched = compared.results.filter(
+    (r) => r.actionable && r.status === "unmatched" && r.hex
+  );
+  const taken = new Set();
+  for (const { colors } of Object.values(compared.themes)) {
+    for (const name of Object.keys(colors)) {
+      taken.add(bareName(name));
+    }
+  }
+  const tokens = nameTokens(
+    groupColors(unmatched, { merge: settings.merge, metric: compared.metric }),
+    { syntax: settings.syntax, taken, tokenName: options.tokenName }
+  );
+  const report = {
+    ...settings,
+    metric: compared.metric,
+    colors: new Set(tokens.flatMap((t) => t.colors)).size,
+    definitions: renderTokens(tokens, settings.syntax),
+  };
+
+  if (options.fix) {
+    runFixes(tokens, report, options);
+    return;
+  }
+  if (report.out && tokens.length > 0) {
+    fs.writeFileSync(report.out, report.definitions, "utf-8");
+  }
+  if (options.format === "json") {
+    outputJson(tokens, report);
+  } else {
+    outputText(tokens, report);
+  }
+}
+
+/**
+ * Validate the extract options: { syntax, out, merge }, or null after
+ * printing an error.
+ */
+function extractSettings(options) {
+  const target = definitionsTarget(options);
+  const merge =
+    options.merge == null ? DEFAULT_MERGE : Number.parseFloat(options.merge);
+  const error = target.error || optionError(options, merge);
+  if (error) {
+    console.error(`Error: ${error}`);
+    process.exitCode = 1;
+    return null;
+  }
+  return { ...target, merge };
+}
+
+function optionError(options, merge) {
+  if (!(merge >= 0)) {
+    return `--merge must be a distance of 0 or more, got "${options.merge}".`;
+  }
+  if (options.dryRun && !options.fix) {
+    return "--dry-run previews --fix. Use --fix --dry-run.";
+  }
+  if (options.fix && !options.out) {
+    return "extract --fix needs --out <file> for the tokens its replacements use.";
+  }
+  return null;
+}
+
+/**
+ * planEdits() requests replacing each use of a token with a reference to
+ * it, built like compare's suggestions (var(), SCSS variables, JS
+ * references). Returns { requests, skipped }: uses the reference can't
+ * replace in place, such as SCSS variables outside .scss files, are counted
+ * in `skipped`. SCSS references also `@use` the --out file, so the
+ * variables they name are in scope.
+ */
+function tokenRequests(tokens, { syntax, out }, options) {
+  const sources = new Map();
+  const lineOf = (file, line) => {
+    if (!sources.has(file)) {
+      sources.set(file, readSource(file));
+    }
+    return sources.get(file)?.[line - 1];
+  };
+
+  const requests = [];
+  let skipped = 0;
+  for (const token of tokens) {
+    const match = tokenMatch(token, syntax);
+    for (const r of token.usages) {
+      const text = lineOf(r.file, r.line) ?? r.lineText;
+      const usage = colorUsage({ ...r, text }, options.jsTemplate);
+      const replacement = buildReplacement(match, "exact", usage);
+      const fixable = { ...r, match, ...replacement };
+      if (
+        replacement.suggestion &&
+        replacesColorInPlace(fixable, options.jsImport)
+      ) {
+        const request = fixRequest(r, replacement, options.jsImport);
+        if (syntax === "scss") {
+          request.importStatement = sassUse(r.file, out);
+        }
+        requests.push({ ...request, token: token.name });
+      } else {
+        skipped++;
+      }
+    }
+  }
+  return { requests, skipped };
+}
+
+/**
+ * `@use` rule loading the tokens file `out` from `file`: the relative path
+ * without the extension or partial underscore, with its members unprefixed.
+ */
+function sassUse(file, out) {
+  const url = relativePath(path.dirname(path.resolve(file)), out)
+    .replace(SASS_EXTENSION_RE, "")
+    .replace(SASS_PARTIAL_RE, "$1");
+  return `@use "${url}" as *;`;
+}
+
+/**
+ * --fix: write the definitions to --out and replace the colors with the new
+ * tokens, or with --dry-run print the planned edits and write nothing.
+ */
+function runFixes(tokens, report, options) {
+  if (tokens.length === 0) {
+    console.log("No unmatched actionable colors to extract.");
+    return;
+  }
+  const { requests, skipped } = tokenRequests(tokens, report, options);
+  const plans = planEdits(requests);
+  const fileCount = (edits) => new Set(edits.map((edit) => edit.file)).size;
+  const skippedNote =
+    skipped > 0
+      ? `\nLeft ${skipped} uses that can't reference the new tokens in place (e.g. SCSS variables outside .scss files).`
+      : "";
+  if (options.dryRun) {
+    printPlans(plans, {
+      command: "extract",
+      format: options.format,
+      summary: (edits) =>
+        `Would add ${tokens.length} tokens to ${report.out} and replace ${edits.length} colors in ${fileCount(edits)} files (dry run, no files written).${skippedNote}`,
+      extra: {
+        out: report.out,
+        syntax: report.syntax,
+        definitions: report.definitions,
+      },
+    });
+    return;
+  }
+  fs.writeFileSync(report.out, report.definitions, "utf-8");
+  console.log(`Wrote ${tokens.length} tokens to ${report.out}`);
+  applyPlans(
+    plans,
+    { command: "extract", journal: options.journal },
+    (edits) =>
+      `Replaced ${edits.length} colors with extracted tokens in ${fileCount(edits)} files.${skippedNote}`
+  );
+}
+
+function outputJson(tokens, report) {
+  const output = {
+    command: "extract",
+    syntax: report.syntax,
+    out: report.out,
+    merge: report.merge,
+    metric: report.metric,
+    summary: {
+      colors: report.colors,
+      uses: tokens.reduce((sum, t) => sum + t.usages.length, 0),
+      tokens: tokens.length,
+    },
+    tokens: tokens.map((t) => ({
+      name: t.name,
+      path: t.path,
+      value: t.value,
+      merged: t.colors.slice(1),
+      uses: t.usages.length,
+      locations: t.usages.map((r) => ({
+        file: r.file,
+        line: r.line,
+        column: r.column,
+        value: r.value,
+      })),
+    })),
+    definitions: report.definitions,
+  };
+  console.log(JSON.stringify(output, null, 2));
+}
+
+function outputText(tokens, report) {
+  if (tokens.length === 0) {
+    console.log("No unmatched actionable colors to extract.");
+    return;
+  }
+  const uses = tokens.reduce((sum, t) => sum + t.usages.length, 0);
+  console.log("\n=== Extracted Tokens ===");
+  console.log(
+    `${report.colors} unmatched colors (${uses} uses) -> ${tokens.length} tokens (merged within dE ${report.merge}, ${report.metric})\n`
+  );
+  for (const t of tokens) {
+    const files = new Set(t.usages.map((r) => r.file)).size;
+    const merged =
+      t.colors.length > 1 ? ` (merges ${t.colors.slice(1).join(", ")})` : "";
+    console.log(
+      `  ${t.name}: ${t.value}  ${t.usages.length} uses in ${files} files${merged}`
+    );
+  }
+  if (report.out) {
+    console.log(`\nWrote ${tokens.length} tokens to ${report.out}`);
+    return;
+  }
+  console.log(`\n--- Definitions (${report.syntax}) ---`);
+  console.log(report.definitions);
+}
+
+module.exports = { extractTokens };
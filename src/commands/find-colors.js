@@ -14,10 +14,23 @@ const {
   isInBlockComment,
 } = require("../context-classifier");
 const { groupByFile, countByKey } = require("../utils");
+const { applyBaseline } = require("../baseline");
 
 const TYPE_ANNOTATION_RE = /:\s*(string|number|boolean|void|any)\b/;
 const NAMED_COLOR_EXTRACT_RE = /:\s*['"]?([a-zA-Z]+)['"]?\s*[;,}]?\s*$/;
 
+// Keywords in the named color list that don't name a fixed color
+const NOT_COLORS = [
+  "inherit",
+  "initial",
+  "unset",
+  "revert",
+  "currentcolor",
+  "transparent",
+  "none",
+  "auto",
+];
+
 /**
  * Find all hardcoded color values in source files.
  *
@@ -25,6 +38,39 @@ const NAMED_COLOR_EXTRACT_RE = /:\s*['"]?([a-zA-Z]+)['"]?\s*[;,}]?\s*$/;
  * color(), and optionally CSS named colors.
  */
 function findColors(paths, options) {
+  const results = collectColors(paths, options);
+  const finalResults = applyBaseline(results, options, {
+    command: "colors",
+    options: {
+      named: options.named !== false,
+      include: options.include,
+      exclude: options.exclude,
+    },
+    fields: (r) => ({
+      line: r.line,
+      column: r.column,
+      value: r.value,
+      hex: r.hex,
+      context: r.context,
+    }),
+  });
+  if (!finalResults) {
+    return;
+  }
+
+  // Output
+  if (options.format === "json") {
+    outputJson(finalResults);
+  } else {
+    outputText(finalResults);
+  }
+}
+
+/**
+ * All colors in `paths` with their context, deduplicated and sorted by
+ * position: what `colors` reports and `palette-cluster` groups.
+ */
+function collectColors(paths, options) {
   clearCache();
   const results = [];
 
@@ -109,13 +155,7 @@ function findColors(paths, options) {
     (a, b) =>
       a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column
   );
-
-  // Output
-  if (options.format === "json") {
-    outputJson(deduped);
-  } else {
-    outputText(deduped);
-  }
+  return deduped;
 }
 
 /**
@@ -124,6 +164,45 @@ function findColors(paths, options) {
 function findNamedColors(paths, options) {
   const results = [];
 
+  for (const result of searchNamedColors(paths, options)) {
+    // Skip if in a comment
+    const trimmedText = result.text.trimStart();
+    if (
+      trimmedText.startsWith("//") ||
+      trimmedText.startsWith("*") ||
+      trimmedText.startsWith("/*")
+    ) {
+      continue;
+    }
+
+    const colorName = result.match.toLowerCase();
+    const ctx = classifyContext(result);
+    results.push({
+      file: result.file,
+      line: result.line,
+      column: result.column,
+      value: colorName,
+      type: "named",
+      hex: NAMED_COLORS[colorName] || null,
+      lineText: result.text.trim(),
+      context: ctx,
+      contextLabel: contextLabel(ctx),
+      actionable: isActionable(ctx),
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Search for named CSS colors after a color property, in CSS
+ * (`color: red;`) and JS/JSX (`color: 'red'`). Returns search results
+ * ({ file, line, column, match, text }) for the color name itself: `match`
+ * is the name as written and `column` where it starts.
+ */
+function searchNamedColors(paths, options) {
+  const results = [];
+
   // Build a pattern matching CSS color properties followed by a word
   const cssProps = CSS_COLOR_PROPERTIES.join("|");
   const jsProps = JS_COLOR_PROPERTIES.join("|");
@@ -149,48 +228,16 @@ function findNamedColors(paths, options) {
       }
 
       const colorName = colorMatch[1].toLowerCase();
-      if (!NAMED_COLOR_SET.has(colorName)) {
-        continue;
-      }
-
-      // Skip common false positives
-      if (
-        [
-          "inherit",
-          "initial",
-          "unset",
-          "revert",
-          "currentcolor",
-          "transparent",
-          "none",
-          "auto",
-        ].includes(colorName)
-      ) {
-        continue;
-      }
-
-      // Skip if in a comment
-      const trimmedText = result.text.trimStart();
-      if (
-        trimmedText.startsWith("//") ||
-        trimmedText.startsWith("*") ||
-        trimmedText.startsWith("/*")
-      ) {
+      if (!NAMED_COLOR_SET.has(colorName) || NOT_COLORS.includes(colorName)) {
         continue;
       }
 
-      const ctx = classifyContext(result);
+      // Point at the name, not the property before it
+      const offset = colorMatch.index + colorMatch[0].indexOf(colorMatch[1], 1);
       results.push({
-        file: result.file,
-        line: result.line,
-        column: result.column,
-        value: colorName,
-        type: "named",
-        hex: NAMED_COLORS[colorName] || null,
-        lineText: result.text.trim(),
-        context: ctx,
-        contextLabel: contextLabel(ctx),
-        actionable: isActionable(ctx),
+        ...result,
+        column: result.column + offset,
+        match: colorMatch[1],
       });
     }
   }
@@ -278,4 +325,4 @@ function countByType(results) {
   return counts;
 }
 
-module.exports = { findColors };
+module.exports = { findColors, collectColors, searchNamedColors };
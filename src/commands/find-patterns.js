@@ -1,4 +1,5 @@
 const { search } = require("../search");
+const { applyBaseline } = require("../baseline");
 
 const CLASS_ATTR_RE = /(?:className|class)=["']([^"']*)["']/;
 const WHITESPACE_RE = /\s+/;
@@ -76,11 +77,65 @@ function findPatterns(paths, options) {
   // 5. Detect subset relationships between found patterns
   const subsetRelations = findSubsetRelations(patterns);
 
+  const reported = baselinePatterns(patterns, options, {
+    minCount,
+    minClasses,
+  });
+  if (!reported) {
+    return;
+  }
+
   if (options.format === "json") {
-    outputJson(patterns, subPatterns, subsetRelations, minCount, minClasses);
+    outputJson(reported, subPatterns, subsetRelations, minCount, minClasses);
   } else {
-    outputText(patterns, subPatterns, subsetRelations, minCount, minClasses);
+    outputText(reported, subPatterns, subsetRelations, minCount, minClasses);
+  }
+}
+
+/**
+ * --baseline / --diff for patterns. Each location is a baseline entry
+ * keyed by the normalized pattern and its line; with --diff, patterns keep
+ * only their new locations (occurrences still counts all of them) and
+ * patterns without any are dropped. Returns null after a baseline error.
+ */
+function baselinePatterns(patterns, options, { minCount, minClasses }) {
+  const items = patterns.flatMap((p) =>
+    p.locations.map((location) => ({
+      file: location.file,
+      line: location.line,
+      column: location.column,
+      value: p.normalized,
+      context: location.context,
+      location,
+    }))
+  );
+  const fresh = applyBaseline(items, options, {
+    command: "patterns",
+    options: {
+      minCount,
+      minClasses,
+      include: options.include,
+      exclude: options.exclude,
+    },
+    fields: (item) => ({
+      line: item.line,
+      column: item.column,
+      value: item.value,
+    }),
+  });
+  if (!fresh) {
+    return null;
+  }
+  if (!options.diff) {
+    return patterns;
   }
+  const kept = new Set(fresh.map((item) => item.location));
+  return patterns
+    .map((p) => ({
+      ...p,
+      locations: p.locations.filter((l) => kept.has(l)),
+    }))
+    .filter((p) => p.locations.length > 0);
 }
 
 /**
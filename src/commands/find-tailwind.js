@@ -7,28 +7,45 @@ const {
   detectTailwindVersion,
   parseTailwindV4Theme,
   TAILWIND_V4_PATTERNS,
+  findV4EntryPoints,
+  themeUtilityClass,
 } = require("../tailwind-colors");
-const { normalizeToHex, findNearestColor } = require("../color-utils");
+const {
+  normalizeToHex,
+  findNearestColor,
+  roundedAlpha,
+} = require("../color-utils");
 const { groupByFile, countByKey } = require("../utils");
+const { planEdits, applyPlans, printPlans } = require("../fixer");
+const { applyBaseline } = require("../baseline");
 
 const CSS_FILE_RE = /\.css$/;
 const ARB_VALUE_RE = /^(\w+)-\[([^\]]+)\]$/;
 const STD_COLOR_RE = /^(\w+)-(\w+)-(\d+)(?:\/(\d+))?$/;
 const SPEC_COLOR_RE = /^(\w+)-(\w+)(?:\/(\d+))?$/;
+const UNDERSCORE_RE = /_/g;
+// Opacity modifier right after an arbitrary class: bg-[#10b981]/50
+const OPACITY_MODIFIER_RE = /^\/(?:\d+|\[[^\]]*\])/;
 
 /**
  * Match an arbitrary color value against a theme palette.
  */
-function matchArbitraryToTheme(entry, arbitrary, palette, threshold) {
-  const arbHex = normalizeToHex(arbitrary);
+function matchArbitraryToTheme(entry, arbitrary, loaded, threshold, metric) {
+  // Tailwind arbitrary values use underscores for spaces: oklch(0.7_0.1_160)
+  const colorValue = arbitrary.replace(UNDERSCORE_RE, " ");
+  const arbHex = normalizeToHex(colorValue);
   if (!arbHex) {
     return;
   }
 
-  const nearest = findNearestColor(arbitrary, palette);
+  const nearest = findNearestColor(colorValue, loaded.colors, metric);
   if (!nearest) {
     return;
   }
+  const token = loaded.tokens[nearest.name];
+  if (token?.file) {
+    nearest.source = { file: token.file, line: token.line };
+  }
 
   entry.arbitraryMatch = nearest;
   if (nearest.distance === 0) {
@@ -40,6 +57,63 @@ function matchArbitraryToTheme(entry, arbitrary, palette, threshold) {
   }
 }
 
+/**
+ * Set `replacement` on an exact arbitrary match: the theme utility that can
+ * replace the arbitrary class (bg-[#10b981] -> bg-primary). Only the class
+ * itself is replaced, so variants (hover:, dark:) and an opacity modifier
+ * after it stay as they are.
+ */
+function addThemeClass(entry, text, palette, version) {
+  if (entry.arbitraryStatus !== "exact") {
+    return;
+  }
+  const index = text.indexOf(entry.value, Math.max(0, entry.column - 2));
+  const after = index >= 0 ? text.slice(index + entry.value.length) : "";
+  const replacement = themeClass(entry, palette, {
+    version,
+    hasModifier: OPACITY_MODIFIER_RE.test(after),
+  });
+  if (replacement) {
+    entry.replacement = replacement;
+    entry.suggestion = `Replace ${entry.value} with ${replacement}`;
+  }
+}
+
+/**
+ * Theme utility for an arbitrary color class, from the palette tokens with
+ * exactly its color (named theme utilities first). Opaque tokens take the
+ * color's alpha as an opacity modifier (bg-brand-500/40), unless the class
+ * already has one. Returns null when no token fits.
+ */
+function themeClass(entry, palette, { version, hasModifier }) {
+  const colorValue = entry.arbitrary.replace(UNDERSCORE_RE, " ");
+  const hex = normalizeToHex(colorValue);
+  const alpha = roundedAlpha(colorValue);
+  let best = null;
+  for (const [name, value] of Object.entries(palette.colors)) {
+    const tokenAlpha = roundedAlpha(value);
+    const needsModifier = tokenAlpha === 1 && alpha < 1;
+    if (
+      normalizeToHex(value) !== hex ||
+      (tokenAlpha < 1 && tokenAlpha !== alpha) ||
+      (needsModifier && hasModifier)
+    ) {
+      continue;
+    }
+    const utility = themeUtilityClass(
+      entry.prefix,
+      name,
+      palette.tokens[name],
+      version
+    );
+    if (utility && !(best?.themed || (best && !utility.themed))) {
+      const opacity = needsModifier ? `/${Math.round(alpha * 100)}` : "";
+      best = { ...utility, className: `${utility.className}${opacity}` };
+    }
+  }
+  return best?.className || null;
+}
+
 /**
  * Find all Tailwind CSS color utility classes in source files.
  *
@@ -48,8 +122,21 @@ function matchArbitraryToTheme(entry, arbitrary, palette, threshold) {
  * Options:
  *   --vars <file>   Optional. Compare arbitrary values against a palette.
  *   --threshold <n> Delta-E distance for close matches (default: 10).
+ *   --metric <name> Distance metric: cie76, cie94, ciede2000, oklab.
+ *   --fix           Replace arbitrary classes that exactly match a palette
+ *                   color with its theme utility (bg-[#10b981] -> bg-primary).
+ *   --dry-run       With --fix, print the edits as a diff instead of writing.
+ *   --journal <file> Undo journal for --fix (see `revert`).
+ *   --baseline <file> Save the classes found to a baseline file.
+ *   --diff <file>   Only report classes not in a baseline (--fix only
+ *                   those); --rename-map as for `compare`.
  */
 function findTailwind(paths, options) {
+  if (options.dryRun && !options.fix) {
+    console.error("Error: --dry-run previews --fix. Use --fix --dry-run.");
+    process.exitCode = 1;
+    return;
+  }
   const pattern = buildTailwindColorPattern();
   const rawResults = search(pattern, paths, {
     include: options.include,
@@ -60,11 +147,11 @@ function findTailwind(paths, options) {
   const twVersion = options.tailwindVersion || detectTailwindVersion(paths);
 
   // Load palette for arbitrary value matching
-  let palette = null;
-  if (options.vars) {
-    const { parseVariablesFile } = require("./compare-vars");
-    palette = parseVariablesFile(options.vars);
+  const loaded = loadArbitraryPalette(paths, options);
+  if (!loaded) {
+    return;
   }
+  const { palette, metric } = loaded;
   const threshold = Number.parseFloat(options.threshold) || 10;
 
   // Post-process: validate and extract Tailwind color classes
@@ -104,7 +191,8 @@ function findTailwind(paths, options) {
 
     // Check arbitrary values against palette
     if (info.arbitrary && palette) {
-      matchArbitraryToTheme(entry, info.arbitrary, palette, threshold);
+      matchArbitraryToTheme(entry, info.arbitrary, palette, threshold, metric);
+      addThemeClass(entry, result.text, palette, twVersion);
     }
 
     results.push(entry);
@@ -132,13 +220,85 @@ function findTailwind(paths, options) {
       a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column
   );
 
-  if (options.format === "json") {
-    outputJson(deduped, twVersion, v4Info);
+  // Baseline entries fingerprint the class with its line (`context`)
+  const finalResults = applyBaseline(deduped, options, {
+    command: "tailwind",
+    options: { include: options.include, exclude: options.exclude },
+    fields: (r) => ({
+      line: r.line,
+      column: r.column,
+      value: r.value,
+      arbitrary: r.arbitrary,
+    }),
+  });
+  if (!finalResults) {
+    return;
+  }
+
+  if (options.fix) {
+    runFixes(finalResults, options);
+  } else if (options.format === "json") {
+    outputJson(finalResults, twVersion, v4Info, metric);
   } else {
-    outputText(deduped, twVersion, v4Info);
+    outputText(finalResults, twVersion, v4Info);
   }
 }
 
+/**
+ * Palette for arbitrary value matching: --vars, or for --fix the Tailwind
+ * v4 CSS entry points when no --vars is given. Returns { palette, metric }
+ * (both null without a palette), or null after printing an error.
+ */
+function loadArbitraryPalette(paths, options) {
+  const files = options.vars || (options.fix ? findV4EntryPoints(paths) : []);
+  if (files.length === 0) {
+    if (options.fix) {
+      console.error(
+        "Error: tailwind --fix needs a palette. Use --vars <file> with your theme colors."
+      );
+      process.exitCode = 1;
+      return null;
+    }
+    return { palette: null, metric: null };
+  }
+  const { loadPalette } = require("../palette");
+  const { resolveMetric } = require("./compare-vars");
+  const metric = resolveMetric(options.metric);
+  if (!metric) {
+    return null;
+  }
+  const palette = loadPalette(files, {
+    tokenName: options.tokenName,
+    jsRef: options.jsRef,
+  });
+  return { palette, metric };
+}
+
+/**
+ * Replace arbitrary classes with their theme utilities (--fix), or preview
+ * the edits with --dry-run. Uses the same planning and undo journal as
+ * `compare --fix`.
+ */
+function runFixes(results, options) {
+  const plans = planEdits(results.filter((r) => r.replacement));
+  const fileCount = (edits) => new Set(edits.map((edit) => edit.file)).size;
+  if (options.dryRun) {
+    printPlans(plans, {
+      command: "tailwind",
+      format: options.format,
+      summary: (edits) =>
+        `Would replace ${edits.length} arbitrary color classes in ${fileCount(edits)} files (dry run, no files written).`,
+    });
+    return;
+  }
+  applyPlans(
+    plans,
+    { command: "tailwind", journal: options.journal },
+    (edits) =>
+      `Replaced ${edits.length} arbitrary color classes with theme utilities in ${fileCount(edits)} files.`
+  );
+}
+
 const V4_CSS_ENTRIES = [
   "tailwind.css",
   "globals.css",
@@ -251,7 +411,7 @@ function parseTailwindColorClass(cls) {
   return null;
 }
 
-function outputJson(results, twVersion, v4Info) {
+function outputJson(results, twVersion, v4Info, metric) {
   const grouped = groupByFile(results);
   const arbitrary = results.filter((r) => r.arbitrary);
   const arbitraryWithMatch = arbitrary.filter((r) => r.arbitraryMatch);
@@ -270,6 +430,9 @@ function outputJson(results, twVersion, v4Info) {
     results: grouped,
   };
 
+  if (metric) {
+    output.metric = metric;
+  }
   if (v4Info) {
     output.v4 = v4Info;
   }
@@ -0,0 +1,216 @@
+const fs = require("node:fs");
+const { collectColors } = require("./find-colors");
+const { resolveMetric } = require("./compare-vars");
+const { clusterColors } = require("../color-clusters");
+const {
+  definitionsTarget,
+  nameTokens,
+  renderTokens,
+} = require("../extract-tokens");
+
+// Colors this close (in the chosen metric) can share a cluster by default
+const DEFAULT_THRESHOLD = 10;
+
+// Member colors listed per cluster in text output
+const MAX_TEXT_MEMBERS = 8;
+
+// Clusters whose members are this far apart (only reachable with
+// --clusters) no longer stand for one color: their name and value come from
+// the medoid alone, so they are flagged
+const WIDE_SPREAD = 2 * DEFAULT_THRESHOLD;
+
+/**
+ * Group the actionable colors found by `colors` into perceptual clusters to
+ * propose a minimal palette. Colors are clustered by their opaque hex (alpha
+ * is ignored, translucent uses count toward their base color) with
+ * complete linkage, so all colors of a cluster are within the threshold of
+ * each other.
+ *
+ * Options:
+ *   --threshold <dE> Largest distance within a cluster (default: 10).
+ *   --clusters <n>   Merge until this many clusters remain instead;
+ *                    clusters spread far beyond the default threshold
+ *                    get a warning.
+ *   --metric <name>  Distance metric: cie76, cie94, ciede2000, oklab.
+ *   --out <file>     Write the representatives as a starting palette.
+ *   --syntax <s>     css, scss, dtcg or tailwind (v4 @theme); defaults to
+ *                    the --out extension (.scss, .json), otherwise css.
+ */
+function paletteCluster(paths, options) {
+  const settings = clusterSettings(options);
+  if (!settings) {
+    return;
+  }
+
+  const results = collectColors(paths, options);
+  const actionable = results.filter((r) => r.actionable && r.hex);
+  const byHex = new Map();
+  for (const r of actionable) {
+    if (!byHex.has(r.hex)) {
+      byHex.set(r.hex, { hex: r.hex, usages: [] });
+    }
+    byHex.get(r.hex).usages.push(r);
+  }
+  const colors = [...byHex.values()].map((c) => ({
+    ...c,
+    weight: c.usages.length,
+  }));
+
+  const clusters = clusterColors(colors, settings).map((cluster) => {
+    const members = cluster.members
+      .map((i) => colors[i])
+      .sort((a, b) => b.weight - a.weight || a.hex.localeCompare(b.hex));
+    return {
+      value: colors[cluster.representative].hex,
+      alpha: 1,
+      spread: Math.round(cluster.spread * 100) / 100,
+      members,
+      usages: members.flatMap((m) => m.usages),
+    };
+  });
+  nameTokens(clusters, { syntax: settings.syntax, taken: new Set() });
+
+  const report = {
+    ...settings,
+    colors: colors.length,
+    uses: actionable.length,
+    skipped: results.length - actionable.length,
+    definitions: renderTokens(clusters, settings.syntax),
+  };
+  if (report.out && clusters.length > 0) {
+    fs.writeFileSync(report.out, report.definitions, "utf-8");
+  }
+  if (options.format === "json") {
+    outputJson(clusters, report);
+  } else {
+    outputText(clusters, report);
+  }
+  warnWideClusters(clusters);
+}
+
+/**
+ * Warn about clusters whose spread is far beyond the default threshold:
+ * the exported token is named and valued after one member, so the others
+ * (blues in a cluster named red) would silently be renamed.
+ */
+function warnWideClusters(clusters) {
+  for (const c of clusters.filter((cluster) => cluster.spread > WIDE_SPREAD)) {
+    const listed = c.members.slice(0, MAX_TEXT_MEMBERS).map((m) => m.hex);
+    const more = c.members.length - listed.length;
+    console.error(
+      `Warning: ${c.name} (${c.value}) groups colors up to dE ${c.spread} apart: ${listed.join(", ")}${more > 0 ? `, +${more} more` : ""}. Its name and value only fit ${c.value}; use more --clusters or a --threshold.`
+    );
+  }
+}
+
+/**
+ * Validate the options: { metric, threshold, count, syntax, out }, or null
+ * after printing an error.
+ */
+function clusterSettings(options) {
+  const metric = resolveMetric(options.metric);
+  if (!metric) {
+    return null;
+  }
+  const target = definitionsTarget(options);
+  const threshold =
+    options.threshold == null
+      ? DEFAULT_THRESHOLD
+      : Number.parseFloat(options.threshold);
+  const count =
+    options.clusters == null ? null : Number.parseInt(options.clusters, 10);
+  const error = target.error || optionError(options, threshold, count);
+  if (error) {
+    console.error(`Error: ${error}`);
+    process.exitCode = 1;
+    return null;
+  }
+  return {
+    ...target,
+    metric,
+    threshold: count == null ? threshold : null,
+    count,
+  };
+}
+
+function optionError(options, threshold, count) {
+  if (!(threshold >= 0)) {
+    return `--threshold must be a distance of 0 or more, got "${options.threshold}".`;
+  }
+  if (count != null && !(count >= 1)) {
+    return `--clusters must be a count of 1 or more, got "${options.clusters}".`;
+  }
+  return null;
+}
+
+function outputJson(clusters, report) {
+  const output = {
+    command: "palette-cluster",
+    metric: report.metric,
+    threshold: report.threshold,
+    clusters: report.count,
+    summary: {
+      colors: report.colors,
+      uses: report.uses,
+      clusters: clusters.length,
+      skipped: report.skipped,
+    },
+    palette: clusters.map((c) => ({
+      name: c.name,
+      representative: c.value,
+      uses: c.usages.length,
+      spread: c.spread,
+      files: [...new Set(c.usages.map((r) => r.file))].sort(),
+      members: c.members.map((m) => ({
+        hex: m.hex,
+        uses: m.weight,
+        values: [...new Set(m.usages.map((r) => r.value))],
+      })),
+    })),
+    syntax: report.syntax,
+    out: report.out,
+    definitions: report.definitions,
+  };
+  console.log(JSON.stringify(output, null, 2));
+}
+
+function outputText(clusters, report) {
+  if (clusters.length === 0) {
+    console.log("No actionable colors to cluster.");
+    return;
+  }
+  const rule =
+    report.count == null
+      ? `dE <= ${report.threshold}`
+      : `${report.count} clusters`;
+  console.log("\n=== Palette Clusters ===");
+  console.log(
+    `${report.colors} distinct colors (${report.uses} actionable uses) -> ${clusters.length} clusters (${rule}, ${report.metric})`
+  );
+  if (report.skipped > 0) {
+    console.log(`Skipped ${report.skipped} non-actionable colors`);
+  }
+  console.log("");
+
+  for (const [i, c] of clusters.entries()) {
+    const files = new Set(c.usages.map((r) => r.file)).size;
+    console.log(
+      `${i + 1}. ${c.name}: ${c.value}  ${c.usages.length} uses in ${files} files, ${c.members.length} colors (spread dE ${c.spread})`
+    );
+    const listed = c.members
+      .slice(0, MAX_TEXT_MEMBERS)
+      .map((m) => `${m.hex} (${m.weight})`);
+    const more = c.members.length - listed.length;
+    console.log(`   ${listed.join(", ")}${more > 0 ? `, +${more} more` : ""}`);
+  }
+
+  if (report.out) {
+    console.log(`\nWrote ${clusters.length} colors to ${report.out}`);
+  } else {
+    console.log(
+      "\nWrite the representatives as a starting palette with --out <file>."
+    );
+  }
+}
+
+module.exports = { paletteCluster };
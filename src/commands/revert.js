@@ -0,0 +1,102 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const {
+  hashContent,
+  readJournal,
+  revertContent,
+  writeJournal,
+} = require("../fix-journal");
+
+/**
+ * Roll back the edits recorded in a --fix journal.
+ *
+ * Runs are undone newest first. A file is only restored when its current
+ * content hashes to what the fix wrote, so later edits by hand are never
+ * overwritten; such files are reported and kept in the journal. Reverted
+ * entries are removed, and the journal is deleted once it is empty.
+ *
+ * Options:
+ *   --format <format>  Output format: text or json.
+ */
+function revert(journalPath, options) {
+  const resolved = path.resolve(journalPath);
+  if (!fs.existsSync(resolved)) {
+    console.error(`Error: Journal not found: ${resolved}`);
+    process.exitCode = 1;
+    return;
+  }
+  const journal = readJournal(resolved);
+  if (!journal) {
+    console.error(`Error: ${resolved} is not a fix journal.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const reverted = [];
+  const refused = [];
+  for (const run of [...journal.runs].reverse()) {
+    run.files = run.files.filter((entry) => {
+      const reason = revertFile(entry);
+      if (reason) {
+        refused.push({ file: entry.file, reason });
+        return true;
+      }
+      reverted.push({ file: entry.file, edits: entry.edits.length });
+      return false;
+    });
+  }
+
+  journal.runs = journal.runs.filter((run) => run.files.length > 0);
+  if (journal.runs.length === 0) {
+    fs.rmSync(resolved, { force: true });
+  } else {
+    writeJournal(resolved, journal);
+  }
+  if (refused.length > 0) {
+    process.exitCode = 1;
+  }
+
+  if (options.format === "json") {
+    const output = { command: "revert", journal: resolved, reverted, refused };
+    console.log(JSON.stringify(output, null, 2));
+    return;
+  }
+  for (const { file, reason } of refused) {
+    console.error(`Warning: Not reverting ${file}: ${reason}`);
+  }
+  const editCount = reverted.reduce((n, entry) => n + entry.edits, 0);
+  console.log(`Reverted ${editCount} edits in ${reverted.length} files.`);
+  if (refused.length > 0) {
+    console.log(
+      `${refused.length} files were left unchanged and kept in ${resolved}.`
+    );
+  }
+}
+
+/**
+ * Restore one journal file entry. Returns the reason it was refused, or
+ * null when the file was restored.
+ */
+function revertFile(entry) {
+  let content;
+  try {
+    content = fs.readFileSync(entry.file, "utf-8");
+  } catch (err) {
+    return `cannot be read (${err.message})`;
+  }
+  if (hashContent(content) !== entry.hashAfter) {
+    return "changed since the fix";
+  }
+  const restored = revertContent(content, entry.edits, entry.inserted);
+  if (restored == null || hashContent(restored) !== entry.hashBefore) {
+    return "edits do not match the journal";
+  }
+  try {
+    fs.writeFileSync(entry.file, restored, "utf-8");
+  } catch (err) {
+    return `cannot be written (${err.message})`;
+  }
+  return null;
+}
+
+module.exports = { revert };
@@ -0,0 +1,143 @@
+const { loadThemes } = require("./compare-vars");
+const { findReferences } = require("../token-references");
+
+/**
+ * Count the references to each palette token in `paths`, to find dead
+ * tokens. References are var(--name) and other custom property uses,
+ * $scss / @less variables and Sass map.get() calls, Tailwind utility
+ * classes (in markup or @apply) and theme() paths for Tailwind tokens, and
+ * member accesses for JS/TS theme tokens. A reference to an alias also
+ * counts toward every token its var() chain goes through, so the aliases
+ * in between aren't reported unused. Token definitions and comments are
+ * not references.
+ *
+ * Options (palette options as for `compare`):
+ *   --unused         Only list the tokens with no references.
+ *   --theme <name>   Only report the tokens of this theme.
+ */
+function tokenUsage(paths, options) {
+  const palette = loadThemes(paths, options);
+  if (!palette) {
+    return;
+  }
+  const { loaded, themes } = palette;
+  const { usage, links } = usageEntries(themes);
+  for (const ref of findReferences(paths, palette, options)) {
+    const entry = usage.get(ref.name);
+    entry.references++;
+    entry.files.add(ref.file);
+    for (const link of links.get(ref.name) || []) {
+      const target = usage.get(link);
+      if (target) {
+        target.viaAliases++;
+        target.files.add(ref.file);
+      }
+    }
+  }
+
+  const entries = [...usage.values()].map((entry) => ({
+    ...entry,
+    uses: entry.references + entry.viaAliases,
+    files: [...entry.files].sort(),
+  }));
+  const report = { files: loaded.files, unusedOnly: Boolean(options.unused) };
+  if (options.format === "json") {
+    outputJson(entries, report);
+  } else {
+    outputText(entries, report);
+  }
+}
+
+/**
+ * Usage counters for every token of `themes`, and alias -> the tokens its
+ * var() chain goes through, up to the primitive.
+ */
+function usageEntries(themes) {
+  const usage = new Map();
+  const links = new Map();
+  for (const { tokens, colors } of Object.values(themes)) {
+    for (const [name, token] of Object.entries(tokens)) {
+      if (!usage.has(name)) {
+        usage.set(name, {
+          name,
+          hex: colors[name],
+          ...token,
+          references: 0,
+          viaAliases: 0,
+          files: new Set(),
+        });
+      }
+      if (token.aliasOf) {
+        links.set(
+          name,
+          new Set([
+            ...(links.get(name) || []),
+            ...(token.via || []),
+            token.aliasOf,
+          ])
+        );
+      }
+    }
+  }
+  return { usage, links };
+}
+
+function outputJson(entries, report) {
+  const unused = entries.filter((e) => e.uses === 0);
+  const listed = report.unusedOnly ? unused : entries;
+  const output = {
+    command: "token-usage",
+    files: report.files,
+    summary: {
+      tokens: entries.length,
+      used: entries.length - unused.length,
+      unused: unused.length,
+      references: entries.reduce((sum, e) => sum + e.references, 0),
+    },
+    tokens: listed.map((e) => ({
+      name: e.name,
+      hex: e.hex,
+      aliasOf: e.aliasOf,
+      references: e.references,
+      viaAliases: e.viaAliases,
+      files: e.files,
+      source: e.file ? { file: e.file, line: e.line } : undefined,
+    })),
+    unused: unused.map((e) => e.name),
+  };
+  console.log(JSON.stringify(output, null, 2));
+}
+
+function outputText(entries, report) {
+  const unused = entries.filter((e) => e.uses === 0);
+  const used = entries
+    .filter((e) => e.uses > 0)
+    .sort((a, b) => b.uses - a.uses);
+  const references = entries.reduce((sum, e) => sum + e.references, 0);
+
+  console.log("\n=== Token Usage ===");
+  console.log(
+    `${entries.length} tokens in ${report.files.join(", ")}: ${used.length} used, ${unused.length} unused (${references} references)`
+  );
+
+  if (unused.length > 0) {
+    console.log(`\n--- UNUSED (${unused.length}) ---`);
+    for (const e of unused) {
+      const alias = e.aliasOf ? ` (alias of ${e.aliasOf})` : "";
+      const source = e.file ? `  ${e.file}:${e.line}` : "";
+      console.log(`  ${e.name} ${e.hex}${alias}${source}`);
+    }
+  }
+  if (report.unusedOnly || used.length === 0) {
+    return;
+  }
+  console.log(`\n--- USED (${used.length}) ---`);
+  for (const e of used) {
+    const via = e.viaAliases > 0 ? ` (${e.viaAliases} through aliases)` : "";
+    console.log(
+      `  ${e.name}  ${e.uses} references in ${e.files.length} files${via}`
+    );
+  }
+}
+
+module.exports = { tokenUsage };
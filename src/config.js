@@ -1,5 +1,6 @@
 const fs = require("node:fs");
 const path = require("node:path");
+const { relativePath } = require("./utils");
 
 const CONFIG_FILES = [
   ".hardcode-replacerrc.json",
@@ -16,20 +17,34 @@ const CONFIG_FILES = [
  * {
  *   "exclude": ["**\/*.test.*", "**\/*.stories.*"],
  *   "include": "*.{tsx,jsx}",
- *   "vars": "src/styles/variables.css",
+ *   "vars": ["src/styles/primitives.css", "src/styles/semantic.css"],
  *   "threshold": 10,
+ *   "metric": "ciede2000",
+ *   "tokenName": "--ds-{path}",
+ *   "jsRef": "theme.{path}",
+ *   "jsTemplate": "tokens.{name}",
+ *   "jsImport": "import { tokens } from '@/design/tokens';",
  *   "named": true,
  *   "minCount": 2,
  *   "minClasses": 3,
- *   "tailwindVersion": 4
+ *   "tailwindVersion": 4,
+ *   "ignore": [{ "file": "src/Chart.tsx", "value": "#475569", "text": "stroke: '#475569'," }]
  * }
+ *
+ * `ignore` entries (written by `compare --interactive`) skip a color in a
+ * file, on lines with exactly `text` when given. Their paths are relative to
+ * the config file and are resolved on load.
  */
 function loadConfig(startDir) {
   const dir = path.resolve(startDir || ".");
-  const config = findConfigFile(dir);
-  return config || {};
+  const filepath = findConfigFile(dir);
+  const config = filepath ? parseConfigFile(filepath) : null;
+  return config ? resolveIgnored(config, path.dirname(filepath)) : {};
 }
 
+/**
+ * Path of the nearest config file, or null.
+ */
 function findConfigFile(dir) {
   let current = dir;
 
@@ -37,7 +52,7 @@ function findConfigFile(dir) {
     for (const filename of CONFIG_FILES) {
       const filepath = path.join(current, filename);
       if (fs.existsSync(filepath)) {
-        return parseConfigFile(filepath);
+        return filepath;
       }
     }
 
@@ -71,6 +86,73 @@ function parseConfigFile(filepath) {
   }
 }
 
+function resolveIgnored(config, configDir) {
+  if (!Array.isArray(config.ignore)) {
+    return config;
+  }
+  const ignore = config.ignore.map((entry) => ({
+    ...entry,
+    file: path.resolve(configDir, entry.file),
+  }));
+  return { ...config, ignore };
+}
+
+/**
+ * Add ignored colors ({ file, value, text }) to the nearest JSON config
+ * file, creating .hardcode-replacerrc.json in the working directory when
+ * there is none. Returns the config path, or null (after a warning) when
+ * it cannot be written.
+ */
+function addIgnoredColors(startDir, entries) {
+  const filepath =
+    findConfigFile(path.resolve(startDir || ".")) ||
+    path.resolve(CONFIG_FILES[0]);
+  const ext = path.extname(filepath).toLowerCase();
+  const configDir = path.dirname(filepath);
+  const added = entries.map((entry) => ({
+    ...entry,
+    file: relativePath(configDir, entry.file),
+  }));
+  let config = {};
+  if (fs.existsSync(filepath)) {
+    config = ext === ".json" || ext === "" ? parseConfigFile(filepath) : null;
+  }
+  if (!config) {
+    console.error(
+      `Warning: Could not update ${filepath}. Add these to its "ignore" list:\n${JSON.stringify(added, null, 2)}`
+    );
+    return null;
+  }
+  config.ignore = [...(config.ignore || []), ...added];
+  try {
+    fs.writeFileSync(filepath, `${JSON.stringify(config, null, 2)}\n`, "utf-8");
+  } catch (err) {
+    console.error(`Warning: Could not update ${filepath}: ${err.message}`);
+    return null;
+  }
+  return filepath;
+}
+
+// Options that Commander always fills with a default string value.
+// A config value replaces the CLI value only while it still equals that default.
+const DEFAULTED_OPTIONS = {
+  threshold: "10",
+  metric: "cie76",
+  minCount: "2",
+  minClasses: "2",
+};
+
+// Options without a CLI default, taken from the config when not given
+const OPTIONAL_OPTIONS = [
+  "include",
+  "vars",
+  "tokenName",
+  "jsRef",
+  "jsTemplate",
+  "jsImport",
+  "ignore",
+];
+
 /**
  * Merge CLI options with config file settings.
  * CLI options take precedence over config file values.
@@ -84,24 +166,19 @@ function mergeOptions(cliOpts, config) {
       ? config.exclude
       : [config.exclude];
   }
-  if (config.include && !merged.include) {
-    merged.include = config.include;
-  }
-  if (config.vars && !merged.vars) {
-    merged.vars = config.vars;
+  for (const key of OPTIONAL_OPTIONS) {
+    if (config[key] && !merged[key]) {
+      merged[key] = config[key];
+    }
   }
-  if (config.threshold != null && merged.threshold === "10") {
-    merged.threshold = String(config.threshold);
+  for (const [key, cliDefault] of Object.entries(DEFAULTED_OPTIONS)) {
+    if (config[key] != null && merged[key] === cliDefault) {
+      merged[key] = String(config[key]);
+    }
   }
   if (config.named === false && merged.named !== false) {
     merged.named = false;
   }
-  if (config.minCount && merged.minCount === "2") {
-    merged.minCount = String(config.minCount);
-  }
-  if (config.minClasses && merged.minClasses === "2") {
-    merged.minClasses = String(config.minClasses);
-  }
   if (config.tailwindVersion) {
     merged.tailwindVersion = config.tailwindVersion;
   }
@@ -112,4 +189,4 @@ function mergeOptions(cliOpts, config) {
   return merged;
 }
 
-module.exports = { loadConfig, mergeOptions };
+module.exports = { loadConfig, mergeOptions, addIgnoredColors };
@@ -7,7 +7,7 @@ const fileCache = new Map();
 const commentCache = new Map();
 
 // Regex patterns extracted to top level for performance
-const CSS_VAR_DEF_RE = /^\s*--[\w-]+\s*:/;
+const CSS_VAR_DEF_RE = /^\s*(?:--|\$|@)[\w-]+\s*:/;
 const META_CONTENT_RE = /(?:content|color)\s*[:=]\s*["']#[0-9a-fA-F]/;
 const META_TAG_RE = /(?:theme-color|msapplication|mask-icon|safari-pinned)/;
 const TEMPLATE_OPEN_RE = /`[\s\S]*<[\s\S]*>/;
@@ -98,7 +98,7 @@ function classifyContext(result) {
   const { file, text, match: matchedValue } = result;
   const trimmed = (text || "").trim();
 
-  // 1. CSS variable definition: --name: #hex or --name: rgba(...)
+  // 1. Variable definition: --name: #hex, $name: #hex (SCSS), @name: #hex (Less)
   if (CSS_VAR_DEF_RE.test(trimmed)) {
     return "css-definition";
   }
@@ -384,6 +384,7 @@ function contextLabel(ctx) {
     generated: "GENERATED CODE",
     meta: "META/MANIFEST",
     effect: "EFFECT (black/white alpha)",
+    ignored: "IGNORED (config)",
   };
   return labels[ctx] || ctx;
 }
@@ -0,0 +1,155 @@
+// W3C Design Tokens Community Group (DTCG) format reader.
+// https://design-tokens.github.io/community-group/format/
+
+const { lineLocator, jsonPathOffset } = require("./utils");
+
+// Default CSS variable name for a token path, as produced by Style Dictionary
+// and Tokens Studio: color.brand.primary -> --color-brand-primary
+const DEFAULT_TOKEN_NAME = "--{path}";
+
+const DTCG_REF_RE = /^\{([^{}]+)\}$/;
+const CAMEL_BOUNDARY_RE = /([a-z0-9])([A-Z])/g;
+const NON_NAME_CHARS_RE = /[^\w-]+/g;
+const EDGE_DASHES_RE = /^-+|-+$/g;
+
+// Color object color spaces written as CSS functions; others use color()
+const FUNCTION_COLOR_SPACES = new Set([
+  "hsl",
+  "hwb",
+  "lab",
+  "lch",
+  "oklab",
+  "oklch",
+]);
+const PREDEFINED_COLOR_SPACES = new Set([
+  "srgb",
+  "srgb-linear",
+  "display-p3",
+  "a98-rgb",
+  "prophoto-rgb",
+  "rec2020",
+  "xyz-d65",
+  "xyz-d50",
+]);
+
+/**
+ * True if parsed JSON looks like a DTCG document (any token has a $value).
+ */
+function isDtcgDocument(data) {
+  if (typeof data !== "object" || data === null) {
+    return false;
+  }
+  if ("$value" in data) {
+    return true;
+  }
+  return Object.values(data).some(isDtcgDocument);
+}
+
+/**
+ * Build a function naming a token path as a CSS variable.
+ * The template may use {path} (all segments, kebab-case, joined by "-") and
+ * {name} (last segment), e.g. "--ds-{path}".
+ */
+function tokenNamer(template = DEFAULT_TOKEN_NAME) {
+  return (segments) =>
+    template
+      .replaceAll("{path}", segments.map(kebabCase).join("-"))
+      .replaceAll("{name}", kebabCase(segments.at(-1)));
+}
+
+function kebabCase(segment) {
+  return segment
+    .replace(CAMEL_BOUNDARY_RE, "$1-$2")
+    .replace(NON_NAME_CHARS_RE, "-")
+    .replace(EDGE_DASHES_RE, "")
+    .toLowerCase();
+}
+
+/**
+ * Parse a DTCG document into declarations: variable name -> { value, file, line }.
+ *
+ * Only color tokens are kept: $type is inherited from parent groups, and
+ * untyped tokens are kept when their value turns out to be a color.
+ * Alias references ({color.base.blue}) become var() references to the
+ * aliased token's variable name, so they resolve like CSS aliases.
+ * Color object values ({ colorSpace, components, alpha }) become CSS colors.
+ */
+function parseDtcgDeclarations(data, content, file, options = {}) {
+  const nameOf = tokenNamer(options.tokenName);
+  const lineAt = lineLocator(content);
+  const declarations = {};
+  walkTokens(data, [], null, (segments, token, type) => {
+    if (type && type !== "color") {
+      return;
+    }
+    const value = tokenValueToCss(token.$value, nameOf);
+    if (value == null) {
+      return;
+    }
+    const offset = jsonPathOffset(content, segments);
+    declarations[nameOf(segments)] = {
+      value,
+      file,
+      line: offset >= 0 ? lineAt(offset) : null,
+    };
+  });
+  return declarations;
+}
+
+/**
+ * Visit every token (object with $value) with its path and effective $type.
+ * Keys starting with "$" ($type, $description, $extensions, ...) are skipped.
+ */
+function walkTokens(node, segments, inheritedType, visit) {
+  for (const [key, child] of Object.entries(node)) {
+    if (key.startsWith("$") || typeof child !== "object" || child === null) {
+      continue;
+    }
+    const tokenPath = [...segments, key];
+    const type = child.$type || inheritedType;
+    if ("$value" in child) {
+      visit(tokenPath, child, type);
+    } else {
+      walkTokens(child, tokenPath, type, visit);
+    }
+  }
+}
+
+function tokenValueToCss(value, nameOf) {
+  if (typeof value === "string") {
+    const ref = value.trim().match(DTCG_REF_RE);
+    return ref ? `var(${nameOf(ref[1].split("."))})` : value;
+  }
+  if (typeof value === "object" && value !== null && value.colorSpace) {
+    return colorObjectToCss(value);
+  }
+  return null;
+}
+
+/**
+ * Convert a DTCG color object to a CSS color string, e.g.
+ * { colorSpace: "oklch", components: [0.7, 0.1, 160], alpha: 0.5 }
+ *   -> "oklch(0.7 0.1 160 / 0.5)"
+ * Falls back to the optional `hex` member for unknown color spaces.
+ */
+function colorObjectToCss({ colorSpace, components, alpha, hex }) {
+  if (!Array.isArray(components) || components.length !== 3) {
+    return hex || null;
+  }
+  const channels = components.join(" ");
+  const alphaPart = alpha == null || alpha === 1 ? "" : ` / ${alpha}`;
+  if (FUNCTION_COLOR_SPACES.has(colorSpace)) {
+    return `${colorSpace}(${channels}${alphaPart})`;
+  }
+  if (PREDEFINED_COLOR_SPACES.has(colorSpace)) {
+    return `color(${colorSpace} ${channels}${alphaPart})`;
+  }
+  return hex || null;
+}
+
+module.exports = {
+  DEFAULT_TOKEN_NAME,
+  isDtcgDocument,
+  parseDtcgDeclarations,
+  tokenNamer,
+};
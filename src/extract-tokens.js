@@ -0,0 +1,210 @@
+// New tokens for `extract`: unmatched colors merged when they are
+// perceptually identical, named without clashing with the palette or each
+// other, and rendered as CSS, SCSS, DTCG JSON or a Tailwind v4 @theme block.
+
+const fs = require("node:fs");
+const path = require("node:path");
+const {
+  colorDistance,
+  roundedAlpha,
+  normalizeToHex,
+  normalizeToHexAlpha,
+  suggestVariableName,
+} = require("./color-utils");
+const { tokenNamer } = require("./dtcg");
+
+const SYNTAXES = ["css", "scss", "dtcg", "tailwind"];
+
+// Syntax of the definitions by --out extension (css otherwise)
+const SYNTAX_BY_EXTENSION = {
+  ".scss": "scss",
+  ".json": "dtcg",
+  ".tokens": "dtcg",
+};
+
+// Match syntax (see compare's match.syntax) of the references to new tokens
+const MATCH_SYNTAX = { scss: "scss", tailwind: "tailwind-v4" };
+
+const NAME_PREFIX_RE = /^(?:--|\$|@)/;
+const COLOR_PREFIX_RE = /^color-/;
+
+/**
+ * Where token definitions go: { syntax, out } from --syntax, else the --out
+ * extension, else css; or { error } for an unknown syntax or an --out file
+ * that already exists (definitions are only written to new files).
+ */
+function definitionsTarget(options) {
+  const out = options.out || null;
+  const syntax =
+    options.syntax ||
+    SYNTAX_BY_EXTENSION[path.extname(out || "").toLowerCase()] ||
+    "css";
+  if (!SYNTAXES.includes(syntax)) {
+    return {
+      error: `Unknown syntax "${syntax}". Use one of: ${SYNTAXES.join(", ")}.`,
+    };
+  }
+  if (out && fs.existsSync(out)) {
+    return {
+      error: `${out} already exists. Token definitions are written to a new file; choose another --out.`,
+    };
+  }
+  return { syntax, out };
+}
+
+/**
+ * Merge colors into token groups, most used first. Each distinct color
+ * (hex with alpha) joins the first group of the same alpha whose color is
+ * within `merge` of it, so a rarely used near-duplicate folds into the
+ * common one. Returns [{ value, alpha, colors, usages }]: the group's color,
+ * its alpha (1 when opaque), the distinct colors merged and the results
+ * using them.
+ */
+function groupColors(results, { merge, metric }) {
+  const distinct = new Map();
+  for (const r of results) {
+    const color = normalizeToHexAlpha(r.value);
+    if (!color) {
+      continue;
+    }
+    if (!distinct.has(color)) {
+      distinct.set(color, { color, usages: [] });
+    }
+    distinct.get(color).usages.push(r);
+  }
+
+  const groups = [];
+  const byUse = [...distinct.values()].sort(
+    (a, b) =>
+      b.usages.length - a.usages.length || a.color.localeCompare(b.color)
+  );
+  for (const { color, usages } of byUse) {
+    const alpha = roundedAlpha(usages[0].value);
+    const group = groups.find(
+      (g) =>
+        g.alpha === alpha &&
+        colorDistance(normalizeToHex(g.value), normalizeToHex(color), metric) <=
+          merge
+    );
+    if (group) {
+      group.colors.push(color);
+      group.usages.push(...usages);
+    } else {
+      groups.push({
+        value: color,
+        alpha,
+        colors: [color],
+        usages: [...usages],
+      });
+    }
+  }
+  return groups.sort((a, b) => b.usages.length - a.usages.length);
+}
+
+/**
+ * Name token groups in place: `path` is the name from
+ * suggestVariableName() for the color and the CSS property it is used with
+ * most (plus -a<alpha %> for translucent colors), and `name` the variable
+ * in `syntax`. A name already in `taken` (bare names, without --, $ or @)
+ * gets the first free -2, -3, ... suffix and is then taken itself.
+ */
+function nameTokens(groups, { syntax, taken, tokenName }) {
+  const namer = variableNamer(syntax, tokenName);
+  for (const group of groups) {
+    const alpha = group.alpha < 1 ? `-a${Math.round(group.alpha * 100)}` : "";
+    const base = `${suggestVariableName(group.value, commonProperty(group.usages)).replace(NAME_PREFIX_RE, "")}${alpha}`;
+    let tokenPath = base;
+    for (let n = 2; taken.has(bareName(namer(tokenPath))); n++) {
+      tokenPath = `${base}-${n}`;
+    }
+    group.path = tokenPath;
+    group.name = namer(tokenPath);
+    taken.add(bareName(group.name));
+  }
+  return groups;
+}
+
+function variableNamer(syntax, tokenName) {
+  if (syntax === "scss") {
+    return (tokenPath) => `$${tokenPath}`;
+  }
+  if (syntax === "tailwind") {
+    return (tokenPath) => `--color-${tokenPath.replace(COLOR_PREFIX_RE, "")}`;
+  }
+  if (syntax === "dtcg") {
+    const namer = tokenNamer(tokenName);
+    return (tokenPath) => namer([tokenPath]);
+  }
+  return (tokenPath) => `--${tokenPath}`;
+}
+
+function commonProperty(usages) {
+  const counts = new Map();
+  for (const r of usages) {
+    if (r.cssProperty) {
+      counts.set(r.cssProperty, (counts.get(r.cssProperty) || 0) + 1);
+    }
+  }
+  let common = null;
+  for (const [property, count] of counts) {
+    if (!common || count > counts.get(common)) {
+      common = property;
+    }
+  }
+  return common;
+}
+
+/**
+ * Name without its variable prefix (--, $ or @), for comparing names
+ * across syntaxes.
+ */
+function bareName(name) {
+  return name.replace(NAME_PREFIX_RE, "");
+}
+
+/**
+ * Token definitions as file content: a :root block (css), SCSS variables,
+ * a DTCG document keyed by token path, or a Tailwind v4 @theme block.
+ */
+function renderTokens(tokens, syntax) {
+  if (syntax === "dtcg") {
+    const document = Object.fromEntries(
+      tokens.map((t) => [t.path, { $type: "color", $value: t.value }])
+    );
+    return `${JSON.stringify(document, null, 2)}\n`;
+  }
+  const lines = tokens.map((t) => `${t.name}: ${t.value};`);
+  if (syntax === "scss") {
+    return `${lines.join("\n")}\n`;
+  }
+  const block = syntax === "tailwind" ? "@theme" : ":root";
+  return `${block} {\n${lines.map((line) => `  ${line}`).join("\n")}\n}\n`;
+}
+
+/**
+ * Match object (as in compare results) for a new token, so references to
+ * it are built like those to palette tokens.
+ */
+function tokenMatch(token, syntax) {
+  const match = {
+    name: token.name,
+    hex: normalizeToHex(token.value),
+    distance: 0,
+  };
+  if (token.alpha < 1) {
+    match.alpha = token.alpha;
+  }
+  if (MATCH_SYNTAX[syntax]) {
+    match.syntax = MATCH_SYNTAX[syntax];
+  }
+  return match;
+}
+
+module.exports = {
+  definitionsTarget,
+  groupColors,
+  nameTokens,
+  bareName,
+  renderTokens,
+  tokenMatch,
+};
@@ -0,0 +1,142 @@
+// Undo journal for --fix: every written edit is recorded with the file's
+// hash before and after, so `revert` can roll a run back and refuse files
+// that changed since.
+
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const DEFAULT_JOURNAL = ".hardcode-replacer-journal.json";
+const JOURNAL_VERSION = 1;
+
+/**
+ * SHA-256 of file content, as hex.
+ */
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content, "utf-8").digest("hex");
+}
+
+/**
+ * Append a run of written plans (see fixer.planEdits) to the journal.
+ * Earlier runs are kept, so successive fixes can be reverted newest first.
+ * Returns false (after a warning) if the journal could not be written.
+ */
+function recordFixes(journalPath, command, plans) {
+  const resolved = path.resolve(journalPath);
+  const journal = fs.existsSync(resolved)
+    ? readJournal(resolved)
+    : emptyJournal();
+  if (!journal) {
+    console.error(
+      `Warning: ${resolved} is not a fix journal; edits were not recorded.`
+    );
+    return false;
+  }
+  journal.runs.push({
+    command,
+    createdAt: new Date().toISOString(),
+    files: plans.map((plan) => ({
+      file: path.resolve(plan.file),
+      hashBefore: hashContent(plan.content),
+      hashAfter: hashContent(plan.updated),
+      edits: plan.edits.map((edit) => ({
+        line: edit.line,
+        column: edit.column,
+        original: edit.value,
+        replacement: edit.replacement,
+      })),
+      ...(plan.inserted.length > 0 ? { inserted: plan.inserted } : {}),
+    })),
+  });
+  try {
+    writeJournal(resolved, journal);
+    return true;
+  } catch (err) {
+    console.error(
+      `Warning: Could not write journal ${resolved}: ${err.message}`
+    );
+    return false;
+  }
+}
+
+function emptyJournal() {
+  return { version: JOURNAL_VERSION, runs: [] };
+}
+
+/**
+ * Read a journal file. Returns null if it is missing or not a journal.
+ */
+function readJournal(journalPath) {
+  try {
+    const journal = JSON.parse(fs.readFileSync(journalPath, "utf-8"));
+    if (journal?.version === JOURNAL_VERSION && Array.isArray(journal.runs)) {
+      return journal;
+    }
+  } catch {
+    // handled below
+  }
+  return null;
+}
+
+function writeJournal(journalPath, journal) {
+  fs.writeFileSync(journalPath, JSON.stringify(journal, null, 2), "utf-8");
+}
+
+/**
+ * Undo a journal file entry on the content it produced: inserted lines
+ * ([{ line, text }], e.g. imports) are removed, then each replacement goes
+ * back to its original text. Edit lines and columns are those of the
+ * original file, so replacements further left on the same line shift later
+ * ones. Returns null if a line or replacement is not where the journal says.
+ */
+function revertContent(content, edits, inserted = []) {
+  const lines = content.split("\n");
+  for (const { line, text } of [...inserted].reverse()) {
+    if (lines[line - 1] !== text) {
+      return null;
+    }
+    lines.splice(line - 1, 1);
+  }
+  const byLine = new Map();
+  for (const edit of edits) {
+    if (!byLine.has(edit.line)) {
+      byLine.set(edit.line, []);
+    }
+    byLine.get(edit.line).push(edit);
+  }
+
+  for (const [lineNumber, lineEdits] of byLine) {
+    const lineIdx = lineNumber - 1;
+    if (lineIdx < 0 || lineIdx >= lines.length) {
+      return null;
+    }
+    let shift = 0;
+    const positioned = [...lineEdits]
+      .sort((a, b) => a.column - b.column)
+      .map((edit) => {
+        const index = edit.column - 1 + shift;
+        shift += edit.replacement.length - edit.original.length;
+        return { ...edit, index };
+      });
+    let line = lines[lineIdx];
+    for (const edit of positioned.reverse()) {
+      const end = edit.index + edit.replacement.length;
+      if (line.substring(edit.index, end) !== edit.replacement) {
+        return null;
+      }
+      line =
+        line.substring(0, edit.index) + edit.original + line.substring(end);
+    }
+    lines[lineIdx] = line;
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  DEFAULT_JOURNAL,
+  hashContent,
+  recordFixes,
+  readJournal,
+  writeJournal,
+  revertContent,
+};
@@ -0,0 +1,347 @@
+// Planned source edits: --fix builds a plan, then either previews it as a
+// unified diff / JSON (--dry-run) or writes it. Both read the same plan, so
+// a preview shows exactly what a real run writes.
+
+const fs = require("node:fs");
+const { DEFAULT_JOURNAL, recordFixes } = require("./fix-journal");
+const { escapeRegExp, relativePath } = require("./utils");
+
+const DIFF_CONTEXT_LINES = 3;
+// Last line of an import: import x from "y"; import "y"; } from "y";
+// or a Sass @use "y" as *; / @forward "y"; / @import "y";
+const IMPORT_END_RE =
+  /^\s*(?:import\b.*|\}.*\bfrom\s*|@(?:use|forward|import)\s+)["'][^"'\n]+["'](?:\s+as\s+[\w*-]+)?;?\s*$/;
+const DIRECTIVE_RE = /^\s*["']use [\w ]+["'];?\s*$/;
+const TRAILING_SEMICOLON_RE = /;\s*$/;
+// Splits a color value around its punctuation and whitespace
+const VALUE_PART_RE = /\s*([(),/])\s*|\s+/;
+
+/**
+ * Plan text replacements in source files.
+ * `requests` is [{ file, line, column, value, replacement, importStatement? }]:
+ * replace `value` found on `line` at (or just before) `column`, and add
+ * `importStatement` after the file's imports unless it is already there.
+ * `value` matches regardless of case and of spacing inside color functions
+ * (`red` finds `Red`, `rgb(0,0,0)` finds `RGB(0, 0, 0)`), and edits record
+ * the text actually replaced as their `value`. Requests whose value is no
+ * longer there are dropped.
+ *
+ * Returns [{ file, content, updated, edits, inserted }] for files with
+ * edits, where `edits` is the requests (with any extra fields) sorted by
+ * position, plus `before`/`after`: the line text without and with that one
+ * edit. `column` becomes where `value` was found. Edit lines are those of
+ * `content`; `inserted` is [{ line, text }] for added import lines, with
+ * their line numbers in `updated`.
+ */
+function planEdits(requests) {
+  const byFile = new Map();
+  for (const request of requests) {
+    if (!byFile.has(request.file)) {
+      byFile.set(request.file, []);
+    }
+    byFile.get(request.file).push(request);
+  }
+
+  const plans = [];
+  for (const [file, fileRequests] of byFile) {
+    try {
+      const plan = planFileEdits(file, fileRequests);
+      if (plan.edits.length > 0) {
+        plans.push(plan);
+      }
+    } catch (err) {
+      console.error(`Error fixing ${file}: ${err.message}`);
+    }
+  }
+  return plans;
+}
+
+function planFileEdits(file, requests) {
+  const content = fs.readFileSync(file, "utf-8");
+  const originalLines = content.split("\n");
+  const lines = [...originalLines];
+  const edits = [];
+
+  // Apply in reverse order (by line, then column) to preserve positions
+  const sorted = [...requests].sort(
+    (a, b) => b.line - a.line || b.column - a.column
+  );
+  for (const request of sorted) {
+    const lineIdx = request.line - 1;
+    if (lineIdx < 0 || lineIdx >= lines.length) {
+      continue;
+    }
+    const original = originalLines[lineIdx];
+    const found = locateValue(lines[lineIdx], request);
+    const originalFound = locateValue(original, request);
+    if (!(found && originalFound)) {
+      continue;
+    }
+    lines[lineIdx] = replaceAt(lines[lineIdx], found, request.replacement);
+    edits.push({
+      ...request,
+      value: originalFound.text,
+      column: originalFound.index + 1,
+      before: original,
+      after: replaceAt(original, originalFound, request.replacement),
+    });
+  }
+
+  edits.reverse();
+  const inserted = insertImports(lines, edits);
+  return { file, content, updated: lines.join("\n"), edits, inserted };
+}
+
+/**
+ * Insert the import statements of `edits` that the file doesn't have yet
+ * into `lines`, after the last import (or after "use client"-style
+ * directives at the top). Returns the inserted [{ line, text }].
+ */
+function insertImports(lines, edits) {
+  const statements = [
+    ...new Set(edits.map((edit) => edit.importStatement).filter(Boolean)),
+  ].filter(
+    (statement) => !lines.some((line) => sameStatement(line, statement))
+  );
+  if (statements.length === 0) {
+    return [];
+  }
+  let at = lines.findLastIndex((line) => IMPORT_END_RE.test(line)) + 1;
+  if (at === 0) {
+    while (at < lines.length && DIRECTIVE_RE.test(lines[at])) {
+      at++;
+    }
+  }
+  lines.splice(at, 0, ...statements);
+  return statements.map((text, i) => ({ line: at + i + 1, text }));
+}
+
+function sameStatement(a, b) {
+  const normalize = (s) => s.trim().replace(TRAILING_SEMICOLON_RE, "");
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * The value on its line, searching from just before its column:
+ * { index, text } with the text as written, or null.
+ */
+function locateValue(line, { column, value }) {
+  const col = column - 1;
+  const pattern = new RegExp(valuePattern(value), "gi");
+  pattern.lastIndex = col > 0 ? col - 1 : 0;
+  const match = pattern.exec(line);
+  return match ? { index: match.index, text: match[0] } : null;
+}
+
+/**
+ * Regex source for a value with any spacing around the punctuation of
+ * color functions, and some whitespace wherever the value has whitespace.
+ */
+function valuePattern(value) {
+  // Even parts are text, odd parts the punctuation between them (undefined
+  // for plain whitespace)
+  const parts = value.trim().split(VALUE_PART_RE);
+  return parts
+    .map((part, i) => {
+      if (i % 2 === 0) {
+        return escapeRegExp(part);
+      }
+      if (!part) {
+        return "\\s+";
+      }
+      const before = i > 1 || parts[0] ? "\\s*" : "";
+      const after = i < parts.length - 2 || parts.at(-1) ? "\\s*" : "";
+      return `${before}\\${part}${after}`;
+    })
+    .join("");
+}
+
+function replaceAt(line, { index, text }, replacement) {
+  return (
+    line.substring(0, index) + replacement + line.substring(index + text.length)
+  );
+}
+
+/**
+ * Write planned edits to disk. Returns the plans that were written.
+ */
+function writePlans(plans) {
+  const written = [];
+  for (const plan of plans) {
+    try {
+      fs.writeFileSync(plan.file, plan.updated, "utf-8");
+      written.push(plan);
+    } catch (err) {
+      console.error(`Error fixing ${plan.file}: ${err.message}`);
+    }
+  }
+  return written;
+}
+
+/**
+ * Write plans, print `summary(writtenEdits)` and record the written files
+ * in the undo journal (`journal`, default DEFAULT_JOURNAL) for `revert`.
+ */
+function applyPlans(plans, { command, journal }, summary) {
+  const written = writePlans(plans);
+  console.log(summary(written.flatMap((plan) => plan.edits)));
+  const imports = written.filter((plan) => plan.inserted.length > 0);
+  if (imports.length > 0) {
+    console.log(`Added imports to ${imports.length} files.`);
+  }
+  const journalPath = journal || DEFAULT_JOURNAL;
+  if (written.length > 0 && recordFixes(journalPath, command, written)) {
+    console.log(
+      `Recorded in ${journalPath}. Undo with: hardcode-replacer revert ${journalPath}`
+    );
+  }
+}
+
+/**
+ * Print plans without writing them (--dry-run): a unified diff per file
+ * followed by `summary(edits)`, or for format "json"
+ * { command, dryRun: true, summary: { files, edits }, edits, ...extra },
+ * with `imports` ([{ file, line, text }]) when import lines are added.
+ */
+function printPlans(plans, { command, format, summary, extra = {} }) {
+  const edits = plans.flatMap((plan) => plan.edits);
+  if (format === "json") {
+    const imports = plans.flatMap((plan) =>
+      plan.inserted.map((insert) => ({ file: plan.file, ...insert }))
+    );
+    const output = {
+      command,
+      dryRun: true,
+      summary: { files: plans.length, edits: edits.length },
+      edits,
+      ...(imports.length > 0 ? { imports } : {}),
+      ...extra,
+    };
+    console.log(JSON.stringify(output, null, 2));
+    return;
+  }
+  for (const plan of plans) {
+    console.log(formatUnifiedDiff(plan));
+  }
+  console.log(summary(edits));
+}
+
+/**
+ * Unified diff (git style, paths relative to the working directory) of a
+ * planned file, ready for `git apply` or a PR comment.
+ */
+function formatUnifiedDiff(plan) {
+  const name = relativePath(process.cwd(), plan.file);
+  const rows = diffRows(plan);
+  const changed = [];
+  for (const [i, row] of rows.entries()) {
+    if (row.old !== row.new) {
+      changed.push(i);
+    }
+  }
+
+  const out = [`--- a/${name}`, `+++ b/${name}`];
+  for (const hunk of groupHunks(changed, rows.length)) {
+    out.push(hunkHeader(rows, hunk));
+    const removed = [];
+    const added = [];
+    const flush = () => {
+      out.push(...removed.splice(0), ...added.splice(0));
+    };
+    for (const row of rows.slice(hunk.start, hunk.end)) {
+      if (row.old === row.new) {
+        flush();
+        out.push(` ${row.old}`, ...row.oldMarker);
+        continue;
+      }
+      if (row.old != null) {
+        removed.push(`-${row.old}`, ...row.oldMarker);
+      }
+      if (row.new != null) {
+        added.push(`+${row.new}`, ...row.newMarker);
+      }
+    }
+    flush();
+  }
+  return out.join("\n");
+}
+
+/**
+ * Old and new lines side by side: one row per line of the updated file,
+ * with `old` undefined for inserted lines. Rows on a last line without a
+ * final newline carry the "\ No newline at end of file" marker.
+ */
+function diffRows(plan) {
+  const oldLines = splitLines(plan.content);
+  const newLines = splitLines(plan.updated);
+  const insertedAt = new Set(plan.inserted?.map((insert) => insert.line - 1));
+  const marker = (content, index, lines) =>
+    index === lines.length - 1 && !content.endsWith("\n")
+      ? ["\\ No newline at end of file"]
+      : [];
+  const rows = [];
+  let oldIndex = 0;
+  for (const [newIndex, line] of newLines.entries()) {
+    const row = {
+      new: line,
+      newMarker: marker(plan.updated, newIndex, newLines),
+      oldMarker: [],
+    };
+    if (!insertedAt.has(newIndex)) {
+      row.old = oldLines[oldIndex];
+      row.oldMarker = marker(plan.content, oldIndex, oldLines);
+      oldIndex++;
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * "@@ -start,count +start,count @@" for rows [start, end).
+ */
+function hunkHeader(rows, { start, end }) {
+  const range = (key) => {
+    const before = rows.slice(0, start).filter((row) => row[key] != null);
+    const count = rows
+      .slice(start, end)
+      .filter((row) => row[key] != null).length;
+    return `${count === 0 ? before.length : before.length + 1},${count}`;
+  };
+  return `@@ -${range("old")} +${range("new")} @@`;
+}
+
+/**
+ * Lines of a file, without the empty string after a final newline.
+ */
+function splitLines(content) {
+  const lines = content.split("\n");
+  return content.endsWith("\n") ? lines.slice(0, -1) : lines;
+}
+
+/**
+ * Group changed line indexes into hunks of [start, end) with context lines,
+ * merging changes whose context would overlap.
+ */
+function groupHunks(changed, lineCount) {
+  const hunks = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - DIFF_CONTEXT_LINES);
+    const end = Math.min(lineCount, index + 1 + DIFF_CONTEXT_LINES);
+    const previous = hunks.at(-1);
+    if (previous && start <= previous.end) {
+      previous.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  }
+  return hunks;
+}
+
+module.exports = {
+  planEdits,
+  writePlans,
+  applyPlans,
+  printPlans,
+  formatUnifiedDiff,
+};
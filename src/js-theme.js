@@ -0,0 +1,247 @@
+// JS/TS theme modules: compile the file to CommonJS, run it in a separate
+// vm context and take color strings from the exported object by their path.
+
+const vm = require("node:vm");
+const ts = require("typescript");
+const { lineLocator, escapeRegExp } = require("./utils");
+
+// Default reference for a theme token: the JS property path itself
+const DEFAULT_JS_REF = "{path}";
+
+// Guard against runaway module code (infinite loops, huge computations)
+const EVAL_TIMEOUT_MS = 1000;
+
+const COMPILER_OPTIONS = {
+  module: ts.ModuleKind.CommonJS,
+  target: ts.ScriptTarget.ES2020,
+  jsx: ts.JsxEmit.React,
+};
+
+// The context can't load modules, so require() returns a stub for every
+// import (plugins, tailwindcss/colors): any property or call returns the
+// stub, so imported values evaluate to things that aren't colors.
+const REQUIRE_STUB_PRELUDE = `var __stub = new Proxy(function () {}, {
+  get: function (target, key) {
+    return key === Symbol.toPrimitive ? function () { return ""; } : __stub;
+  },
+  apply: function () { return __stub; },
+  construct: function () { return __stub; },
+});
+function require() { return __stub; }
+var module = { exports: {} };
+var exports = module.exports;`;
+const IDENTIFIER_RE = /^[A-Za-z_$][\w$]*$/;
+const INDEX_RE = /^\d+$/;
+const JS_FILE_RE = /\.[cm]?[jt]sx?$/i;
+const JSX_FILE_RE = /\.[jt]sx$/i;
+// `fill=` right before a quote: a JSX attribute, not an assignment
+const JSX_ATTRIBUTE_RE = /(?:^|\s)[\w:-]+=$/;
+const DECLARATION_RE = /^\s*(?:const|let|var)\s/;
+const CSS_VAR_PREFIX_RE = /^--/;
+const KEBAB_SEGMENT_RE = /[-_]+([a-zA-Z0-9])/g;
+const QUOTES = ["'", '"', "`"];
+
+/**
+ * Parse a JS/TS theme module into declarations:
+ * dotted path -> { value, file, line, syntax: "js", reference }.
+ *
+ *   export const theme = { colors: { emerald: { 500: '#10b981' } } } as const;
+ *     -> theme.colors.emerald.500, referenced as theme.colors.emerald[500]
+ *
+ * The module is compiled and run (see evaluateModule()), so helpers,
+ * spreads and computed values resolve; imports have no value. `options.jsRef`
+ * formats the reference: {path} is the property access path, e.g.
+ * "tokens.{path}". Throws if the module cannot be compiled or run.
+ */
+function parseJsThemeDeclarations(content, file, options = {}) {
+  const exported = evaluateModule(content, file);
+  const template = options.jsRef || DEFAULT_JS_REF;
+  const lineAt = lineLocator(content);
+  const declarations = {};
+  walkStrings(exportRoot(exported), [], new Set(), (segments, value) => {
+    const offset = objectPathOffset(content, segments);
+    declarations[segments.join(".")] = {
+      value,
+      file,
+      line: offset >= 0 ? lineAt(offset) : null,
+      syntax: "js",
+      reference: template.replaceAll("{path}", accessPath(segments)),
+    };
+  });
+  return declarations;
+}
+
+/**
+ * Compile a JS/TS module to CommonJS with TypeScript and run it in a fresh
+ * vm context, returning its exports, or the value of `options.extract`, an
+ * expression evaluated afterwards under the same time limit.
+ *
+ * The context has no process, timers or real require(), and can't compile
+ * code from strings, but vm is not a security boundary: palette files are
+ * code from the project, trusted like the build config that runs them.
+ */
+function evaluateModule(content, file, options = {}) {
+  const { extract = "module.exports" } = options;
+  const { outputText, diagnostics } = ts.transpileModule(content, {
+    fileName: file,
+    compilerOptions: COMPILER_OPTIONS,
+    reportDiagnostics: true,
+  });
+  if (diagnostics.length > 0) {
+    throw new Error(
+      ts.flattenDiagnosticMessageText(diagnostics[0].messageText, " ")
+    );
+  }
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+  });
+  vm.runInContext(REQUIRE_STUB_PRELUDE, context);
+  vm.runInContext(outputText, context, {
+    filename: file,
+    timeout: EVAL_TIMEOUT_MS,
+  });
+  return vm.runInContext(extract, context, { timeout: EVAL_TIMEOUT_MS });
+}
+
+/**
+ * The object to walk: the named exports, or the default export when the
+ * module has nothing else (`export default {...}`, `module.exports = {...}`).
+ */
+function exportRoot(exported) {
+  if (typeof exported !== "object" || exported === null) {
+    return {};
+  }
+  const { default: defaultExport, ...named } = exported;
+  if (Object.keys(named).length === 0 && typeof defaultExport === "object") {
+    return defaultExport || {};
+  }
+  return named;
+}
+
+/**
+ * Visit every string leaf with its key path.
+ */
+function walkStrings(node, segments, seen, visit) {
+  if (seen.has(node)) {
+    return;
+  }
+  seen.add(node);
+  for (const [key, descriptor] of Object.entries(
+    Object.getOwnPropertyDescriptors(node)
+  )) {
+    const value = descriptor.value;
+    if (typeof value === "string") {
+      visit([...segments, key], value);
+    } else if (typeof value === "object" && value !== null) {
+      walkStrings(value, [...segments, key], seen, visit);
+    }
+  }
+}
+
+/**
+ * JS property access path for key segments: colors.emerald[500],
+ * colors["brand-primary"].
+ */
+function accessPath(segments) {
+  return segments
+    .map((segment, i) => {
+      if (INDEX_RE.test(segment)) {
+        return `[${segment}]`;
+      }
+      if (IDENTIFIER_RE.test(segment)) {
+        return i === 0 ? segment : `.${segment}`;
+      }
+      return `[${JSON.stringify(segment)}]`;
+    })
+    .join("");
+}
+
+/**
+ * Offset of the key for a nested object path in JS source, found by
+ * searching each (optionally quoted) key after its parent. Returns -1 when
+ * a key is not written literally (spreads, computed keys).
+ */
+function objectPathOffset(content, segments) {
+  let offset = -1;
+  for (const [i, segment] of segments.entries()) {
+    // Top-level keys may be exported variables: `export const colors = {`
+    const separator = i === 0 ? "[:=]" : ":";
+    const keyRe = new RegExp(
+      `(?<![\\w$-])(["']?)${escapeRegExp(segment)}\\1\\s*${separator}`,
+      "g"
+    );
+    keyRe.lastIndex = offset + 1;
+    const match = keyRe.exec(content);
+    if (!match) {
+      return -1;
+    }
+    offset = match.index;
+  }
+  return offset;
+}
+
+/**
+ * Replacement referencing a JS theme token: its reference in JS/TS files,
+ * null elsewhere (stylesheets cannot read JS objects).
+ */
+function jsThemeSuggestion(reference, file) {
+  return JS_FILE_RE.test(file) ? reference : null;
+}
+
+/**
+ * The string literal a color is the whole content of, in a JS/TS file:
+ * { text, jsxAttribute } where `text` is the literal with its quotes, e.g.
+ * '#10b981' in `stroke: '#10b981'`. `jsxAttribute` is set for attributes
+ * such as fill="#10b981" in .jsx/.tsx files, which need {braces} around a
+ * reference. Returns null when the color is only part of a string (or code).
+ * `usage` is { file, text, column, value } of the color in its line.
+ */
+function stringLiteralAround({ file, text, column, value }) {
+  if (!JS_FILE_RE.test(file)) {
+    return null;
+  }
+  const index = text.indexOf(value, Math.max(0, column - 2));
+  const quote = index > 0 ? text[index - 1] : null;
+  if (!QUOTES.includes(quote) || text[index + value.length] !== quote) {
+    return null;
+  }
+  const before = text.slice(0, index - 1);
+  return {
+    text: `${quote}${value}${quote}`,
+    jsxAttribute:
+      JSX_FILE_RE.test(file) &&
+      JSX_ATTRIBUTE_RE.test(before) &&
+      !DECLARATION_RE.test(before),
+  };
+}
+
+/**
+ * Reference for a CSS variable token from a --js-template such as
+ * "tokens.{name}": {name} is the variable name camelCased without its
+ * dashes (--color-primary -> colorPrimary), {var} the name itself.
+ */
+function jsTemplateReference(template, name) {
+  const camel = name
+    .replace(CSS_VAR_PREFIX_RE, "")
+    .replace(KEBAB_SEGMENT_RE, (_, char) => char.toUpperCase());
+  return template.replaceAll("{name}", camel).replaceAll("{var}", name);
+}
+
+/**
+ * Replacement for a whole string literal: the reference itself, in braces
+ * for a JSX attribute (fill="#10b981" -> fill={tokens.primary}).
+ */
+function literalReplacement(reference, literal) {
+  return literal.jsxAttribute ? `{${reference}}` : reference;
+}
+
+module.exports = {
+  DEFAULT_JS_REF,
+  parseJsThemeDeclarations,
+  evaluateModule,
+  objectPathOffset,
+  jsThemeSuggestion,
+  stringLiteralAround,
+  jsTemplateReference,
+  literalReplacement,
+};
@@ -38,6 +38,7 @@ type ColorResult = {
     arbitraryWithThemeMatch: number;
   };
   results: Record<string, TailwindResult[]>;
+  metric?: 'cie76' | 'cie94' | 'ciede2000' | 'oklab';
   v4?: {
     themeVars: number;
     utilities: number;
@@ -56,15 +57,57 @@ type TailwindResult = {
   opacity: string | null;
   arbitrary: string | null;
   context: string;
-  arbitraryMatch?: { name: string; hex: string; distance: number };
+  arbitraryMatch?: {
+    name: string;
+    hex: string;
+    distance: number;
+    // where the token is defined in the --vars files
+    source?: { file: string; line: number | null };
+  };
   arbitraryStatus?: 'exact' | 'close';
   suggestion?: string;
+  // exact matches: theme utility that replaces \`value\` (--fix)
+  replacement?: string;
+};
+
+// --fix --dry-run --format json
+type TailwindDryRunOutput = {
+  command: 'tailwind';
+  dryRun: true;
+  summary: { files: number; edits: number };
+  // TailwindResult fields of each replaced class, plus the source line
+  // without and with this edit
+  edits: (TailwindResult & {
+    replacement: string;
+    before: string;
+    after: string;
+  })[];
 };`,
 
   compare: `type CompareOutput = {
   command: 'compare';
   palette: Record<string, string>;
+  // --vars files in precedence order (later files win)
+  files: string[];
+  // variables defined with different values in different --vars files
+  conflicts: {
+    name: string;
+    theme: string;
+    definitions: { value: string; file: string; line: number | null }[];
+  }[];
+  // semantic alias -> primitive token, for tokens declared as var() references
+  aliases: Record<string, string>;
+  // theme palettes that were matched (default, dark, ...)
+  themes: string[];
   threshold: number;
+  metric: 'cie76' | 'cie94' | 'ciede2000' | 'oklab';
+  // --learn: token family (--surface-*) -> share of its references per
+  // property category; families below 3 references aren't trusted
+  learned?: Record<string, {
+    uses: number;
+    trusted: boolean;
+    categories: Record<string, number>;
+  }>;
   summary: {
     total: number;
     actionable: number;
@@ -91,14 +134,237 @@ type CompareResult = {
   type: string;
   hex: string;
   status: 'exact' | 'close' | 'unmatched';
-  match: { name: string; hex: string; distance: number } | null;
+  // alpha is set when the matched token is itself translucent,
+  // aliasOf when it is a var() alias of another token
+  match: {
+    name: string;
+    hex: string;
+    distance: number;
+    alpha?: number;
+    aliasOf?: string;
+    // set for SCSS/Less/JS/Tailwind config tokens; suggestions use that syntax
+    syntax?: 'scss' | 'less' | 'js' | 'tailwind' | 'tailwind-v4';
+    // JS/TS theme tokens: property path reference (see --js-ref);
+    // Tailwind config colors: theme path such as colors.brand.500;
+    // Tailwind v4 @theme colors: the variable used in var()
+    reference?: string;
+    // theme the token was matched in, when the variables file has themes
+    theme?: string;
+    // where the token is defined in the --vars files
+    source?: { file: string; line: number | null };
+    // --learn: the learned fit that ranked this token, \`share\` being the
+    // fraction of the family's references in \`category\`
+    preference?: { category: string; family: string; share: number; uses: number };
+  } | null;
+  // nearest match in each theme when more than one theme was compared;
+  // non-default themes only match the tokens they define themselves.
+  // Report only: \`match\`, \`status\` and \`suggestion\` come from the default
+  // theme (or --theme), since a token replaces the color in every theme
+  themeMatches?: Record<string, CompareResult['match']>;
   context: string;
   contextLabel: string;
   actionable: boolean;
   lineText: string;
   suggestion: string | null;
+  // source text the suggestion replaces: the value, or the whole JS/TS
+  // string literal (quotes included) for JS references
+  replaces: string | null;
   nameSuggestion: string | null;
   cssProperty: string | null;
+};
+
+// --fix --dry-run --format json prints the planned edits instead
+type CompareDryRunOutput = {
+  command: 'compare';
+  dryRun: true;
+  summary: { files: number; edits: number };
+  edits: {
+    file: string;
+    line: number;
+    column: number;
+    value: string;
+    replacement: string;
+    status: 'exact' | 'close';
+    // distance of the replacing token (0 for exact matches)
+    distance: number;
+    // --js-import statement for JS references
+    importStatement?: string;
+    // source line without and with this edit
+    before: string;
+    after: string;
+  }[];
+  // import lines --fix adds (line numbers in the fixed file)
+  imports?: { file: string; line: number; text: string }[];
+  // --fix-close: close matches not fixed because tokens of another color
+  // (\`tied\`) are within dE 0.5 of the match
+  ambiguous: {
+    file: string;
+    line: number;
+    column: number;
+    value: string;
+    match: CompareResult['match'];
+    tied: NonNullable<CompareResult['match']>[];
+  }[];
+};`,
+
+  extract: `type ExtractOutput = {
+  command: 'extract';
+  syntax: 'css' | 'scss' | 'dtcg' | 'tailwind';
+  // --out file the definitions were written to
+  out: string | null;
+  // colors within this distance were merged into one token
+  merge: number;
+  metric: 'cie76' | 'cie94' | 'ciede2000' | 'oklab';
+  summary: { colors: number; uses: number; tokens: number };
+  // most used first
+  tokens: {
+    // variable in the chosen syntax (--name, $name, --color-name)
+    name: string;
+    // DTCG path / name without prefix
+    path: string;
+    // hex, with alpha digits for translucent colors
+    value: string;
+    // other colors merged into this token
+    merged: string[];
+    uses: number;
+    locations: { file: string; line: number; column: number; value: string }[];
+  }[];
+  // file content of the definitions
+  definitions: string;
+};
+
+// --fix --dry-run --format json
+type ExtractDryRunOutput = {
+  command: 'extract';
+  dryRun: true;
+  summary: { files: number; edits: number };
+  edits: {
+    file: string;
+    line: number;
+    column: number;
+    value: string;
+    replacement: string;
+    // new token the color is replaced with
+    token: string;
+    importStatement?: string;
+    before: string;
+    after: string;
+  }[];
+  imports?: { file: string; line: number; text: string }[];
+  out: string;
+  syntax: 'css' | 'scss' | 'dtcg' | 'tailwind';
+  definitions: string;
+};`,
+
+  "palette-cluster": `type PaletteClusterOutput = {
+  command: 'palette-cluster';
+  metric: 'cie76' | 'cie94' | 'ciede2000' | 'oklab';
+  // largest distance within a cluster, or null with --clusters
+  threshold: number | null;
+  // --clusters target count
+  clusters: number | null;
+  summary: {
+    // distinct actionable colors (opaque hex) and their uses
+    colors: number;
+    uses: number;
+    clusters: number;
+    // non-actionable colors left out
+    skipped: number;
+  };
+  // most used first
+  palette: {
+    // suggested variable name in \`syntax\`
+    name: string;
+    // the member with the lowest usage-weighted distance to the others
+    representative: string;
+    uses: number;
+    // largest distance from the representative to a member
+    spread: number;
+    files: string[];
+    members: { hex: string; uses: number; values: string[] }[];
+  }[];
+  syntax: 'css' | 'scss' | 'dtcg' | 'tailwind';
+  // --out file the palette was written to
+  out: string | null;
+  definitions: string;
+};`,
+
+  "audit-palette": `type AuditPaletteOutput = {
+  command: 'audit-palette';
+  // the variables files, in precedence order
+  files: string[];
+  metric: 'cie76' | 'cie94' | 'ciede2000' | 'oklab';
+  // --near distance and --hue-jump degrees
+  near: number;
+  hueJump: number;
+  summary: {
+    tokens: number;
+    identical: number;
+    nearDuplicates: number;
+    unreachable: number;
+    lightness: number;
+    hueJumps: number;
+  };
+  // one token per primitive: aliases of the same primitive aren't duplicates
+  identical: { theme?: string; hex: string; tokens: string[] }[];
+  // closest first
+  nearDuplicates: {
+    theme?: string;
+    tokens: [string, string];
+    hexes: [string, string];
+    distance: number;
+    // within the 0.5 tie window: compare picks between them by name
+    tie: boolean;
+  }[];
+  // tokens compare never suggests for their own color, and what it suggests
+  unreachable: {
+    theme?: string;
+    token: string;
+    hex: string;
+    winners: string[];
+  }[];
+  // shade ramp steps (e.g. --blue-400 -> --blue-500) against the ramp's direction
+  lightness: {
+    theme?: string;
+    ramp: string;
+    direction: 'lighter' | 'darker';
+    from: { token: string; hex: string; lightness: number };
+    to: { token: string; hex: string; lightness: number };
+  }[];
+  hueJumps: {
+    theme?: string;
+    ramp: string;
+    // LCh hue change in degrees
+    change: number;
+    from: { token: string; hex: string; hue: number };
+    to: { token: string; hex: string; hue: number };
+  }[];
+};`,
+
+  "token-usage": `type TokenUsageOutput = {
+  command: 'token-usage';
+  // the variables files, in precedence order
+  files: string[];
+  summary: {
+    tokens: number;
+    used: number;
+    unused: number;
+    // direct references to tokens
+    references: number;
+  };
+  // every token, or only the unused ones with --unused
+  tokens: {
+    name: string;
+    hex: string;
+    aliasOf?: string;
+    references: number;
+    // references to aliases whose var() chain goes through this token
+    viaAliases: number;
+    files: string[];
+    source?: { file: string; line: number | null };
+  }[];
+  // tokens with no references, directly or through aliases
+  unused: string[];
 };`,
 
   patterns: `type PatternsOutput = {
@@ -140,6 +406,15 @@ type SubsetRelation = {
   sharedClasses: string[];
   extraClasses: string[];
 };`,
+
+  revert: `type RevertOutput = {
+  command: 'revert';
+  // absolute path of the journal; it is deleted once every entry is reverted
+  journal: string;
+  reverted: { file: string; edits: number }[];
+  // files left as they are (e.g. changed since the fix), kept in the journal
+  refused: { file: string; reason: string }[];
+};`,
 };
 
 function getSchema(commandName) {
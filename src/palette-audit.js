@@ -0,0 +1,261 @@
+// Palette checks for `audit-palette`: tokens that duplicate each other,
+// tokens `compare` can never suggest, and shade ramps (--blue-100 ...
+// --blue-900) whose lightness or hue is out of step.
+
+const {
+  colorDistance,
+  roundedAlpha,
+  normalizeToHexAlpha,
+  parseColor,
+  rgbToLab,
+} = require("./color-utils");
+const { DEFAULT_THEME } = require("./palette");
+const {
+  findNearestColorSemantic,
+  PROPERTY_CATEGORIES,
+  TIE_WINDOW,
+} = require("./commands/compare-vars");
+
+// A shade ramp token: a prefix, a separator and the shade number
+const RAMP_NAME_RE = /^(.+)[-_.](\d+)$/;
+
+// Ramps need this many opaque shades to have an order worth checking
+const MIN_RAMP_SHADES = 3;
+
+// Below this LCh chroma a color is near-gray and its hue is noise
+const MIN_HUE_CHROMA = 10;
+
+// Match contexts tried for reachability: no property, then one property of
+// each semantic category
+const MATCH_CONTEXTS = [
+  null,
+  ...Object.values(PROPERTY_CATEGORIES).map((props) => props[0]),
+];
+
+/**
+ * Audit each theme of a loadPalette() palette. Non-default themes only
+ * check the tokens they declare, as `compare` only matches those.
+ * Settings: { metric, near, hueJump }. Returns { tokens, identical,
+ * nearDuplicates, unreachable, lightness, hueJumps }, findings labelled
+ * with their theme when the palette has several.
+ */
+function auditThemes(themes, settings) {
+  const entries = Object.entries(themes);
+  const labelTheme = entries.length > 1 || entries[0][0] !== DEFAULT_THEME;
+  const report = {
+    tokens: 0,
+    identical: [],
+    nearDuplicates: [],
+    unreachable: [],
+    lightness: [],
+    hueJumps: [],
+  };
+  for (const [theme, { colors, tokens, declared }] of entries) {
+    const candidates =
+      entries.length > 1 && theme !== DEFAULT_THEME
+        ? Object.fromEntries(declared.map((name) => [name, colors[name]]))
+        : colors;
+    const found = auditTokens(candidates, tokens, settings);
+    report.tokens += Object.keys(candidates).length;
+    for (const [key, findings] of Object.entries(found)) {
+      report[key].push(
+        ...findings.map((f) => (labelTheme ? { theme, ...f } : f))
+      );
+    }
+  }
+  return report;
+}
+
+/**
+ * Audit one theme's candidate tokens (name -> color). Aliases of the same
+ * primitive are one token for the duplicate checks.
+ */
+function auditTokens(candidates, tokens, settings) {
+  const byHex = new Map();
+  for (const [name, value] of Object.entries(candidates)) {
+    const hex = normalizeToHexAlpha(value);
+    if (!hex) {
+      continue;
+    }
+    if (!byHex.has(hex)) {
+      byHex.set(hex, new Map());
+    }
+    // One name per primitive: the primitive itself when it is a candidate
+    const primitive = tokens[name]?.aliasOf ?? name;
+    const names = byHex.get(hex);
+    if (!names.has(primitive) || name === primitive) {
+      names.set(primitive, name);
+    }
+  }
+
+  const identical = [];
+  for (const [hex, names] of byHex) {
+    if (names.size > 1) {
+      identical.push({ hex, tokens: [...names.values()] });
+    }
+  }
+  return {
+    identical,
+    nearDuplicates: nearDuplicates(byHex, settings),
+    unreachable: unreachableTokens(candidates, tokens, settings.metric),
+    ...rampFindings(candidates, settings.hueJump),
+  };
+}
+
+/**
+ * Pairs of different colors of the same alpha within `near` of each other.
+ * Pairs within the tie window are matched by name rather than by color.
+ */
+function nearDuplicates(byHex, { metric, near }) {
+  const colors = [...byHex].map(([hex, names]) => ({
+    hex,
+    token: names.values().next().value,
+    rgb: parseColor(hex),
+    alpha: roundedAlpha(hex),
+  }));
+  const pairs = [];
+  for (let i = 0; i < colors.length; i++) {
+    for (let j = i + 1; j < colors.length; j++) {
+      const a = colors[i];
+      const b = colors[j];
+      if (a.alpha !== b.alpha) {
+        continue;
+      }
+      const distance = colorDistance(a.rgb, b.rgb, metric);
+      if (distance > 0 && distance <= near) {
+        pairs.push({
+          tokens: [a.token, b.token],
+          hexes: [a.hex, b.hex],
+          distance: Math.round(distance * 100) / 100,
+          tie: distance <= TIE_WINDOW,
+        });
+      }
+    }
+  }
+  return pairs.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Tokens that don't win a match for their own color in any context: an
+ * identical or tied token always takes precedence. Lists the winners.
+ */
+function unreachableTokens(candidates, tokens, metric) {
+  const unreachable = [];
+  for (const [name, value] of Object.entries(candidates)) {
+    const winners = new Set();
+    for (const cssProp of MATCH_CONTEXTS) {
+      const match = findNearestColorSemantic(value, candidates, cssProp, {
+        metric,
+        tokens,
+      });
+      if (match) {
+        winners.add(match.name);
+      }
+    }
+    if (winners.size > 0 && !winners.has(name)) {
+      unreachable.push({
+        token: name,
+        hex: normalizeToHexAlpha(value),
+        winners: [...winners],
+      });
+    }
+  }
+  return unreachable;
+}
+
+/**
+ * Shade ramps: opaque tokens named <prefix><separator><number>, grouped by
+ * prefix and ordered by shade. Ramps get lighter or darker from the first
+ * shade to the last; steps against that direction are `lightness` findings
+ * and steps whose LCh hue turns more than `hueJump` degrees are `hueJumps`.
+ */
+function rampFindings(candidates, hueJump) {
+  const ramps = shadeRamps(candidates);
+  const lightness = [];
+  const hueJumps = [];
+  for (const [ramp, shades] of ramps) {
+    if (shades.length < MIN_RAMP_SHADES) {
+      continue;
+    }
+    const direction = Math.sign(shades.at(-1).lightness - shades[0].lightness);
+    for (let i = 1; i < shades.length; i++) {
+      const from = shades[i - 1];
+      const to = shades[i];
+      if (
+        direction !== 0 &&
+        Math.sign(to.lightness - from.lightness) === -direction
+      ) {
+        lightness.push({
+          ramp,
+          direction: direction > 0 ? "lighter" : "darker",
+          from: rampShade(from, "lightness"),
+          to: rampShade(to, "lightness"),
+        });
+      }
+      const change = hueChange(from, to);
+      if (change > hueJump) {
+        hueJumps.push({
+          ramp,
+          change: Math.round(change),
+          from: rampShade(from, "hue"),
+          to: rampShade(to, "hue"),
+        });
+      }
+    }
+  }
+  return { lightness, hueJumps };
+}
+
+/**
+ * Ramp prefix -> shades ({ token, hex, shade, lightness, chroma, hue }) of
+ * the opaque ramp tokens, ordered by shade.
+ */
+function shadeRamps(candidates) {
+  const ramps = new Map();
+  for (const [name, value] of Object.entries(candidates)) {
+    const m = RAMP_NAME_RE.exec(name);
+    const rgb = parseColor(value);
+    if (!(m && rgb) || roundedAlpha(value) < 1) {
+      continue;
+    }
+    const lab = rgbToLab(rgb.r, rgb.g, rgb.b);
+    if (!ramps.has(m[1])) {
+      ramps.set(m[1], []);
+    }
+    ramps.get(m[1]).push({
+      token: name,
+      hex: normalizeToHexAlpha(value),
+      shade: Number(m[2]),
+      lightness: lab.l,
+      chroma: Math.hypot(lab.a, lab.b),
+      hue: ((Math.atan2(lab.b, lab.a) * 180) / Math.PI + 360) % 360,
+    });
+  }
+  for (const shades of ramps.values()) {
+    shades.sort((a, b) => a.shade - b.shade);
+  }
+  return ramps;
+}
+
+/**
+ * Hue difference in degrees (0-180) between two shades, or 0 when either is
+ * too close to gray for its hue to mean anything.
+ */
+function hueChange(a, b) {
+  if (a.chroma < MIN_HUE_CHROMA || b.chroma < MIN_HUE_CHROMA) {
+    return 0;
+  }
+  const diff = Math.abs(a.hue - b.hue) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+function rampShade(shade, property) {
+  const value = shade[property];
+  return {
+    token: shade.token,
+    hex: shade.hex,
+    [property]: Math.round(value * 10) / 10,
+  };
+}
+
+module.exports = { auditThemes };
@@ -0,0 +1,512 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { normalizeToHexAlpha } = require("./color-utils");
+const { isDtcgDocument, parseDtcgDeclarations } = require("./dtcg");
+const { parseJsThemeDeclarations } = require("./js-theme");
+const {
+  isTailwindConfig,
+  parseTailwindConfigDeclarations,
+} = require("./tailwind-config");
+const {
+  blankLineComments,
+  parseScssDeclarations,
+  parseLessDeclarations,
+  preprocessorReference,
+} = require("./preprocessor-vars");
+const { readV4Theme } = require("./tailwind-colors");
+const { lineLocator, jsonPathOffset } = require("./utils");
+
+// Theme for declarations outside any theme selector (:root, html, :host)
+const DEFAULT_THEME = "default";
+
+const CSS_COMMENT_RE = /\/\*[\s\S]*?\*\//g;
+const NON_NEWLINE_RE = /[^\n]/g;
+const WHITESPACE_RE = /\s+/g;
+const CSS_DECLARATION_RE = /^(--[\w-]+)\s*:\s*([\s\S]+)$/;
+const IMPORTANT_RE = /\s*!important\s*$/i;
+const VAR_REF_RE = /^var\(\s*(--[\w-]+)\s*(?:,\s*(.*))?\)$/;
+const COLOR_SCHEME_MEDIA_RE = /prefers-color-scheme\s*:\s*([\w-]+)/i;
+const NOT_PSEUDO_RE = /:not\([^)]*\)/g;
+// Selectors of the document root, optionally naming a theme:
+// :root, html, body, :host, html.dark, :root[data-theme="dim"]
+const ROOT_SELECTOR_RE = /^(?::root|html|body|:host)?(.*)$/i;
+const THEME_ATTR_RE =
+  /^\[data-(?:theme|mode|color-scheme)\s*=\s*["']?([\w-]+)["']?\s*\]$/i;
+// Theme classes: .dark, .light and .theme-<name>
+const THEME_CLASS_RE = /^\.(dark|light|theme-[\w-]+)$/i;
+const THEME_PREFIX_RE = /^theme-/;
+// Tailwind v4 theme namespace for colors (bg-primary <- --color-primary)
+const V4_COLOR_PREFIX = "--color-";
+
+/**
+ * Load one or more variables files as a palette with per-token metadata.
+ * Later files take precedence over earlier ones, and var() references
+ * resolve across files (e.g. semantic.css aliasing primitives.css).
+ * Options: { tokenName, jsRef } — CSS variable name template for DTCG token
+ * paths and reference template for JS/TS theme tokens.
+ *
+ * Returns { colors, tokens, themes, files, conflicts }:
+ *   themes     theme name -> { colors, tokens, declared } (at least one entry);
+ *              `declared` lists the variables the theme itself defines
+ *   colors     variable name -> hex for the default theme (or the first theme)
+ *   tokens     variable name -> { file, line, aliasOf?, via?, syntax?,
+ *              reference? } for the same theme
+ *   files      the variables files, in precedence order
+ *   conflicts  [{ name, theme, definitions: [{ value, file, line }] }] for
+ *              color variables defined differently in different files;
+ *              the last definition wins
+ * Returns null if a file does not exist.
+ */
+function loadPalette(filePaths, options = {}) {
+  const files = [filePaths].flat();
+  const merged = { [DEFAULT_THEME]: {} };
+  const conflicts = [];
+  for (const file of files) {
+    const declarations = readDeclarations(file, options);
+    if (!declarations) {
+      return null;
+    }
+    mergeDeclarations(merged, declarations, conflicts);
+  }
+
+  const themes = resolveThemes(merged);
+  const primary = themes[DEFAULT_THEME] || Object.values(themes)[0];
+  return {
+    colors: primary.colors,
+    tokens: primary.tokens,
+    themes,
+    files,
+    conflicts: conflicts.filter((c) => themes[c.theme]?.colors[c.name]),
+  };
+}
+
+/**
+ * Parse one or more variables files and return color name to hex mappings.
+ * Supports CSS custom properties, JSON, DTCG design tokens, and JS/TS exports.
+ */
+function parseVariablesFile(filePaths, options) {
+  const palette = loadPalette(filePaths, options);
+  return palette ? palette.colors : null;
+}
+
+/**
+ * Read a variables file into raw declarations:
+ * theme name -> { variable name -> { value, file, line } }.
+ * Returns null (and reports an error) if the file does not exist.
+ */
+function readDeclarations(filePath, options) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    console.error(`Error: File not found: ${resolved}`);
+    process.exitCode = 1;
+    return null;
+  }
+
+  const content = fs.readFileSync(resolved, "utf-8");
+  const ext = path.extname(resolved).toLowerCase();
+  return parseDeclarations(content, ext, filePath, options);
+}
+
+/**
+ * Parse variables file content into declarations by theme.
+ * Formats without theme support only have the default theme.
+ */
+function parseDeclarations(content, ext, file, options) {
+  if (ext === ".json" || ext === ".tokens") {
+    return { [DEFAULT_THEME]: parseJsonDeclarations(content, file, options) };
+  }
+  if (ext === ".css") {
+    return markTailwindV4Theme(parseCssDeclarations(content, file), content);
+  }
+  if ([".scss", ".sass", ".less"].includes(ext)) {
+    return parsePreprocessorDeclarations(content, ext, file);
+  }
+  if (isTailwindConfig(file)) {
+    return { [DEFAULT_THEME]: parseConfigDeclarations(content, file) };
+  }
+  if ([".js", ".ts", ".mjs", ".cjs"].includes(ext)) {
+    return { [DEFAULT_THEME]: parseScriptDeclarations(content, file, options) };
+  }
+
+  // Try all parsers as fallback
+  const css = parseCssDeclarations(content, file);
+  if (Object.values(css).some((d) => Object.keys(d).length > 0)) {
+    return css;
+  }
+  const json = parseJsonDeclarations(content, file, options);
+  if (Object.keys(json).length > 0) {
+    return { [DEFAULT_THEME]: json };
+  }
+  return { [DEFAULT_THEME]: parseJsDeclarations(content, file) };
+}
+
+/**
+ * Merge one file's declarations into the combined set. A variable that an
+ * earlier file defined with a different value is recorded as a conflict.
+ */
+function mergeDeclarations(merged, declarations, conflicts) {
+  for (const [theme, own] of Object.entries(declarations)) {
+    merged[theme] = merged[theme] || {};
+    for (const [name, decl] of Object.entries(own)) {
+      const previous = merged[theme][name];
+      if (
+        previous &&
+        previous.file !== decl.file &&
+        valueKey(previous.value) !== valueKey(decl.value)
+      ) {
+        recordConflict(conflicts, { name, theme, previous, decl });
+      }
+      merged[theme][name] = decl;
+    }
+  }
+}
+
+function recordConflict(conflicts, { name, theme, previous, decl }) {
+  const existing = conflicts.find((c) => c.name === name && c.theme === theme);
+  if (existing) {
+    existing.definitions.push(decl);
+  } else {
+    conflicts.push({ name, theme, definitions: [previous, decl] });
+  }
+}
+
+/**
+ * Comparable form of a value: colors by hex, anything else without spaces.
+ */
+function valueKey(value) {
+  return normalizeToHexAlpha(value) || value.replace(WHITESPACE_RE, "");
+}
+
+/**
+ * Resolve merged declarations into theme palettes.
+ * A theme inherits every default declaration it does not override, so
+ * var() references resolve the way the browser would with that theme active.
+ * Themes that declare no color of their own are dropped.
+ */
+function resolveThemes(merged) {
+  const defaults = merged[DEFAULT_THEME];
+  const themes = {};
+  for (const [theme, own] of Object.entries(merged)) {
+    const tokens = {};
+    const colors = resolveCssDeclarations({ ...defaults, ...own }, tokens);
+    const declared = Object.keys(own).filter((name) => name in colors);
+    if (declared.length > 0) {
+      themes[theme] = { colors, tokens, declared };
+    }
+  }
+  if (Object.keys(themes).length === 0) {
+    themes[DEFAULT_THEME] = { colors: {}, tokens: {}, declared: [] };
+  }
+  return themes;
+}
+
+/**
+ * Parse CSS custom properties into declarations by theme.
+ *
+ *   :root { --surface: #ffffff; }                         default
+ *   .dark, [data-theme="dark"] { --surface: #0f172a; }    dark
+ *   @media (prefers-color-scheme: dark) { :root {...} }   dark
+ *   .card { --card-border: #e2e8f0; }                     (none)
+ *
+ * Within a theme the last declaration wins.
+ */
+function parseCssDeclarations(content, file) {
+  const declarations = { [DEFAULT_THEME]: {} };
+  // Blank out comments but keep offsets so line numbers stay accurate
+  const text = content.replace(CSS_COMMENT_RE, (c) =>
+    c.replace(NON_NEWLINE_RE, " ")
+  );
+  const lineAt = lineLocator(text);
+  const stack = [];
+  let start = 0;
+  const flush = (end) => {
+    const raw = text.slice(start, end);
+    const offset = start + (raw.length - raw.trimStart().length);
+    addDeclaration(raw, stack.at(-1) || [DEFAULT_THEME], declarations, {
+      file,
+      line: lineAt(offset),
+    });
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "{") {
+      const prelude = text.slice(start, i).trim();
+      stack.push(blockThemes(prelude, stack.at(-1) || [DEFAULT_THEME]));
+      start = i + 1;
+    } else if (ch === "}" || ch === ";") {
+      flush(i);
+      if (ch === "}") {
+        stack.pop();
+      }
+      start = i + 1;
+    }
+  }
+  flush(text.length);
+  return declarations;
+}
+
+/**
+ * Apply Tailwind v4 @theme semantics to parsed CSS declarations: variables
+ * removed by a namespace reset (--color-*: initial) are dropped, and
+ * --color-* theme variables are marked as Tailwind tokens. Their
+ * `reference` is the variable to use in var(): the aliased variable for
+ * `@theme inline`, whose variables utilities don't reference at runtime.
+ */
+function markTailwindV4Theme(declarations, content) {
+  if (!content.includes("@theme")) {
+    return declarations;
+  }
+  const defaults = declarations[DEFAULT_THEME];
+  const { variables, removed } = readV4Theme(content);
+  for (const name of removed) {
+    delete defaults[name];
+  }
+  for (const name of Object.keys(defaults)) {
+    const themeVar = variables[name];
+    if (!(themeVar && name.startsWith(V4_COLOR_PREFIX))) {
+      continue;
+    }
+    defaults[name].syntax = "tailwind-v4";
+    const alias = themeVar.inline && themeVar.value.match(VAR_REF_RE);
+    defaults[name].reference = alias ? alias[1] : name;
+  }
+  return declarations;
+}
+
+/**
+ * Parse a SCSS/Sass/Less file: custom properties (with themes) plus
+ * top-level $var / @var variables and Sass maps in the default theme.
+ */
+function parsePreprocessorDeclarations(content, ext, file) {
+  const text = blankLineComments(content);
+  const declarations = parseCssDeclarations(text, file);
+  const variables =
+    ext === ".less"
+      ? parseLessDeclarations(text, file)
+      : parseScssDeclarations(text, file, { indented: ext === ".sass" });
+  Object.assign(declarations[DEFAULT_THEME], variables);
+  return declarations;
+}
+
+function addDeclaration(text, themes, declarations, location) {
+  const match = text.trim().match(CSS_DECLARATION_RE);
+  if (!match) {
+    return;
+  }
+  const value = match[2].replace(IMPORTANT_RE, "").trim();
+  for (const theme of themes) {
+    declarations[theme] = declarations[theme] || {};
+    declarations[theme][match[1]] = { value, ...location };
+  }
+}
+
+/**
+ * Themes a block applies to, given its prelude and the enclosing block's themes.
+ * A prefers-color-scheme media query names a theme; other at-rules inherit.
+ * Each selector in a list may name its own theme via a theme class (.dark,
+ * .light, .theme-<name>) or data-theme attribute, alone or on the root
+ * element; root selectors without one (:root, html) inherit. Other
+ * selectors (.card, nav a) scope custom properties to components, so their
+ * declarations belong to no theme and are not palette tokens.
+ */
+function blockThemes(prelude, parentThemes) {
+  if (prelude.startsWith("@")) {
+    const scheme = prelude.match(COLOR_SCHEME_MEDIA_RE);
+    return scheme ? [scheme[1].toLowerCase()] : parentThemes;
+  }
+  const themes = new Set();
+  for (const selector of prelude.split(",")) {
+    for (const name of selectorThemes(selector, parentThemes)) {
+      themes.add(name);
+    }
+  }
+  return [...themes];
+}
+
+/**
+ * Themes of one selector: its theme, the parent's themes for the root
+ * element, or none for component selectors.
+ */
+function selectorThemes(selector, parentThemes) {
+  const cleaned = selector.replace(NOT_PSEUDO_RE, "").trim();
+  const rest = cleaned.match(ROOT_SELECTOR_RE)[1];
+  if (rest === "") {
+    return cleaned === "" ? [] : parentThemes;
+  }
+  const attr = rest.match(THEME_ATTR_RE);
+  if (attr) {
+    return [attr[1].toLowerCase()];
+  }
+  const cls = rest.match(THEME_CLASS_RE);
+  return cls ? [cls[1].toLowerCase().replace(THEME_PREFIX_RE, "")] : [];
+}
+
+/**
+ * Resolve declarations into a palette, following var() chains:
+ *   --emerald-500: #10b981;
+ *   --bg-primary: var(--emerald-500);          alias of --emerald-500
+ *   --bg-muted: var(--missing, var(--bg-primary));  fallback is used
+ * Each resolved token is recorded in `tokens[name]` with its source file and
+ * line, and aliases also get `aliasOf`: the primitive token that holds the
+ * literal color, and `via`: the aliases in between when the chain has more
+ * than one link (--error -> --danger -> --red-500: via [--danger]).
+ * References that are undefined or cyclic fall back to the var() fallback
+ * value, if any.
+ */
+function resolveCssDeclarations(declarations, tokens) {
+  const palette = {};
+  for (const [name, decl] of Object.entries(declarations)) {
+    const resolved = resolveCssVar(name, declarations, new Set());
+    if (!resolved) {
+      continue;
+    }
+    palette[name] = resolved.hex;
+    tokens[name] = { file: decl.file, line: decl.line };
+    if (decl.syntax) {
+      tokens[name].syntax = decl.syntax;
+    }
+    if (decl.reference) {
+      tokens[name].reference = decl.reference;
+    }
+    if (resolved.primitive !== name) {
+      tokens[name].aliasOf = resolved.primitive;
+    }
+    if (resolved.chain.length > 2) {
+      tokens[name].via = resolved.chain.slice(1, -1);
+    }
+  }
+  return palette;
+}
+
+/**
+ * Resolve a variable to { hex, primitive, chain }, or null if it is not a
+ * color, is undefined, or is part of a reference cycle. `chain` lists the
+ * variables followed, from `name` to the primitive.
+ */
+function resolveCssVar(name, declarations, stack) {
+  if (stack.has(name) || declarations[name] == null) {
+    return null;
+  }
+  stack.add(name);
+  const result = resolveCssValue(declarations[name].value, declarations, stack);
+  stack.delete(name);
+  if (!result) {
+    return null;
+  }
+  return {
+    hex: result.hex,
+    primitive: result.primitive || name,
+    chain: [name, ...result.chain],
+  };
+}
+
+/**
+ * Resolve a declaration value: a literal color, a var() with optional
+ * fallback, or a preprocessor reference ($var, @var, map.get()).
+ */
+function resolveCssValue(value, declarations, stack) {
+  const ref = value.match(VAR_REF_RE);
+  if (!ref) {
+    const target = preprocessorReference(value);
+    if (target) {
+      return resolveCssVar(target, declarations, stack);
+    }
+    const hex = normalizeToHexAlpha(value);
+    return hex ? { hex, primitive: null, chain: [] } : null;
+  }
+  const [, refName, fallback] = ref;
+  const target = resolveCssVar(refName, declarations, stack);
+  if (target) {
+    return target;
+  }
+  return fallback
+    ? resolveCssValue(fallback.trim(), declarations, stack)
+    : null;
+}
+
+/**
+ * Parse a JSON variables file: DTCG design tokens when any token has a
+ * $value, otherwise every string leaf keyed by its dotted path.
+ */
+function parseJsonDeclarations(content, file, options) {
+  const declarations = {};
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    return declarations; // not valid JSON
+  }
+  if (isDtcgDocument(data)) {
+    return parseDtcgDeclarations(data, content, file, options);
+  }
+  const lineAt = lineLocator(content);
+  flattenColors(data, [], (segments, value) => {
+    const offset = jsonPathOffset(content, segments);
+    declarations[segments.join(".")] = {
+      value,
+      file,
+      line: offset >= 0 ? lineAt(offset) : null,
+    };
+  });
+  return declarations;
+}
+
+/**
+ * Parse a JS/TS theme module by running it (see js-theme.js). Scraping
+ * key: 'value' pairs would flatten the paths into colliding leaf keys
+ * (primary, 500), so a module that cannot be read has no colors.
+ */
+function parseScriptDeclarations(content, file, options) {
+  try {
+    return parseJsThemeDeclarations(content, file, options);
+  } catch (err) {
+    console.error(`Warning: Could not read ${file} (${err.message}).`);
+    return {};
+  }
+}
+
+/**
+ * Parse a tailwind.config file. Scraping key: 'value' pairs would mix up
+ * shades of different colors, so a config that cannot be read has no
+ * colors.
+ */
+function parseConfigDeclarations(content, file) {
+  try {
+    return parseTailwindConfigDeclarations(content, file);
+  } catch (err) {
+    console.error(`Warning: Could not read ${file} (${err.message}).`);
+    return {};
+  }
+}
+
+function parseJsDeclarations(content, file) {
+  const declarations = {};
+  const lineAt = lineLocator(content);
+  const regex = /['"]?([\w-]+)['"]?\s*:\s*['"]([^'"]+)['"]/g;
+  for (const match of content.matchAll(regex)) {
+    declarations[match[1]] = {
+      value: match[2].trim(),
+      file,
+      line: lineAt(match.index),
+    };
+  }
+  return declarations;
+}
+
+function flattenColors(obj, segments, visit) {
+  for (const [key, value] of Object.entries(obj)) {
+    const keyPath = [...segments, key];
+    if (typeof value === "string") {
+      visit(keyPath, value);
+    } else if (typeof value === "object" && value !== null) {
+      flattenColors(value, keyPath, visit);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_THEME,
+  loadPalette,
+  parseVariablesFile,
+};
@@ -0,0 +1,282 @@
+// SCSS and Less variable palettes: $var / @var declarations and Sass maps,
+// plus replacement references in the preprocessor's own syntax.
+
+const { lineLocator } = require("./utils");
+
+const LINE_COMMENT_RE = /(^|[^:])(\/\/.*)$/gm;
+const NON_NEWLINE_RE = /[^\n]/g;
+const SCSS_VAR_DECL_RE = /^\$([\w-]+)\s*:\s*([\s\S]+)$/;
+const LESS_VAR_DECL_RE = /^@([\w-]+)\s*:\s*([\s\S]+)$/;
+const SCSS_FLAGS_RE = /\s*!(?:default|global)\b/g;
+const DEFAULT_FLAG_RE = /!default\b/;
+const QUOTES_RE = /^["']|["']$/g;
+const SIGIL_REF_RE = /^[$@][\w-]+$/;
+const MAP_GET_RE = /^map[.-]get\(\s*(\$[\w-]+)\s*,([\s\S]+)\)$/;
+
+// Stylesheet extension -> preprocessor variable syntax usable in that file
+const FILE_SYNTAX = {
+  ".scss": "scss",
+  ".sass": "scss",
+  ".less": "less",
+};
+
+/**
+ * Blank out // line comments (keeping offsets) so they don't end statements.
+ * `url(http://...)` is left alone because its // follows a colon.
+ */
+function blankLineComments(content) {
+  return content.replace(
+    LINE_COMMENT_RE,
+    (_, before, comment) => before + comment.replace(NON_NEWLINE_RE, " ")
+  );
+}
+
+/**
+ * Parse top-level SCSS variables into declarations:
+ * variable name -> { value, file, line, syntax: "scss" }.
+ *
+ *   $brand-primary: #10b981;              -> $brand-primary
+ *   $accent: $brand-primary !default;     -> $accent (alias)
+ *   $colors: (primary: #10b981, gray: (50: #f9fafb));
+ *     -> map.get($colors, primary), map.get($colors, gray, 50)
+ *
+ * A !default declaration does not override an earlier one. Set `indented`
+ * for the .sass syntax, where statements end at line breaks.
+ */
+function parseScssDeclarations(content, file, { indented = false } = {}) {
+  const declarations = {};
+  const defined = new Set();
+  const text = blankLineComments(content);
+  const lineAt = lineLocator(text);
+  for (const stmt of topLevelStatements(text, indented)) {
+    const match = stmt.text.match(SCSS_VAR_DECL_RE);
+    if (!match) {
+      continue;
+    }
+    const name = `$${match[1]}`;
+    if (DEFAULT_FLAG_RE.test(match[2]) && defined.has(name)) {
+      continue;
+    }
+    defined.add(name);
+    const value = match[2].replace(SCSS_FLAGS_RE, "").trim();
+    const valueOffset = stmt.offset + stmt.text.indexOf(match[2]);
+    const location = { file, syntax: "scss" };
+
+    const entries = value.startsWith("(") ? mapEntries(value, valueOffset) : [];
+    if (entries.length === 0) {
+      declarations[name] = { value, line: lineAt(stmt.offset), ...location };
+    }
+    for (const entry of entries) {
+      declarations[mapGetName(name, entry.keys)] = {
+        value: entry.value,
+        line: lineAt(entry.offset),
+        ...location,
+      };
+    }
+  }
+  return declarations;
+}
+
+/**
+ * Parse top-level Less variables into declarations:
+ * variable name -> { value, file, line, syntax: "less" }.
+ * As in Less, the last definition of a variable wins.
+ */
+function parseLessDeclarations(content, file) {
+  const declarations = {};
+  const text = blankLineComments(content);
+  const lineAt = lineLocator(text);
+  for (const stmt of topLevelStatements(text, false)) {
+    const match = stmt.text.match(LESS_VAR_DECL_RE);
+    if (match) {
+      declarations[`@${match[1]}`] = {
+        value: match[2].trim(),
+        file,
+        line: lineAt(stmt.offset),
+        syntax: "less",
+      };
+    }
+  }
+  return declarations;
+}
+
+/**
+ * Split a stylesheet into statements outside any {} block, each with the
+ * offset of its first non-space character. Parentheses and quotes are
+ * respected so multi-line Sass maps stay in one statement.
+ */
+function topLevelStatements(text, newlineTerminates) {
+  const statements = [];
+  const state = { braces: 0, parens: 0, quote: null };
+  let start = 0;
+  const push = (end) => {
+    const raw = text.slice(start, end);
+    const trimmed = raw.trim();
+    if (trimmed && state.braces === 0) {
+      const offset = start + leadingSpace(raw);
+      statements.push({ text: trimmed, offset });
+    }
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const boundary = scanChar(text[i], state, newlineTerminates);
+    if (boundary === "end") {
+      push(i);
+      start = i + 1;
+    } else if (boundary === "block") {
+      start = i + 1;
+    }
+  }
+  push(text.length);
+  return statements;
+}
+
+/**
+ * Advance the scanner state by one character. Returns "end" at a statement
+ * terminator, "block" when a {} block opens or closes, otherwise null.
+ */
+function scanChar(ch, state, newlineTerminates) {
+  if (state.quote) {
+    if (ch === state.quote) {
+      state.quote = null;
+    }
+    return null;
+  }
+  switch (ch) {
+    case '"':
+    case "'":
+      state.quote = ch;
+      return null;
+    case "(":
+      state.parens++;
+      return null;
+    case ")":
+      state.parens = Math.max(0, state.parens - 1);
+      return null;
+    case "{":
+      state.braces++;
+      return "block";
+    case "}":
+      state.braces = Math.max(0, state.braces - 1);
+      return "block";
+    case ";":
+      return state.parens === 0 ? "end" : null;
+    case "\n":
+      return newlineTerminates && state.parens === 0 ? "end" : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Flatten a Sass map literal into [{ keys, value, offset }] leaf entries.
+ * `offset` is the position of `text` in the file. Returns [] for values
+ * that are not maps (lists, parenthesized expressions).
+ */
+function mapEntries(text, offset, parentKeys = []) {
+  const entries = [];
+  for (const item of splitTopLevel(text.slice(1, -1), ",")) {
+    const parts = splitTopLevel(item.text, ":");
+    if (parts.length < 2) {
+      continue;
+    }
+    const keys = [...parentKeys, parts[0].text.trim().replace(QUOTES_RE, "")];
+    const rawValue = item.text.slice(parts[0].text.length + 1);
+    const value = rawValue.trim();
+    const itemOffset = offset + 1 + item.offset;
+    const valueOffset =
+      itemOffset + parts[0].text.length + 1 + leadingSpace(rawValue);
+    const nested = value.startsWith("(")
+      ? mapEntries(value, valueOffset, keys)
+      : [];
+    if (nested.length > 0) {
+      entries.push(...nested);
+    } else {
+      const keyOffset = itemOffset + leadingSpace(item.text);
+      entries.push({ keys, value, offset: keyOffset });
+    }
+  }
+  return entries;
+}
+
+function leadingSpace(text) {
+  return text.length - text.trimStart().length;
+}
+
+/**
+ * Split on a separator outside parentheses and quotes: [{ text, offset }].
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  const state = { braces: 0, parens: 0, quote: null };
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === separator && !state.quote && state.parens === 0) {
+      parts.push({ text: text.slice(start, i), offset: start });
+      start = i + 1;
+    } else {
+      scanChar(ch, state, false);
+    }
+  }
+  parts.push({ text: text.slice(start), offset: start });
+  return parts;
+}
+
+function mapGetName(mapName, keys) {
+  return `map.get(${mapName}, ${keys.join(", ")})`;
+}
+
+/**
+ * Name of the variable a preprocessor value refers to ($var, @var,
+ * map.get($map, key) or map-get($map, key)), or null for other values.
+ */
+function preprocessorReference(value) {
+  if (SIGIL_REF_RE.test(value)) {
+    return value;
+  }
+  const mapGet = value.match(MAP_GET_RE);
+  if (!mapGet) {
+    return null;
+  }
+  const keys = mapGet[2]
+    .split(",")
+    .map((key) => key.trim().replace(QUOTES_RE, ""));
+  return mapGetName(mapGet[1], keys);
+}
+
+/**
+ * Preprocessor syntax ("scss" or "less") whose variables a file can use,
+ * or null for other files.
+ */
+function fileSyntax(file) {
+  const dot = file.lastIndexOf(".");
+  return FILE_SYNTAX[file.slice(dot).toLowerCase()] || null;
+}
+
+/**
+ * Replacement for a color in a file, referencing a preprocessor token in
+ * its own syntax: $brand / rgba($brand, 0.4) for SCSS, @brand /
+ * fade(@brand, 40%) for Less. Returns null when the file cannot use the token
+ * (e.g. a SCSS variable from a .tsx file).
+ */
+function preprocessorSuggestion(name, syntax, file, alpha) {
+  if (fileSyntax(file) !== syntax) {
+    return null;
+  }
+  if (alpha == null || alpha >= 1) {
+    return name;
+  }
+  const rounded = Math.round(alpha * 100) / 100;
+  return syntax === "less"
+    ? `fade(${name}, ${Math.round(rounded * 100)}%)`
+    : `rgba(${name}, ${rounded})`;
+}
+
+module.exports = {
+  blankLineComments,
+  parseScssDeclarations,
+  parseLessDeclarations,
+  preprocessorReference,
+  preprocessorSuggestion,
+};
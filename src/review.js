@@ -0,0 +1,121 @@
+// Terminal review for `compare --interactive`: one result at a time, with
+// candidate tokens to accept, pick from, skip or ignore.
+
+const readline = require("node:readline");
+const path = require("node:path");
+const { parseColor } = require("./color-utils");
+
+const KEY_HELP =
+  "[Enter/a] accept  [1-9] pick token  [s] skip  [i] ignore  [q] quit";
+const INDEX_RE = /^\d+$/;
+const ANSWERS = {
+  s: { type: "skip" },
+  i: { type: "ignore" },
+  q: { type: "quit" },
+};
+
+/**
+ * Walk through review items, reading one answer per item from `io.input`
+ * (default stdin) and printing to `io.output` (default stdout).
+ * `items` is [{ result, text, candidates: [{ match, suggestion }] }] with
+ * candidates ranked best first.
+ *
+ * Returns { accepted: [{ ...item, candidate }], ignored: [item] }. Quitting
+ * or closing the input ends the review; earlier answers are kept.
+ */
+async function reviewResults(items, io = {}) {
+  const output = io.output || process.stdout;
+  const rl = readline.createInterface({
+    input: io.input || process.stdin,
+    terminal: false,
+  });
+  const answers = rl[Symbol.asyncIterator]();
+  const swatches = Boolean(output.isTTY);
+  const decisions = { accepted: [], ignored: [] };
+
+  try {
+    for (const [i, item] of items.entries()) {
+      output.write(formatItem(item, `[${i + 1}/${items.length}]`, swatches));
+      const action = await ask(answers, output, item.candidates);
+      if (action.type === "quit") {
+        break;
+      }
+      if (action.type === "accept") {
+        decisions.accepted.push({ ...item, candidate: action.candidate });
+      } else if (action.type === "ignore") {
+        decisions.ignored.push(item);
+      }
+    }
+  } finally {
+    rl.close();
+  }
+  return decisions;
+}
+
+async function ask(answers, output, candidates) {
+  for (;;) {
+    output.write("> ");
+    const { value, done } = await answers.next();
+    if (done) {
+      output.write("\n");
+      return { type: "quit" };
+    }
+    const action = parseAnswer(value.trim().toLowerCase(), candidates);
+    if (action) {
+      return action;
+    }
+    output.write(`Unknown answer. ${KEY_HELP}\n`);
+  }
+}
+
+/**
+ * Action for an answer, or null when it isn't understood. Enter accepts
+ * the best candidate (or skips when there is none); a number picks one.
+ */
+function parseAnswer(answer, candidates) {
+  if (answer === "" || answer === "a") {
+    return candidates.length > 0
+      ? { type: "accept", candidate: candidates[0] }
+      : { type: "skip" };
+  }
+  if (INDEX_RE.test(answer)) {
+    const candidate = candidates[Number(answer) - 1];
+    return candidate ? { type: "accept", candidate } : null;
+  }
+  return ANSWERS[answer] || null;
+}
+
+function formatItem(item, counter, swatches) {
+  const { result, text, candidates } = item;
+  const location = `${path.relative(process.cwd(), result.file) || result.file}:${result.line}:${result.column}`;
+  const lines = [
+    "",
+    `${counter} ${location}  ${result.status.toUpperCase()}`,
+    `    ${text.trim()}`,
+    `  ${swatch(result.value, swatches)}${result.value}`,
+  ];
+  if (candidates.length === 0) {
+    lines.push("  (no token can replace this color in place)");
+  }
+  for (const [i, { match, suggestion }] of candidates.entries()) {
+    const theme = match.theme ? ` [${match.theme}]` : "";
+    lines.push(
+      `  ${i + 1}) ${swatch(match.hex, swatches)}${match.name}${theme}  ${match.hex}  dE=${match.distance}  -> ${suggestion}`
+    );
+  }
+  lines.push(KEY_HELP, "");
+  return lines.join("\n");
+}
+
+/**
+ * Two-cell 24-bit color block followed by a space, or "" without a TTY.
+ */
+function swatch(color, enabled) {
+  const rgb = enabled ? parseColor(color) : null;
+  if (!rgb) {
+    return "";
+  }
+  return `\x1b[48;2;${rgb.r};${rgb.g};${rgb.b}m  \x1b[0m `;
+}
+
+module.exports = { reviewResults, parseAnswer };
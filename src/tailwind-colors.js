@@ -2,8 +2,13 @@ const fs = require("node:fs");
 const path = require("node:path");
 
 const CSS_EXT_RE = /\.css$/;
-const THEME_VAR_RE = /--([\w-]+)\s*:\s*([^;]+)/;
-const THEME_BLOCK_INNER_RE = /@theme\s*\{([^}]+)\}/;
+const CSS_COMMENT_RE = /\/\*[\s\S]*?\*\//g;
+const NON_NEWLINE_RE = /[^\n]/g;
+const THEME_AT_RULE_RE = /@theme\b([^{;]*)\{/g;
+const THEME_DECL_RE = /^--([\w-]*?)(\*)?\s*:\s*([\s\S]+)$/;
+const WHITESPACE_RE = /\s+/;
+const ARBITRARY_PREFIX_RE = /(?:^|[\s"'`:])([a-z]+)-\[$/;
+const V4_COLOR_PREFIX = "--color-";
 
 // Tailwind CSS color utility prefixes
 const COLOR_PREFIXES = [
@@ -92,7 +97,7 @@ function buildTailwindColorPattern() {
  *   @utility tab-highlight { ... }
  */
 const TAILWIND_V4_PATTERNS = {
-  theme: /@theme\s*\{/,
+  theme: /@theme\b[^{;]*\{/,
   utility: /@utility\s+[\w-]+\s*\{/,
   // v4 uses --color-* custom properties
   colorVar: /--color-([\w-]+)\s*:/,
@@ -119,29 +124,35 @@ function fileHasV4Theme(filePath) {
 }
 
 /**
- * Check a single path for Tailwind v4 patterns.
+ * Tailwind v4 CSS entry points (files with @theme) in a search path:
+ * the path itself if it is such a CSS file, else the usual entry file names
+ * in a directory.
  */
-function checkPathForV4(searchPath) {
+function v4EntryPointsIn(searchPath) {
   try {
     const resolved = path.resolve(searchPath);
     const stat = fs.statSync(resolved);
 
     if (stat.isFile() && CSS_EXT_RE.test(resolved)) {
-      return fileHasV4Theme(resolved);
+      return fileHasV4Theme(resolved) ? [resolved] : [];
     }
 
     if (stat.isDirectory()) {
-      for (const entry of CSS_ENTRY_POINTS) {
-        const fp = path.join(resolved, entry);
-        if (fs.existsSync(fp) && fileHasV4Theme(fp)) {
-          return true;
-        }
-      }
+      return CSS_ENTRY_POINTS.map((entry) => path.join(resolved, entry)).filter(
+        (fp) => fs.existsSync(fp) && fileHasV4Theme(fp)
+      );
     }
   } catch {
     /* skip */
   }
-  return false;
+  return [];
+}
+
+/**
+ * Tailwind v4 CSS entry points found in the search paths.
+ */
+function findV4EntryPoints(searchPaths) {
+  return [...new Set(searchPaths.flatMap(v4EntryPointsIn))];
 }
 
 /**
@@ -150,7 +161,7 @@ function checkPathForV4(searchPath) {
  */
 function detectTailwindVersion(searchPaths) {
   for (const searchPath of searchPaths) {
-    if (checkPathForV4(searchPath)) {
+    if (v4EntryPointsIn(searchPath).length > 0) {
       return 4;
     }
   }
@@ -158,39 +169,155 @@ function detectTailwindVersion(searchPaths) {
 }
 
 /**
- * Parse @theme block from Tailwind v4 CSS for color variables.
- * Returns a map of variable name -> hex value.
+ * Read the variables of every @theme block (including `@theme inline`,
+ * `@theme static` and nested blocks such as @keyframes, which are skipped)
+ * in source order. Namespace resets remove earlier variables:
+ * `--color-*: initial` clears --color-*, `--*: initial` clears everything.
+ *
+ * Returns { variables, removed }: variable name -> { value, offset, inline }
+ * for the variables left, and the set of names removed by a reset.
  */
-function parseTailwindV4Theme(cssContent) {
-  const colors = {};
-  // Find @theme blocks
-  const themeMatch = cssContent.match(/@theme\s*\{([^}]+)\}/g);
-  if (!themeMatch) {
-    return colors;
+function readV4Theme(cssContent) {
+  const text = cssContent.replace(CSS_COMMENT_RE, (c) =>
+    c.replace(NON_NEWLINE_RE, " ")
+  );
+  const variables = {};
+  const removed = new Set();
+  for (const rule of text.matchAll(THEME_AT_RULE_RE)) {
+    const inline = rule[1].trim().split(WHITESPACE_RE).includes("inline");
+    const bodyStart = rule.index + rule[0].length;
+    for (const stmt of themeBlockStatements(text, bodyStart)) {
+      const decl = stmt.text.match(THEME_DECL_RE);
+      if (!decl) {
+        continue;
+      }
+      const [, name, star, value] = decl;
+      if (star) {
+        resetNamespace(variables, `--${name}`, removed);
+      } else {
+        removed.delete(`--${name}`);
+        variables[`--${name}`] = {
+          value: value.trim(),
+          offset: stmt.offset,
+          inline,
+        };
+      }
+    }
   }
+  return { variables, removed };
+}
 
-  for (const block of themeMatch) {
-    const inner = block.match(THEME_BLOCK_INNER_RE);
-    if (!inner) {
-      continue;
+function resetNamespace(variables, prefix, removed) {
+  for (const name of Object.keys(variables)) {
+    if (name.startsWith(prefix)) {
+      delete variables[name];
+      removed.add(name);
     }
+  }
+}
 
-    const lines = inner[1].split("\n");
-    for (const line of lines) {
-      const varMatch = line.match(THEME_VAR_RE);
-      if (varMatch) {
-        colors[`--${varMatch[1]}`] = varMatch[2].trim();
+/**
+ * Statements directly inside the block whose body starts at `bodyStart`,
+ * each with the offset of its first non-space character.
+ */
+function themeBlockStatements(text, bodyStart) {
+  const statements = [];
+  let depth = 1;
+  let start = bodyStart;
+  for (let i = bodyStart; i < text.length && depth > 0; i++) {
+    const ch = text[i];
+    if (ch === "{") {
+      depth++;
+    } else if (ch === "}") {
+      depth--;
+    }
+    const endsStatement = (ch === ";" && depth === 1) || depth === 0;
+    if (endsStatement || (ch === "}" && depth === 1)) {
+      const raw = text.slice(start, i);
+      if (endsStatement && raw.trim()) {
+        const offset = start + raw.length - raw.trimStart().length;
+        statements.push({ text: raw.trim(), offset });
       }
+      start = i + 1;
     }
   }
+  return statements;
+}
 
+/**
+ * Parse @theme blocks from Tailwind v4 CSS.
+ * Returns a map of variable name -> raw value, after namespace resets.
+ */
+function parseTailwindV4Theme(cssContent) {
+  const colors = {};
+  const { variables } = readV4Theme(cssContent);
+  for (const [name, { value }] of Object.entries(variables)) {
+    colors[name] = value;
+  }
   return colors;
 }
 
+/**
+ * Tailwind color utility prefix of an arbitrary value class written around
+ * a color, e.g. "bg" for the #10b981 in hover:bg-[#10b981]/40.
+ * `usage` is { text, column, value } of the color in its line.
+ */
+function arbitraryUtilityPrefix({ text, column, value }) {
+  const index = text.indexOf(value, Math.max(0, column - 2));
+  const before = index >= 0 ? text.slice(0, index) : "";
+  const match = before.match(ARBITRARY_PREFIX_RE);
+  return match && COLOR_PREFIXES.includes(match[1]) ? match[1] : null;
+}
+
+/**
+ * v4 utility class for a --color-* theme variable used in an arbitrary
+ * value class (bg-[#10b981]/40 -> bg-primary/40), or null when the color
+ * is not inside such a class.
+ */
+function tailwindV4Utility(name, usage, alpha) {
+  const prefix = arbitraryUtilityPrefix(usage);
+  if (!(prefix && name.startsWith(V4_COLOR_PREFIX))) {
+    return null;
+  }
+  const opacity =
+    alpha != null && alpha < 1 ? `/${Math.round(alpha * 100)}` : "";
+  return `${prefix}-${name.slice(V4_COLOR_PREFIX.length)}${opacity}`;
+}
+
+/**
+ * Utility class referencing a palette token, for replacing an arbitrary
+ * value class: Tailwind config colors and v4 @theme colors by name
+ * (bg-brand-500, bg-primary), other CSS variables as bg-(--brand) in v4 or
+ * bg-[var(--brand)] before. Returns { className, themed } (themed for the
+ * named utilities), or null for tokens classes can't reference (SCSS, Less,
+ * JS theme values).
+ */
+function themeUtilityClass(prefix, name, token, version) {
+  if (token?.syntax === "tailwind") {
+    return { className: `${prefix}-${name}`, themed: true };
+  }
+  if (token?.syntax === "tailwind-v4") {
+    const color = name.slice(V4_COLOR_PREFIX.length);
+    return { className: `${prefix}-${color}`, themed: true };
+  }
+  if (token?.syntax || !name.startsWith("--")) {
+    return null;
+  }
+  const className =
+    version === 4 ? `${prefix}-(${name})` : `${prefix}-[var(${name})]`;
+  return { className, themed: false };
+}
+
 module.exports = {
+  COLOR_PREFIXES,
   SPECIAL_COLORS,
   buildTailwindColorPattern,
   TAILWIND_V4_PATTERNS,
   detectTailwindVersion,
+  findV4EntryPoints,
+  readV4Theme,
   parseTailwindV4Theme,
+  arbitraryUtilityPrefix,
+  tailwindV4Utility,
+  themeUtilityClass,
 };
@@ -0,0 +1,123 @@
+// tailwind.config.{js,cjs,mjs,ts} as a palette: theme.colors and
+// theme.extend.colors, matched by Tailwind color name (brand-500).
+
+const path = require("node:path");
+const { lineLocator } = require("./utils");
+const { evaluateModule, objectPathOffset } = require("./js-theme");
+const { arbitraryUtilityPrefix } = require("./tailwind-colors");
+
+const TAILWIND_CONFIG_RE = /^tailwind\.config\.[cm]?[jt]s$/;
+const STYLESHEET_RE = /\.(?:css|scss|sass|less|pcss|postcss)$/i;
+
+// Read theme.colors / theme.extend.colors, calling the function form
+// (colors: ({ colors }) => ({ ... })) with stub helpers
+const THEME_COLORS_EXTRACT = `(function () {
+  var config = module.exports.default || module.exports;
+  var theme = (config && config.theme) || {};
+  var extend = theme.extend || {};
+  var helpers = { colors: __stub, theme: __stub };
+  var read = function (value) {
+    return typeof value === "function" ? value(helpers) : value;
+  };
+  return { colors: read(theme.colors), extend: read(extend.colors) };
+})()`;
+
+/**
+ * True for tailwind.config.js / .cjs / .mjs / .ts files.
+ */
+function isTailwindConfig(file) {
+  return TAILWIND_CONFIG_RE.test(path.basename(file));
+}
+
+/**
+ * Parse a Tailwind config into declarations:
+ * color name -> { value, file, line, syntax: "tailwind", reference }.
+ *
+ *   theme: { extend: { colors: { brand: { DEFAULT: '#3b82f6', 500: '#10b981' } } } }
+ *     -> brand (colors.brand.DEFAULT), brand-500 (colors.brand.500)
+ *
+ * theme.extend.colors is merged over theme.colors. The config runs like
+ * JS theme modules (see evaluateModule()): required modules (plugins,
+ * tailwindcss/colors) have no value, so Tailwind's default palette is not
+ * included. Throws if the config cannot be compiled or run.
+ */
+function parseTailwindConfigDeclarations(content, file) {
+  const { colors, extend } = evaluateModule(content, file, {
+    extract: THEME_COLORS_EXTRACT,
+  });
+  const lineAt = lineLocator(content);
+  const declarations = {};
+  const sections = [
+    [colors, ["theme", "colors"]],
+    [extend, ["theme", "extend", "colors"]],
+  ];
+  for (const [section, sectionPath] of sections) {
+    walkColors(section, [], (segments, value) => {
+      const offset = objectPathOffset(content, [...sectionPath, ...segments]);
+      declarations[colorName(segments)] = {
+        value,
+        file,
+        line: offset >= 0 ? lineAt(offset) : null,
+        syntax: "tailwind",
+        reference: ["colors", ...segments].join("."),
+      };
+    });
+  }
+  return declarations;
+}
+
+function walkColors(node, segments, visit) {
+  if (typeof node !== "object" || node === null) {
+    return;
+  }
+  for (const [key, descriptor] of Object.entries(
+    Object.getOwnPropertyDescriptors(node)
+  )) {
+    const value = descriptor.value;
+    if (typeof value === "string") {
+      visit([...segments, key], value);
+    } else if (typeof value === "object" && value !== null) {
+      walkColors(value, [...segments, key], visit);
+    }
+  }
+}
+
+/**
+ * Tailwind color name for a colors path: brand.500 -> brand-500,
+ * brand.DEFAULT -> brand.
+ */
+function colorName(segments) {
+  const parts =
+    segments.at(-1) === "DEFAULT" ? segments.slice(0, -1) : segments;
+  return parts.join("-");
+}
+
+/**
+ * Replacement for a color matched to a Tailwind config token, or null.
+ * `usage` is { file, text, column, value, alpha } for the color.
+ * Stylesheets get theme('colors.brand.500'), arbitrary value classes
+ * (bg-[#10b981]) the utility class with their prefix (bg-brand-500). A
+ * class can't stand in for a color anywhere else, such as JS style or theme
+ * objects, so those get no suggestion. Alpha is written as
+ * theme('... / 40%') or bg-brand-500/40.
+ */
+function tailwindSuggestion(match, usage) {
+  const { alpha } = usage;
+  const percent = alpha != null && alpha < 1 ? Math.round(alpha * 100) : null;
+  if (STYLESHEET_RE.test(usage.file)) {
+    const opacity = percent == null ? "" : ` / ${percent}%`;
+    return `theme('${match.reference}${opacity}')`;
+  }
+  const prefix = arbitraryUtilityPrefix(usage);
+  if (!prefix) {
+    return null;
+  }
+  const opacity = percent == null ? "" : `/${percent}`;
+  return `${prefix}-${match.name}${opacity}`;
+}
+
+module.exports = {
+  isTailwindConfig,
+  parseTailwindConfigDeclarations,
+  tailwindSuggestion,
+};
@@ -0,0 +1,114 @@
+// Semantic token preferences learned from the codebase for
+// `compare --learn`: the CSS properties each token family (--surface-*,
+// $brand-*) is already used for, which replace the name patterns of
+// findNearestColorSemantic() where there is enough evidence.
+
+const { findReferences } = require("./token-references");
+
+// Token family: the first word of the name, after --, --color-, $ or @
+const FAMILY_RE = /^(--color-|--|[$@])?([a-z0-9]+)(?=-|$)/i;
+
+// The last property declared before a reference: `background: var(` or
+// `backgroundColor: '`
+const PROPERTY_BEFORE_RE = /([\w-]+)\s*:[^:;{]*$/;
+
+// CSS property a Tailwind color utility sets, by utility prefix
+const UTILITY_PROPERTIES = {
+  bg: "background-color",
+  text: "color",
+  border: "border-color",
+  ring: "outline-color",
+  shadow: "box-shadow",
+  divide: "border-color",
+  outline: "outline-color",
+  accent: "accent-color",
+  fill: "fill",
+  stroke: "stroke",
+  decoration: "text-decoration-color",
+  placeholder: "color",
+  from: "background-image",
+  via: "background-image",
+  to: "background-image",
+  caret: "caret-color",
+};
+
+// Families need this many references with a known property to be trusted
+const MIN_LEARNED_USES = 3;
+
+/**
+ * Learn how the palette's token families are used in `paths`. `palette` is
+ * { loaded, themes } as from loadThemes() and `categoryOf` maps a CSS
+ * property to its semantic category (or null). Returns family ->
+ * { uses, categories: { category: count } }.
+ */
+function learnPreferences(paths, palette, options, categoryOf) {
+  const preferences = new Map();
+  for (const ref of findReferences(paths, palette, options)) {
+    const property = ref.prefix
+      ? UTILITY_PROPERTIES[ref.prefix]
+      : PROPERTY_BEFORE_RE.exec(ref.text.slice(0, ref.index))?.[1];
+    const category = property ? categoryOf(property) : null;
+    if (!category) {
+      continue;
+    }
+    const family = tokenFamily(ref.name);
+    if (!preferences.has(family)) {
+      preferences.set(family, { uses: 0, categories: {} });
+    }
+    const learned = preferences.get(family);
+    learned.uses++;
+    learned.categories[category] = (learned.categories[category] || 0) + 1;
+  }
+  return preferences;
+}
+
+/**
+ * Family of a token name: --surface-raised -> --surface-*, --color-bg-muted
+ * -> --color-bg-*, $brand -> $brand-*. Other names (JS paths, Sass map
+ * entries) are their own family.
+ */
+function tokenFamily(name) {
+  const m = FAMILY_RE.exec(name);
+  return m ? `${m[1] || ""}${m[2]}-*` : name;
+}
+
+/**
+ * The learned fit of a token for a property category: { family, share,
+ * uses }, share being the fraction of the family's references in that
+ * category, or null when the family has too few references to tell.
+ */
+function learnedPreference(name, category, preferences) {
+  const family = tokenFamily(name);
+  const learned = preferences?.get(family);
+  if (!learned || learned.uses < MIN_LEARNED_USES) {
+    return null;
+  }
+  const share = (learned.categories[category] || 0) / learned.uses;
+  return { family, share: Math.round(share * 100) / 100, uses: learned.uses };
+}
+
+/**
+ * Learned preferences as JSON: family -> { uses, categories: { category:
+ * share } }, most used family first; `trusted` is false below the
+ * evidence threshold.
+ */
+function describePreferences(preferences) {
+  const described = {};
+  const families = [...preferences].sort((a, b) => b[1].uses - a[1].uses);
+  for (const [family, { uses, categories }] of families) {
+    const shares = {};
+    for (const [category, count] of Object.entries(categories).sort(
+      (a, b) => b[1] - a[1]
+    )) {
+      shares[category] = Math.round((count / uses) * 100) / 100;
+    }
+    described[family] = {
+      uses,
+      trusted: uses >= MIN_LEARNED_USES,
+      categories: shares,
+    };
+  }
+  return described;
+}
+
+module.exports = { learnPreferences, learnedPreference, describePreferences };
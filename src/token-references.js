@@ -0,0 +1,204 @@
+// References to palette tokens in source, for `token-usage` and
+// `compare --learn`: var(--name) and other custom property uses, $scss /
+// @less variables and Sass map.get() calls, Tailwind utility classes (also
+// in @apply), theme() paths and JS/TS theme member accesses.
+
+const path = require("node:path");
+const { search } = require("./search");
+const { clearCache, isInBlockComment } = require("./context-classifier");
+const { COLOR_PREFIXES } = require("./tailwind-colors");
+const { preprocessorReference } = require("./preprocessor-vars");
+const { escapeRegExp } = require("./utils");
+
+const V4_COLOR_PREFIX = "--color-";
+// Lines with theme() paths (colors.brand.500) may reference Tailwind tokens
+const THEME_FN = "theme(";
+
+// A custom property that isn't being declared (--brand: ...)
+const CUSTOM_PROPERTY_RE = /(?<![\w-])--[\w-]+(?![\w-]|\s*:)/g;
+// A $scss / @less variable that isn't being declared
+const SIGIL_VAR_RE = /(?<![\w$@-])[$@][\w-]+(?![\w-]|\s*:)/g;
+const MAP_GET_RE = /\bmap[.-]get\(\s*\$[\w-]+\s*,[^()]*\)/g;
+const THEME_FN_RE = /\btheme\(\s*["']?([\w.-]+)/g;
+const UTILITY_CLASS_RE = new RegExp(
+  `(?<![\\w-])(${COLOR_PREFIXES.join("|")})-([\\w-]+)`,
+  "g"
+);
+const MEMBER_CHAIN_RE =
+  /(?<![\w$.])[A-Za-z_$][\w$]*(?:\??\.[A-Za-z_$][\w$]*|\[\s*(?:\d+|'[^']*'|"[^"]*")\s*\])+/g;
+const MEMBER_SEGMENT_RE = /[A-Za-z_$][\w$]*|\d+|'[^']*'|"[^"]*"/g;
+const QUOTES_RE = /^["']|["']$/g;
+const COLORS_PATH_RE = /^colors\./;
+const DEFAULT_KEY_RE = /\.DEFAULT$/;
+// The map of a Sass map entry token: map.get($colors, gray, 50) -> $colors
+const MAP_VARIABLE_RE = /^map\.get\((\$[\w-]+)/;
+
+/**
+ * Index the tokens of loadPalette() themes by the ways source code can
+ * refer to them. Returns { names, pattern }: `names` maps each reference
+ * form to a token name and `pattern` is a search regex for the lines that
+ * may hold a reference.
+ */
+function referenceIndex(themes) {
+  const names = {
+    variables: new Map(),
+    classes: new Map(),
+    themePaths: new Map(),
+    members: new Map(),
+  };
+  const needles = new Set();
+  for (const { tokens } of Object.values(themes)) {
+    for (const [name, token] of Object.entries(tokens)) {
+      indexToken(names, needles, name, token);
+    }
+  }
+  const pattern = [...needles].map(escapeRegExp).join("|");
+  return { names, pattern };
+}
+
+function indexToken(names, needles, name, token) {
+  if (token.syntax === "tailwind") {
+    names.classes.set(name, name);
+    names.themePaths.set(token.reference, name);
+    names.themePaths.set(token.reference.replace(DEFAULT_KEY_RE, ""), name);
+    needles.add(name).add(THEME_FN);
+    return;
+  }
+  if (token.syntax === "js") {
+    const path = memberPath(token.reference);
+    names.members.set(path, name);
+    needles.add(path.split(".")[0]);
+    return;
+  }
+  if (token.syntax === "tailwind-v4" && name.startsWith(V4_COLOR_PREFIX)) {
+    const color = name.slice(V4_COLOR_PREFIX.length);
+    names.classes.set(color, name);
+    names.themePaths.set(`colors.${color.replaceAll("-", ".")}`, name);
+    names.themePaths.set(`colors.${color}`, name);
+    needles.add(color).add(THEME_FN);
+  }
+  names.variables.set(name, name);
+  needles.add(MAP_VARIABLE_RE.exec(name)?.[1] ?? name);
+}
+
+/**
+ * References to the tokens of loadPalette() `themes` in `paths`:
+ * [{ name, file, line, text, index, prefix }], `index` being the offset of
+ * the reference in the line `text` and `prefix` the utility prefix (bg,
+ * text, ...) of Tailwind class references. Lines that define a token (in
+ * any theme of `loaded`) and comments are skipped.
+ */
+function findReferences(paths, { loaded, themes }, options) {
+  const definitions = new Set();
+  for (const { tokens } of Object.values(loaded.themes)) {
+    for (const token of Object.values(tokens)) {
+      if (token.file && token.line) {
+        definitions.add(`${path.resolve(token.file)}:${token.line}`);
+      }
+    }
+  }
+
+  const index = referenceIndex(themes);
+  clearCache();
+  const seen = new Set();
+  const references = [];
+  const lines = search(index.pattern, paths, {
+    include: options.include,
+    exclude: options.exclude,
+    caseSensitive: true,
+  });
+  for (const result of lines) {
+    const key = `${path.resolve(result.file)}:${result.line}`;
+    if (
+      seen.has(key) ||
+      definitions.has(key) ||
+      isCommentLine(result.text) ||
+      isInBlockComment(result.file, result.line)
+    ) {
+      continue;
+    }
+    seen.add(key);
+    for (const ref of lineReferences(result.text, index)) {
+      references.push({
+        ...ref,
+        file: result.file,
+        line: result.line,
+        text: result.text,
+      });
+    }
+  }
+  return references;
+}
+
+function isCommentLine(text) {
+  const trimmed = text.trimStart();
+  return (
+    trimmed.startsWith("//") ||
+    trimmed.startsWith("*") ||
+    trimmed.startsWith("/*")
+  );
+}
+
+/**
+ * Token references in a line of source: [{ name, index, prefix? }], once
+ * per reference.
+ */
+function lineReferences(text, { names }) {
+  const found = [];
+  const add = (map, key, m, prefix) => {
+    const name = map.get(key);
+    if (name) {
+      found.push({ name, index: m.index, prefix });
+    }
+  };
+  for (const m of text.matchAll(CUSTOM_PROPERTY_RE)) {
+    add(names.variables, m[0], m);
+  }
+  for (const m of text.matchAll(SIGIL_VAR_RE)) {
+    add(names.variables, m[0], m);
+  }
+  for (const m of text.matchAll(MAP_GET_RE)) {
+    add(names.variables, preprocessorReference(m[0]), m);
+  }
+  for (const m of text.matchAll(UTILITY_CLASS_RE)) {
+    add(names.classes, m[2], m, m[1]);
+  }
+  for (const m of text.matchAll(THEME_FN_RE)) {
+    if (COLORS_PATH_RE.test(m[1])) {
+      add(names.themePaths, m[1], m);
+    }
+  }
+  if (names.members.size > 0) {
+    for (const m of text.matchAll(MEMBER_CHAIN_RE)) {
+      add(names.members, tokenMemberPath(memberPath(m[0]), names.members), m);
+    }
+  }
+  return found;
+}
+
+/**
+ * Dotted path of a JS member access: theme.colors.emerald[500] and
+ * theme?.colors["emerald"]["500"] -> theme.colors.emerald.500.
+ */
+function memberPath(access) {
+  return (access.match(MEMBER_SEGMENT_RE) || [])
+    .map((segment) => segment.replace(QUOTES_RE, ""))
+    .join(".");
+}
+
+/**
+ * Member path of the token accessed by the longest prefix of a member path
+ * (theme.colors.brand.toString -> theme.colors.brand), or null.
+ */
+function tokenMemberPath(memberPathText, members) {
+  const segments = memberPathText.split(".");
+  for (let end = segments.length; end > 1; end--) {
+    const prefix = segments.slice(0, end).join(".");
+    if (members.has(prefix)) {
+      return prefix;
+    }
+  }
+  return null;
+}
+
+module.exports = { findReferences };
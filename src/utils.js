@@ -1,3 +1,8 @@
+const path = require("node:path");
+
+const REGEX_ESCAPE_RE = /[.*+?^${}()|[\]\\]/g;
+const BACKSLASH_RE = /\\/g;
+
 /**
  * Group an array of result objects by their `file` property.
  */
@@ -25,4 +30,70 @@ function countByKey(results, key, fallback = "unknown") {
   return counts;
 }
 
-module.exports = { groupByFile, countByKey };
+function escapeRegExp(str) {
+  return str.replace(REGEX_ESCAPE_RE, "\\$&");
+}
+
+/**
+ * Path of `file` relative to the directory `from`, with forward slashes on
+ * every platform (for files stored in baselines, configs and diffs).
+ */
+function relativePath(from, file) {
+  return path.relative(from, path.resolve(file)).replace(BACKSLASH_RE, "/");
+}
+
+/**
+ * Build a function mapping a character offset in `content` to a 1-based line.
+ */
+function lineLocator(content) {
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === "\n") {
+      starts.push(i + 1);
+    }
+  }
+  return (offset) => {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (starts[mid] <= offset) {
+        lo = mid;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return lo + 1;
+  };
+}
+
+/**
+ * Offset of the key for a nested JSON path (e.g. ["color", "brand", "500"])
+ * in the source text, found by searching each key after its parent.
+ * Returns -1 if the path cannot be located.
+ */
+function jsonPathOffset(content, segments) {
+  let offset = -1;
+  for (const segment of segments) {
+    const keyRe = new RegExp(
+      `${escapeRegExp(JSON.stringify(segment))}\\s*:`,
+      "g"
+    );
+    keyRe.lastIndex = offset + 1;
+    const match = keyRe.exec(content);
+    if (!match) {
+      return -1;
+    }
+    offset = match.index;
+  }
+  return offset;
+}
+
+module.exports = {
+  groupByFile,
+  countByKey,
+  escapeRegExp,
+  relativePath,
+  lineLocator,
+  jsonPathOffset,
+};
@@ -0,0 +1,194 @@
+const path = require('node:path');
+const fs = require('node:fs');
+const { execFileSync } = require('node:child_process');
+const { compareVars } = require('../src/commands/compare-vars');
+const { findColors } = require('../src/commands/find-colors');
+const { findTailwind } = require('../src/commands/find-tailwind');
+const { findPatterns } = require('../src/commands/find-patterns');
+const { fingerprint, baselineEntries, newSinceBaseline, readRenameMap } = require('../src/baseline');
+const { captureOutput, useTmpDir } = require('./helpers');
+
+describe('baseline fingerprints', () => {
+  const result = (line, lineText, value = '#fff') => ({ file: '/p/a.css', line, column: 10, value, hex: '#ffffff', lineText });
+  const fields = (r) => ({ value: r.value });
+
+  test('ignore line numbers and whitespace, not the value or text', () => {
+    expect(fingerprint(result(1, 'color:  #fff;'))).toBe(fingerprint(result(9, '  color: #fff;')));
+    expect(fingerprint(result(1, 'color: #fff;'))).not.toBe(fingerprint(result(1, 'background: #fff;')));
+    expect(fingerprint(result(1, 'color: #fff;', '#FFF'))).toBe(fingerprint(result(1, 'color: #fff;')));
+  });
+
+  test('number repeated lines and store files relative to the baseline', () => {
+    const entries = baselineEntries([result(4, 'color: #fff;'), result(2, 'color: #fff;')], '/p', fields);
+    expect(entries.map((e) => [e.file, e.occurrence])).toEqual([
+      ['a.css', 0],
+      ['a.css', 1],
+    ]);
+  });
+
+  test('allow as many results per fingerprint as the baseline has', () => {
+    const entries = baselineEntries([result(1, 'color: #fff;'), result(5, 'color: #fff;')], '/p', fields);
+    const current = [result(2, 'color: #fff;'), result(8, 'color: #fff;'), result(12, 'color: #fff;')];
+    expect(newSinceBaseline(current, entries, { baseDir: '/p' })).toEqual([current[2]]);
+    expect(newSinceBaseline(current.slice(0, 2), entries, { baseDir: '/p' })).toEqual([]);
+  });
+
+  test('follow renamed files', () => {
+    const entries = baselineEntries([result(1, 'color: #fff;')], '/p', fields);
+    const moved = { ...result(1, 'color: #fff;'), file: '/p/b.css' };
+    expect(newSinceBaseline([moved], entries, { baseDir: '/p' })).toEqual([moved]);
+    const renames = new Map([['/p/a.css', '/p/b.css']]);
+    expect(newSinceBaseline([moved], entries, { baseDir: '/p', renames })).toEqual([]);
+  });
+});
+
+describe('compareVars --baseline / --diff', () => {
+  const tmpDir = useTmpDir('_test_baseline');
+  const vars = path.join(tmpDir, 'vars.css');
+  const srcDir = path.join(tmpDir, 'src');
+  const styles = path.join(srcDir, 'styles.css');
+  const moved = path.join(srcDir, 'moved.css');
+  const baseline = path.join(tmpDir, 'baseline.json');
+  const source = '.a {\n  color: #123456;\n}\n.b {\n  color: #123456;\n}\n';
+
+  beforeEach(() => {
+    fs.mkdirSync(srcDir, { recursive: true });
+    fs.writeFileSync(vars, ':root {\n  --brand: #10b981;\n}\n');
+    fs.writeFileSync(styles, source);
+    captureOutput(() => {
+      compareVars([srcDir], { vars, format: 'text', exclude: [], baseline });
+    });
+  });
+
+  function diff(extra = {}) {
+    const output = captureOutput(() => {
+      compareVars([srcDir], { vars, format: 'json', exclude: [], diff: baseline, ...extra });
+    });
+    const [summary, json] = output.split('\n\n');
+    return { summary, parsed: JSON.parse(json) };
+  }
+
+  test('saves fingerprinted entries with paths relative to the baseline', () => {
+    const saved = JSON.parse(fs.readFileSync(baseline, 'utf-8'));
+    expect(saved).toMatchObject({ version: 2, command: 'compare', toolVersion: require('../package.json').version });
+    expect(saved.options).toMatchObject({ vars, named: true, exclude: [] });
+    expect(saved.entries.map((e) => [e.file, e.line, e.occurrence])).toEqual([
+      ['src/styles.css', 2, 0],
+      ['src/styles.css', 5, 1],
+    ]);
+    expect(saved.entries[0].fingerprint).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  test('ignores moved lines but reports an extra copy of a known color', () => {
+    fs.writeFileSync(styles, `.z { margin: 0; }\n${source}`);
+    expect(diff().summary).toBe('Diff: 0 new issues (2 already in baseline)');
+    fs.writeFileSync(styles, `${source}.c {\n  color: #123456;\n}\n`);
+    const { summary, parsed } = diff();
+    expect(summary).toBe('Diff: 1 new issues (2 already in baseline)');
+    expect(parsed.actionable.unmatched.map((r) => r.line)).toEqual([8]);
+  });
+
+  test('follows renames from --rename-map', () => {
+    fs.renameSync(styles, moved);
+    expect(diff().summary).toBe('Diff: 2 new issues (0 already in baseline)');
+    const map = path.join(tmpDir, 'renames.json');
+    fs.writeFileSync(map, JSON.stringify({ 'src/styles.css': 'src/moved.css' }));
+    expect(readRenameMap(map).get(styles)).toBe(moved);
+    expect(diff({ renameMap: map }).summary).toBe('Diff: 0 new issues (2 already in baseline)');
+  });
+
+  test('follows renames in git since the baseline commit', () => {
+    const git = (...args) =>
+      execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+        cwd: tmpDir,
+        stdio: 'pipe',
+      });
+    git('init', '-q');
+    git('add', '.');
+    git('commit', '-qm', 'init');
+    captureOutput(() => {
+      compareVars([srcDir], { vars, format: 'text', exclude: [], baseline });
+    });
+    git('mv', 'src/styles.css', 'src/moved.css');
+    expect(diff().summary).toBe('Diff: 0 new issues (2 already in baseline)');
+  });
+
+  test('still reads baselines saved as a plain array', () => {
+    const legacy = [{ file: path.relative(process.cwd(), styles), value: '#123456', hex: '#123456' }];
+    fs.writeFileSync(baseline, JSON.stringify(legacy));
+    expect(diff().summary).toBe('Diff: 0 new issues (2 already in baseline)');
+  });
+});
+
+describe('--baseline / --diff for colors, tailwind and patterns', () => {
+  const tmpDir = useTmpDir('_test_baseline_commands');
+  const file = path.join(tmpDir, 'Card.tsx');
+  const baseline = path.join(tmpDir, 'baseline.json');
+  const card = 'const a = <div className="flex p-2 bg-[#123456]" />;\n';
+
+  beforeEach(() => {
+    fs.writeFileSync(file, card.repeat(2));
+  });
+
+  function run(command, options) {
+    return captureOutput(() => {
+      command([tmpDir], { format: 'json', exclude: [], ...options });
+    });
+  }
+
+  function diffJson(command, options = {}) {
+    const [summary, json] = run(command, { diff: baseline, ...options }).split('\n\n');
+    return { summary, parsed: JSON.parse(json) };
+  }
+
+  test('colors reports only colors added since the baseline', () => {
+    run(findColors, { baseline });
+    expect(JSON.parse(fs.readFileSync(baseline, 'utf-8')).command).toBe('colors');
+    fs.appendFileSync(file, 'const b = "#abcdef";\n');
+    const { summary, parsed } = diffJson(findColors);
+    expect(summary).toBe('Diff: 1 new issues (2 already in baseline)');
+    expect(parsed.summary.totalColors).toBe(1);
+  });
+
+  test('tailwind reports an extra copy of a known class', () => {
+    run(findTailwind, { baseline });
+    fs.appendFileSync(file, card);
+    const { summary, parsed } = diffJson(findTailwind);
+    expect(summary).toBe('Diff: 1 new issues (2 already in baseline)');
+    expect(Object.values(parsed.results).flat().map((r) => r.line)).toEqual([3]);
+  });
+
+  test('patterns keep only new locations', () => {
+    run(findPatterns, { baseline });
+    expect(diffJson(findPatterns).parsed.patterns).toEqual([]);
+    fs.appendFileSync(file, card);
+    const { summary, parsed } = diffJson(findPatterns);
+    expect(summary).toBe('Diff: 1 new issues (2 already in baseline)');
+    expect(parsed.patterns[0].occurrences).toBe(3);
+    expect(parsed.patterns[0].locations.map((l) => l.line)).toEqual([3]);
+  });
+
+  test('refuses a baseline from another command', () => {
+    run(findColors, { baseline });
+    const output = run(findTailwind, { diff: baseline });
+    expect(output).toContain('is a baseline for `colors`, not `tailwind`');
+    expect(process.exitCode).toBe(1);
+  });
+
+  test('refuses unversioned baselines outside compare and newer formats', () => {
+    fs.writeFileSync(baseline, JSON.stringify({ commit: null, entries: [] }));
+    expect(run(findPatterns, { diff: baseline })).toContain('is a baseline for `compare`, not `patterns`');
+    fs.writeFileSync(baseline, JSON.stringify({ version: 3, command: 'colors', toolVersion: '9.0.0', entries: [] }));
+    expect(run(findColors, { diff: baseline })).toContain(
+      'is in baseline format 3 (saved by hardcode-replacer 9.0.0)'
+    );
+    expect(process.exitCode).toBe(1);
+  });
+
+  test('warns when the baseline was saved with other options', () => {
+    run(findPatterns, { baseline, minCount: '3' });
+    expect(run(findPatterns, { diff: baseline })).toContain(
+      'Warning: Baseline was saved with different options (minCount)'
+    );
+  });
+});
@@ -0,0 +1,93 @@
+const path = require('node:path');
+const fs = require('node:fs');
+const { clusterColors } = require('../src/color-clusters');
+const { colorDistance } = require('../src/color-utils');
+const { paletteCluster } = require('../src/commands/palette-cluster');
+const { captureOutput, useTmpDir } = require('./helpers');
+
+describe('clusterColors', () => {
+  const colors = [
+    { hex: '#e11d48', weight: 5 },
+    { hex: '#e11d49', weight: 1 },
+    { hex: '#e31d4a', weight: 1 },
+    { hex: '#2563eb', weight: 2 },
+    { hex: '#2663ec', weight: 1 },
+    { hex: '#16a34a', weight: 1 },
+  ];
+  const hexes = (clusters) => clusters.map((c) => c.members.map((i) => colors[i].hex).sort());
+
+  test('keep every pair of a cluster within the threshold', () => {
+    const clusters = clusterColors(colors, { metric: 'cie76', threshold: 2 });
+    expect(hexes(clusters)).toEqual([['#e11d48', '#e11d49', '#e31d4a'], ['#2563eb', '#2663ec'], ['#16a34a']]);
+    for (const { members } of clusters) {
+      for (const i of members) {
+        for (const j of members) {
+          expect(colorDistance(colors[i].hex, colors[j].hex)).toBeLessThanOrEqual(2);
+        }
+      }
+    }
+    expect(clusterColors(colors, { metric: 'cie76', threshold: 0 })).toHaveLength(6);
+  });
+
+  test('merge down to a target count', () => {
+    expect(clusterColors(colors, { metric: 'oklab', count: 3 })).toHaveLength(3);
+    expect(clusterColors(colors, { metric: 'oklab', count: 1 })[0].members).toHaveLength(6);
+    expect(clusterColors(colors, { metric: 'oklab', count: 10 })).toHaveLength(6);
+  });
+
+  test('pick the usage-weighted medoid as representative', () => {
+    const [red] = clusterColors(colors, { metric: 'ciede2000', threshold: 2 });
+    expect(colors[red.representative].hex).toBe('#e11d48');
+    expect(red.spread).toBeCloseTo(colorDistance('#e11d48', '#e31d4a', 'ciede2000'));
+  });
+});
+
+describe('palette-cluster command', () => {
+  const tmpDir = useTmpDir('_test_palette_cluster');
+  const styles = path.join(tmpDir, 'styles.css');
+  const out = path.join(tmpDir, 'palette.scss');
+
+  beforeEach(() => {
+    fs.writeFileSync(
+      styles,
+      '.a {\n  color: #e11d48;\n  background: rgba(225, 29, 73, 0.5);\n  border-color: #2563eb;\n}\n.b {\n  color: #E11D48;\n  outline-color: #2663eb;\n}\n:root {\n  --x: #000000;\n}\n'
+    );
+  });
+
+  function run(options) {
+    return captureOutput(() => {
+      paletteCluster([tmpDir], { format: 'json', exclude: [], ...options });
+    });
+  }
+
+  test('clusters actionable colors with usage counts and files', () => {
+    const parsed = JSON.parse(run({ threshold: '2' }));
+    expect(parsed.summary).toEqual({ colors: 4, uses: 5, clusters: 2, skipped: 1 });
+    const [red, blue] = parsed.palette;
+    expect(red).toMatchObject({ representative: '#e11d48', uses: 3, files: [styles] });
+    expect(red.members).toEqual([
+      { hex: '#e11d48', uses: 2, values: ['#e11d48', '#E11D48'] },
+      { hex: '#e11d49', uses: 1, values: ['rgba(225, 29, 73, 0.5)'] },
+    ]);
+    expect(blue.members.map((m) => m.hex)).toEqual(['#2563eb', '#2663eb']);
+  });
+
+  test('writes the representatives as a starting palette', () => {
+    const output = run({ threshold: '2', out, format: 'text' });
+    expect(output).toContain('4 distinct colors (5 actionable uses) -> 2 clusters (dE <= 2, cie76)');
+    expect(fs.readFileSync(out, 'utf-8')).toBe('$color-red-500: #e11d48;\n$color-blue-500: #2563eb;\n');
+    expect(run({ out })).toContain('already exists');
+  });
+
+  test('warns about clusters spread far beyond the default threshold', () => {
+    fs.writeFileSync(styles, '.a {\n  color: #3b82f6;\n  border-color: #3b83f6;\n  background: #fe0101;\n  outline-color: #ff0000;\n}\n');
+    const output = run({ clusters: '1', format: 'text' });
+    expect(output).toMatch(/Warning: --color-\w+-\d+ \(#[0-9a-f]{6}\) groups colors up to dE [\d.]+ apart: #3b82f6, #3b83f6, #fe0101, #ff0000/);
+    expect(run({ clusters: '2', format: 'text' })).not.toContain('Warning:');
+  });
+
+  test('rejects an invalid cluster count', () => {
+    expect(run({ clusters: '0' })).toContain('Error: --clusters must be a count of 1 or more');
+    expect(process.exitCode).toBe(1);
+  });
+});
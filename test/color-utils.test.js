@@ -1,10 +1,13 @@
 const {
+  METRIC_NAMES,
   parseColor,
   normalizeToHex,
+  normalizeToHexAlpha,
   colorDistance,
   findNearestColor,
   classifyColor,
   extractAlpha,
+  roundedAlpha,
   colorMixSuggestion,
   suggestVariableName,
   extractCssProperty,
@@ -60,7 +63,65 @@ describe("parseColor", () => {
     expect(parseColor(null)).toBeNull();
     expect(parseColor("")).toBeNull();
     expect(parseColor("notacolor")).toBeNull();
-    expect(parseColor("oklch(0.88 0.05 143)")).toBeNull();
+    expect(parseColor("oklch(0.88 0.05)")).toBeNull();
+    expect(parseColor("color(unknown-space 1 0 0)")).toBeNull();
+  });
+});
+
+describe("parseColor (CSS Color 4)", () => {
+  test("parses oklch()", () => {
+    expect(parseColor("oklch(0.628 0.2577 29.23)")).toEqual({ r: 255, g: 0, b: 0 });
+    expect(normalizeToHex("oklch(0.696 0.17 162.48)")).toBe("#00bc7d");
+  });
+
+  test("parses oklch() percentage and angle forms", () => {
+    expect(normalizeToHex("oklch(69.6% 0.17 162.48deg)")).toBe("#00bc7d");
+    expect(normalizeToHex("oklch(69.6% 42.5% 2.8358rad)")).toBe("#00bc7d");
+  });
+
+  test("parses oklab()", () => {
+    expect(parseColor("oklab(0.628 0.2249 0.1258)")).toEqual({ r: 255, g: 0, b: 0 });
+    expect(normalizeToHex("oklab(1 0 0)")).toBe("#ffffff");
+  });
+
+  test("parses lab() and lch()", () => {
+    expect(parseColor("lab(54.29 80.8 69.89)")).toEqual({ r: 255, g: 0, b: 0 });
+    expect(parseColor("lch(54.29 106.84 40.85)")).toEqual({ r: 255, g: 0, b: 0 });
+    expect(normalizeToHex("lab(100% 0 0)")).toBe("#ffffff");
+  });
+
+  test("parses hwb()", () => {
+    expect(normalizeToHex("hwb(0 0% 0%)")).toBe("#ff0000");
+    expect(normalizeToHex("hwb(0.5turn 0% 0%)")).toBe("#00ffff");
+    expect(normalizeToHex("hwb(120 60% 60%)")).toBe("#808080");
+  });
+
+  test("parses color() predefined color spaces", () => {
+    expect(normalizeToHex("color(srgb 0.0627 0.7255 0.5059)")).toBe("#10b981");
+    expect(normalizeToHex("color(srgb 6.27% 72.55% 50.59%)")).toBe("#10b981");
+    expect(normalizeToHex("color(srgb-linear 1 0 0)")).toBe("#ff0000");
+    expect(normalizeToHex("color(display-p3 1 0 0)")).toBe("#ff0000");
+    expect(normalizeToHex("color(a98-rgb 0.8588 0 0)")).toBe("#ff0000");
+    expect(normalizeToHex("color(prophoto-rgb 0.7022 0.2757 0.1036)")).toBe("#ff0000");
+    expect(normalizeToHex("color(rec2020 0.7919 0.2310 0.0739)")).toBe("#ff0000");
+    expect(normalizeToHex("color(xyz-d65 0.4124 0.2126 0.0193)")).toBe("#ff0000");
+    expect(normalizeToHex("color(xyz-d50 0.4361 0.2225 0.0139)")).toBe("#ff0000");
+  });
+
+  test("treats none components as zero", () => {
+    expect(normalizeToHex("oklch(1 none none)")).toBe("#ffffff");
+    expect(normalizeToHex("hsl(none 0% 50%)")).toBe("#808080");
+    expect(normalizeToHex("rgb(none 255 none)")).toBe("#00ff00");
+  });
+
+  test("converts hue angle units in hsl()", () => {
+    expect(normalizeToHex("hsl(0.5turn 100% 50%)")).toBe("#00ffff");
+    expect(normalizeToHex("hsl(200grad 100% 50%)")).toBe("#00ffff");
+  });
+
+  test("clips out-of-gamut colors to sRGB", () => {
+    expect(normalizeToHex("color(display-p3 0 1 0)")).toBe("#00ff00");
+    expect(normalizeToHex("oklch(0.9 0.4 145)")).toMatch(/^#[0-9a-f]{6}$/);
   });
 });
 
@@ -83,8 +144,29 @@ describe("normalizeToHex", () => {
     expect(normalizeToHex("red")).toBe("#ff0000");
   });
 
+  test("normalizes modern color functions to hex", () => {
+    expect(normalizeToHex("oklch(0.88 0.05 143)")).toMatch(/^#[0-9a-f]{6}$/);
+  });
+
+  test("returns null for unparseable", () => {
+    expect(normalizeToHex("notacolor")).toBeNull();
+  });
+});
+
+describe("normalizeToHexAlpha", () => {
+  test("keeps opaque colors as 6-digit hex", () => {
+    expect(normalizeToHexAlpha("#10b981")).toBe("#10b981");
+    expect(normalizeToHexAlpha("rgba(16, 185, 129, 1)")).toBe("#10b981");
+  });
+
+  test("appends alpha for translucent colors", () => {
+    expect(normalizeToHexAlpha("rgba(16, 185, 129, 0.4)")).toBe("#10b98166");
+    expect(normalizeToHexAlpha("hsl(0 100% 50% / 50%)")).toBe("#ff000080");
+    expect(normalizeToHexAlpha("#f008")).toBe("#ff000088");
+  });
+
   test("returns null for unparseable", () => {
-    expect(normalizeToHex("oklch(0.88 0.05 143)")).toBeNull();
+    expect(normalizeToHexAlpha("notacolor")).toBeNull();
   });
 });
 
@@ -113,6 +195,41 @@ describe("colorDistance", () => {
     const dist = colorDistance({ r: 255, g: 0, b: 0 }, { r: 255, g: 0, b: 0 });
     expect(dist).toBe(0);
   });
+
+  test("defaults to CIE76", () => {
+    expect(colorDistance("#ff0000", "#0000ff")).toBe(
+      colorDistance("#ff0000", "#0000ff", "cie76")
+    );
+  });
+
+  test.each(METRIC_NAMES)("%s: identical colors have distance 0", (metric) => {
+    expect(colorDistance("#10b981", "#10b981", metric)).toBe(0);
+  });
+
+  test.each(METRIC_NAMES)("%s: is symmetric", (metric) => {
+    expect(colorDistance("#3b82f6", "#1e40af", metric)).toBeCloseTo(
+      colorDistance("#1e40af", "#3b82f6", metric),
+      10
+    );
+  });
+
+  test("ciede2000 and cie94 compress saturated blue differences", () => {
+    const cie76 = colorDistance("#1d4ed8", "#2563eb", "cie76");
+    expect(colorDistance("#1d4ed8", "#2563eb", "cie94")).toBeLessThan(cie76);
+    expect(colorDistance("#1d4ed8", "#2563eb", "ciede2000")).toBeLessThan(cie76);
+  });
+
+  test("oklab distance is scaled to the CIELAB range", () => {
+    const dist = colorDistance("#ff0000", "#0000ff", "oklab");
+    expect(dist).toBeGreaterThan(30);
+    expect(colorDistance("#10b981", "#10b982", "oklab")).toBeLessThan(1);
+  });
+
+  test("throws on unknown metric", () => {
+    expect(() => colorDistance("#fff", "#000", "cie2042")).toThrow(
+      "Unknown distance metric"
+    );
+  });
 });
 
 describe("findNearestColor", () => {
@@ -137,6 +254,28 @@ describe("findNearestColor", () => {
   test("returns null for unparseable", () => {
     expect(findNearestColor("notacolor", palette)).toBeNull();
   });
+
+  test("matches translucent palette colors only at the same alpha", () => {
+    const withOverlay = {
+      "--overlay": "rgba(16, 185, 129, 0.4)",
+      "--danger": "#ef4444",
+    };
+    expect(findNearestColor("rgba(16, 185, 129, 0.4)", withOverlay).name).toBe(
+      "--overlay"
+    );
+    expect(findNearestColor("#10b981", withOverlay).name).toBe("--danger");
+    expect(
+      findNearestColor("rgb(16 185 129 / 0.5)", { "--overlay": "rgba(16, 185, 129, 0.4)" })
+    ).toBeNull();
+  });
+
+  test("uses the given metric for distances", () => {
+    const result = findNearestColor("#10b982", palette, "ciede2000");
+    expect(result.name).toBe("--primary");
+    expect(result.distance).toBe(
+      Math.round(colorDistance("#10b982", "#10b981", "ciede2000") * 100) / 100
+    );
+  });
 });
 
 describe("classifyColor", () => {
@@ -205,6 +344,12 @@ describe("extractAlpha", () => {
     expect(extractAlpha("hsl(0 100% 50% / 50%)")).toBe(0.5);
   });
 
+  test("extracts alpha from modern color functions", () => {
+    expect(extractAlpha("oklch(0.7 0.1 160 / 40%)")).toBe(0.4);
+    expect(extractAlpha("color(display-p3 1 0 0 / 0.25)")).toBe(0.25);
+    expect(extractAlpha("lab(50 20 20 / none)")).toBe(0);
+  });
+
   test("returns null for no alpha", () => {
     expect(extractAlpha("rgb(255, 0, 0)")).toBeNull();
     expect(extractAlpha("hsl(0, 100%, 50%)")).toBeNull();
@@ -212,6 +357,15 @@ describe("extractAlpha", () => {
   });
 });
 
+describe("roundedAlpha", () => {
+  test("rounds to two decimals and treats opaque or out-of-range alpha as 1", () => {
+    expect(roundedAlpha("rgba(0, 0, 0, 0.333)")).toBe(0.33);
+    expect(roundedAlpha("#10b98166")).toBe(0.4);
+    expect(roundedAlpha("#fff")).toBe(1);
+    expect(roundedAlpha("rgb(0 0 0 / 150%)")).toBe(1);
+  });
+});
+
 describe("colorMixSuggestion", () => {
   test("generates correct color-mix()", () => {
     expect(colorMixSuggestion("--primary", 0.5)).toBe(
@@ -1,29 +1,14 @@
 
 
+const fs = require('node:fs');
 const path = require('node:path');
 const { findColors } = require('../src/commands/find-colors');
 const { findTailwind } = require('../src/commands/find-tailwind');
 const { findPatterns } = require('../src/commands/find-patterns');
+const { FIXTURES, captureOutput } = require('./helpers');
 
-const FIXTURES = path.join(__dirname, 'fixtures');
 const SAMPLE = path.join(FIXTURES, 'sample.tsx');
 
-// Helper to capture console.log output
-function captureOutput(fn) {
-  const logs = [];
-  const origLog = console.log;
-  const origErr = console.error;
-  console.log = (...args) => logs.push(args.join(' '));
-  console.error = (...args) => logs.push(args.join(' '));
-  try {
-    fn();
-  } finally {
-    console.log = origLog;
-    console.error = origErr;
-  }
-  return logs.join('\n');
-}
-
 describe('findColors command', () => {
   test('finds hex colors in fixture in text mode', () => {
     const output = captureOutput(() => {
@@ -71,6 +56,28 @@ describe('findColors command', () => {
   });
 });
 
+describe('findColors named colors', () => {
+  const tmpDir = path.join(FIXTURES, '_test_named_colors');
+  const file = path.join(tmpDir, 'Box.tsx');
+
+  beforeAll(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(file, "export const Box = () => <div style={{ backgroundColor: 'Tomato' }} />;\n");
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('reports the column of the color name', () => {
+    const output = captureOutput(() => {
+      findColors([file], { format: 'json', exclude: [], named: true });
+    });
+    const [entry] = JSON.parse(output).actionable[file];
+    expect(entry).toMatchObject({ value: 'tomato', type: 'named', column: 58 });
+  });
+});
+
 describe('findTailwind command', () => {
   test('finds Tailwind classes in fixture', () => {
     const output = captureOutput(() => {
@@ -103,6 +110,89 @@ describe('findTailwind command', () => {
   });
 });
 
+describe('findTailwind --fix', () => {
+  const tmpDir = path.join(FIXTURES, '_test_tailwind_fix');
+  const vars = path.join(tmpDir, 'vars.css');
+  const source = path.join(tmpDir, 'Button.tsx');
+  const journal = path.join(tmpDir, 'journal.json');
+  const SOURCE = [
+    'export const Button = () => (',
+    '  <a className="hover:bg-[#10b981] dark:text-[rgb(16_185_129/0.4)] border-[#10b981]/50 bg-[#123456] ring-[#10b982]">',
+    '    Go',
+    '  </a>',
+    ');',
+    '',
+  ].join('\n');
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(vars, ':root {\n  --primary: #10b981;\n}\n');
+    fs.writeFileSync(source, SOURCE);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('replaces exact arbitrary classes, keeping variants and modifiers', () => {
+    const output = captureOutput(() => {
+      findTailwind([source], { format: 'text', exclude: [], vars: [vars], tailwindVersion: 4, fix: true, journal });
+    });
+    expect(output).toContain('Replaced 3 arbitrary color classes with theme utilities in 1 files.');
+    expect(fs.readFileSync(source, 'utf-8').split('\n')[1]).toBe(
+      '  <a className="hover:bg-(--primary) dark:text-(--primary)/40 border-(--primary)/50 bg-[#123456] ring-[#10b982]">'
+    );
+    expect(JSON.parse(fs.readFileSync(journal, 'utf-8')).runs[0].command).toBe('tailwind');
+  });
+
+  test('uses var() classes before Tailwind v4', () => {
+    captureOutput(() => {
+      findTailwind([source], { format: 'text', exclude: [], vars: [vars], tailwindVersion: 3, fix: true, journal });
+    });
+    expect(fs.readFileSync(source, 'utf-8')).toContain('hover:bg-[var(--primary)] dark:text-[var(--primary)]/40');
+  });
+
+  test('prefers named theme colors from a tailwind.config palette', () => {
+    const config = path.join(tmpDir, 'tailwind.config.js');
+    fs.writeFileSync(config, "module.exports = { theme: { extend: { colors: { brand: { 500: '#10b981' } } } } };\n");
+    captureOutput(() => {
+      findTailwind([source], { format: 'text', exclude: [], vars: [vars, config], tailwindVersion: 3, fix: true, journal });
+    });
+    expect(fs.readFileSync(source, 'utf-8')).toContain('hover:bg-brand-500 dark:text-brand-500/40 border-brand-500/50');
+  });
+
+  test('matches translucent palette colors only at the same alpha', () => {
+    fs.writeFileSync(vars, ':root {\n  --overlay: rgba(16, 185, 129, 0.4);\n}\n');
+    fs.writeFileSync(source, '<a className="bg-[#10b981] text-[rgba(16,185,129,0.4)]" />\n');
+    const output = captureOutput(() => {
+      findTailwind([source], { format: 'json', exclude: [], vars: [vars], tailwindVersion: 4 });
+    });
+    const [opaque, translucent] = JSON.parse(output).results[source];
+    expect(opaque.arbitraryMatch).toBeUndefined();
+    expect(translucent.arbitraryMatch).toMatchObject({ name: '--overlay', distance: 0 });
+  });
+
+  test('--dry-run prints the edits without writing', () => {
+    const output = captureOutput(() => {
+      findTailwind([source], { format: 'json', exclude: [], vars: [vars], tailwindVersion: 4, fix: true, dryRun: true, journal });
+    });
+    const parsed = JSON.parse(output);
+    expect(parsed).toMatchObject({ command: 'tailwind', dryRun: true, summary: { files: 1, edits: 3 } });
+    expect(parsed.edits[0]).toMatchObject({ value: 'bg-[#10b981]', replacement: 'bg-(--primary)', column: 23 });
+    expect(fs.readFileSync(source, 'utf-8')).toBe(SOURCE);
+    expect(fs.existsSync(journal)).toBe(false);
+  });
+
+  test('needs a palette', () => {
+    const output = captureOutput(() => {
+      findTailwind([source], { format: 'text', exclude: [], fix: true, journal });
+    });
+    expect(output).toContain('Error: tailwind --fix needs a palette.');
+    expect(process.exitCode).toBe(1);
+    process.exitCode = 0;
+  });
+});
+
 describe('findPatterns command', () => {
   test('finds repeated class patterns in fixture', () => {
     const output = captureOutput(() => {
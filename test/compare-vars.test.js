@@ -2,9 +2,8 @@
 
 const path = require('node:path');
 const fs = require('node:fs');
-const { parseVariablesFile } = require('../src/commands/compare-vars');
-
-const FIXTURES = path.join(__dirname, 'fixtures');
+const { compareVars, loadPalette, parseVariablesFile } = require('../src/commands/compare-vars');
+const { FIXTURES, captureOutput } = require('./helpers');
 
 describe('parseVariablesFile', () => {
   test('parses CSS custom properties', () => {
@@ -85,6 +84,46 @@ describe('parseVariablesFile', () => {
     }
   });
 
+  test('parses CSS with modern color functions', () => {
+    const tmpCss = path.join(FIXTURES, '_test_oklch.css');
+    fs.writeFileSync(tmpCss, `
+      :root {
+        --color-emerald-500: oklch(0.696 0.17 162.48);
+        --color-danger: lab(54.29 80.8 69.89);
+        --color-p3-red: color(display-p3 1 0 0);
+      }
+    `);
+
+    try {
+      const palette = parseVariablesFile(tmpCss);
+      expect(palette['--color-emerald-500']).toBe('#00bc7d');
+      expect(palette['--color-danger']).toBe('#ff0000');
+      expect(palette['--color-p3-red']).toBe('#ff0000');
+    } finally {
+      fs.unlinkSync(tmpCss);
+    }
+  });
+
+  test('keeps alpha of translucent palette entries', () => {
+    const tmpCss = path.join(FIXTURES, '_test_alpha.css');
+    fs.writeFileSync(tmpCss, `
+      :root {
+        --overlay-success: rgba(16, 185, 129, 0.4);
+        --scrim: oklch(0 0 0 / 50%);
+        --success: #10b981ff;
+      }
+    `);
+
+    try {
+      const palette = parseVariablesFile(tmpCss);
+      expect(palette['--overlay-success']).toBe('#10b98166');
+      expect(palette['--scrim']).toBe('#00000080');
+      expect(palette['--success']).toBe('#10b981');
+    } finally {
+      fs.unlinkSync(tmpCss);
+    }
+  });
+
   test('handles empty variables file', () => {
     const tmpCss = path.join(FIXTURES, '_test_empty.css');
     fs.writeFileSync(tmpCss, '/* empty */\n');
@@ -125,3 +164,760 @@ describe('parseVariablesFile', () => {
     }
   });
 });
+
+describe('compareVars alpha-aware matching', () => {
+  const tmpDir = path.join(FIXTURES, '_test_alpha_compare');
+  const varsFile = path.join(tmpDir, 'vars.css');
+
+  beforeAll(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(varsFile, `
+      :root {
+        --success: #10b981;
+        --overlay-success: rgba(16, 185, 129, 0.4);
+        --overlay-faint: rgba(16, 185, 129, 0.1);
+      }
+    `);
+    fs.writeFileSync(path.join(tmpDir, 'styles.css'), [
+      '.a { background-color: rgba(16, 185, 129, 0.4); }',
+      '.b { color: #10b981; }',
+      '.c { border-color: rgba(16, 185, 129, 0.25); }',
+      '',
+    ].join('\n'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function runCompare() {
+    const output = captureOutput(() => {
+      compareVars([path.join(tmpDir, 'styles.css')], {
+        vars: varsFile,
+        format: 'json',
+        exclude: [],
+      });
+    });
+    const parsed = JSON.parse(output);
+    return Object.fromEntries(parsed.actionable.exact.map((r) => [r.line, r]));
+  }
+
+  test('suggests a translucent token with the same alpha directly', () => {
+    const byLine = runCompare();
+    expect(byLine[1].match.name).toBe('--overlay-success');
+    expect(byLine[1].match.alpha).toBe(0.4);
+    expect(byLine[1].suggestion).toBe('var(--overlay-success)');
+  });
+
+  test('prefers the opaque token for opaque colors', () => {
+    const byLine = runCompare();
+    expect(byLine[2].match.name).toBe('--success');
+    expect(byLine[2].suggestion).toBe('var(--success)');
+  });
+
+  test('falls back to color-mix() of the opaque token when no alpha matches', () => {
+    const byLine = runCompare();
+    expect(byLine[3].match.name).toBe('--success');
+    expect(byLine[3].suggestion).toBe(
+      'color-mix(in srgb, var(--success) 25%, transparent)'
+    );
+  });
+});
+
+describe('var() aliases in variables files', () => {
+  const tmpDir = path.join(FIXTURES, '_test_alias_compare');
+  const varsFile = path.join(tmpDir, 'vars.css');
+
+  beforeAll(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(varsFile, `
+      :root {
+        --emerald-500: #10b981;
+        --bg-primary: var(--emerald-500);
+        --bg-hover: var(--bg-primary);
+        --text-fallback: var(--missing, #333333);
+        --loop-a: var(--loop-b);
+        --loop-b: var(--loop-a);
+      }
+    `);
+    fs.writeFileSync(path.join(tmpDir, 'styles.css'), [
+      '.a { background-color: #10b981; }',
+      '',
+    ].join('\n'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('resolves var() chains to the primitive color', () => {
+    const palette = parseVariablesFile(varsFile);
+    expect(palette['--emerald-500']).toBe('#10b981');
+    expect(palette['--bg-primary']).toBe('#10b981');
+    expect(palette['--bg-hover']).toBe('#10b981');
+  });
+
+  test('uses the var() fallback when the reference is missing', () => {
+    const palette = parseVariablesFile(varsFile);
+    expect(palette['--text-fallback']).toBe('#333333');
+  });
+
+  test('ignores reference cycles', () => {
+    const palette = parseVariablesFile(varsFile);
+    expect(palette['--loop-a']).toBeUndefined();
+    expect(palette['--loop-b']).toBeUndefined();
+  });
+
+  test('records the primitive behind each alias', () => {
+    const { tokens } = loadPalette(varsFile);
+    expect(tokens['--bg-primary'].aliasOf).toBe('--emerald-500');
+    expect(tokens['--bg-hover'].aliasOf).toBe('--emerald-500');
+    expect(tokens['--emerald-500']?.aliasOf).toBeUndefined();
+  });
+
+  test('prefers a semantic alias that fits the CSS property', () => {
+    const output = captureOutput(() => {
+      compareVars([path.join(tmpDir, 'styles.css')], {
+        vars: varsFile,
+        format: 'json',
+        exclude: [],
+      });
+    });
+    const parsed = JSON.parse(output);
+    const [entry] = parsed.actionable.exact;
+    expect(entry.match.name).toMatch(/^--bg-/);
+    expect(entry.match.aliasOf).toBe('--emerald-500');
+    expect(parsed.aliases['--bg-primary']).toBe('--emerald-500');
+  });
+});
+
+describe('compareVars themes', () => {
+  const tmpDir = path.join(FIXTURES, '_test_theme_compare');
+  const varsFile = path.join(tmpDir, 'vars.css');
+
+  beforeAll(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(varsFile, `
+      :root { --slate-900: #0f172a; --surface: #ffffff; }
+      [data-theme="dark"] { --surface: #0f172a; --accent: #22d3ee; }
+    `);
+    fs.writeFileSync(path.join(tmpDir, 'styles.css'), [
+      '.a { color: #0f172a; }',
+      '.b { color: #22d3ee; }',
+      '',
+    ].join('\n'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function runCompare(extra = {}) {
+    const output = captureOutput(() => {
+      compareVars([path.join(tmpDir, 'styles.css')], {
+        vars: varsFile,
+        format: 'json',
+        exclude: [],
+        ...extra,
+      });
+    });
+    const parsed = JSON.parse(output);
+    const byLine = Object.fromEntries(
+      parsed.actionable.exact.map((r) => [r.line, r])
+    );
+    return { parsed, byLine };
+  }
+
+  test('reports the match in each theme', () => {
+    const { parsed, byLine } = runCompare();
+    expect(parsed.themes).toEqual(['default', 'dark']);
+    expect(byLine[1].match).toMatchObject({ name: '--slate-900', theme: 'default' });
+    expect(byLine[1].themeMatches.dark.name).toBe('--surface');
+  });
+
+  test('only reports tokens that match in a non-default theme', () => {
+    const { parsed } = runCompare();
+    const accent = parsed.actionable.unmatched.find((r) => r.line === 2);
+    expect(accent.match.theme).toBe('default');
+    expect(accent.themeMatches.dark).toMatchObject({ name: '--accent', distance: 0 });
+    expect(accent.suggestion).toBeNull();
+  });
+
+  test('--fix leaves colors that only match another theme alone', () => {
+    const vars = path.join(tmpDir, 'surface.css');
+    const styles = path.join(tmpDir, 'card.css');
+    fs.writeFileSync(vars, ':root { --surface: #ffffff; }\n.dark { --surface: #0f172a; }\n');
+    fs.writeFileSync(styles, '.card { background-color: #0f172a; }\n');
+    const run = (extra) => captureOutput(() => {
+      compareVars([styles], { vars, format: 'text', exclude: [], ...extra });
+    });
+    expect(run()).toMatch(/#0f172a -> #0f172a \(nearest: --surface #ffffff .*\| dark: --surface/);
+    expect(run({ fix: true, dryRun: true })).toContain('Would fix 0 exact matches in 0 files');
+  });
+
+  test('--theme restricts matching to one theme', () => {
+    const { parsed, byLine } = runCompare({ theme: 'dark' });
+    expect(parsed.themes).toEqual(['dark']);
+    expect(byLine[1].match.theme).toBe('dark');
+    expect(byLine[1].themeMatches).toBeUndefined();
+  });
+
+  test('rejects an unknown --theme', () => {
+    const output = captureOutput(() => {
+      compareVars([path.join(tmpDir, 'styles.css')], {
+        vars: varsFile,
+        format: 'json',
+        exclude: [],
+        theme: 'sepia',
+      });
+    });
+    expect(output).toContain('Unknown --theme "sepia"');
+    expect(process.exitCode).toBe(1);
+    process.exitCode = 0;
+  });
+});
+
+describe('compareVars with multiple --vars files', () => {
+  const tmpDir = path.join(FIXTURES, '_test_multi_compare');
+  const primitives = path.join(tmpDir, 'primitives.css');
+  const semantic = path.join(tmpDir, 'semantic.css');
+
+  beforeAll(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(primitives, ':root {\n  --emerald-500: #10b981;\n  --brand: #3b82f6;\n}\n');
+    fs.writeFileSync(semantic, ':root {\n  --brand: #2563eb;\n}\n');
+    fs.writeFileSync(path.join(tmpDir, 'styles.css'), '.a { color: #10b981; }\n');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('includes the token source and palette conflicts in JSON output', () => {
+    const output = captureOutput(() => {
+      compareVars([path.join(tmpDir, 'styles.css')], {
+        vars: [primitives, semantic],
+        format: 'json',
+        exclude: [],
+      });
+    });
+    const parsed = JSON.parse(output);
+    expect(parsed.files).toEqual([primitives, semantic]);
+    expect(parsed.actionable.exact[0].match.source).toEqual({ file: primitives, line: 2 });
+    expect(parsed.conflicts.map((c) => c.name)).toEqual(['--brand']);
+  });
+
+  test('lists conflicts in text output', () => {
+    const output = captureOutput(() => {
+      compareVars([path.join(tmpDir, 'styles.css')], {
+        vars: [primitives, semantic],
+        format: 'text',
+        exclude: [],
+      });
+    });
+    expect(output).toContain('PALETTE CONFLICTS (1)');
+    expect(output).toContain('--emerald-500 @ primitives.css:2');
+  });
+});
+
+describe('compareVars with SCSS and Less variables', () => {
+  const tmpDir = path.join(FIXTURES, '_test_preprocessor_compare');
+  const scssVars = path.join(tmpDir, '_variables.scss');
+  const lessVars = path.join(tmpDir, 'variables.less');
+
+  beforeAll(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(scssVars, '$brand: #10b981;\n$colors: (danger: #ef4444);\n');
+    fs.writeFileSync(lessVars, '@brand: #10b981;\n');
+    fs.writeFileSync(
+      path.join(tmpDir, 'button.scss'),
+      '.a { color: #10b981; border-color: #ef4444; background: rgba(16, 185, 129, 0.4); }\n'
+    );
+    fs.writeFileSync(path.join(tmpDir, 'button.less'), '.a { color: #10b981; }\n');
+    fs.writeFileSync(path.join(tmpDir, 'Button.tsx'), "const c = { color: '#10b981' };\n");
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function compareJson(file, vars) {
+    const output = captureOutput(() => {
+      compareVars([path.join(tmpDir, file)], { vars, format: 'json', exclude: [] });
+    });
+    return JSON.parse(output);
+  }
+
+  test('suggests SCSS variables and map.get() in .scss files', () => {
+    const parsed = compareJson('button.scss', scssVars);
+    const suggestions = parsed.actionable.exact.map((r) => r.suggestion);
+    expect(suggestions).toEqual(['$brand', 'map.get($colors, danger)', 'rgba($brand, 0.4)']);
+    expect(parsed.actionable.exact[0].match.syntax).toBe('scss');
+  });
+
+  test('suggests Less variables in .less files', () => {
+    const parsed = compareJson('button.less', lessVars);
+    expect(parsed.actionable.exact[0].suggestion).toBe('@brand');
+  });
+
+  test('gives no replacement where preprocessor variables are unavailable', () => {
+    const parsed = compareJson('Button.tsx', scssVars);
+    const [result] = [...parsed.actionable.exact, ...Object.values(parsed.skipped.byContext).flat()];
+    expect(result.match.name).toBe('$brand');
+    expect(result.suggestion).toBeNull();
+  });
+
+  test('treats colors in the variables files as definitions', () => {
+    const output = captureOutput(() => {
+      compareVars([scssVars], { vars: scssVars, format: 'json', exclude: [] });
+    });
+    const parsed = JSON.parse(output);
+    expect(parsed.summary.actionable).toBe(0);
+    expect(parsed.summary.skippedByContext).toEqual({ 'css-definition': 2 });
+  });
+});
+
+describe('compareVars with a JS/TS theme module', () => {
+  const tmpDir = path.join(FIXTURES, '_test_js_theme_compare');
+  const theme = path.join(tmpDir, 'theme.ts');
+
+  beforeAll(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(theme, "export const colors = { emerald: { 500: '#10b981' } } as const;\n");
+    fs.writeFileSync(path.join(tmpDir, 'chart.ts'), "export const series = { stroke: '#10b981' };\n");
+    fs.writeFileSync(path.join(tmpDir, 'chart.css'), '.a { color: #10b981; }\n');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function compareEntries(file, extra = {}) {
+    const output = captureOutput(() => {
+      compareVars([path.join(tmpDir, file)], { vars: theme, format: 'json', exclude: [], jsRef: 'theme.{path}', ...extra });
+    });
+    const parsed = JSON.parse(output);
+    return [...parsed.actionable.exact, ...Object.values(parsed.skipped.byContext).flat()];
+  }
+
+  test('suggests the theme reference in JS/TS files only', () => {
+    const [tsEntry] = compareEntries('chart.ts');
+    expect(tsEntry.match.name).toBe('colors.emerald.500');
+    expect(tsEntry.suggestion).toBe('theme.colors.emerald[500]');
+    const [cssEntry] = compareEntries('chart.css');
+    expect(cssEntry.suggestion).toBeNull();
+  });
+
+  test('--fix leaves JS references alone', () => {
+    const chart = path.join(tmpDir, 'chart.ts');
+    captureOutput(() => {
+      compareVars([chart], { vars: theme, format: 'text', exclude: [], fix: true });
+    });
+    expect(fs.readFileSync(chart, 'utf-8')).toContain("'#10b981'");
+  });
+});
+
+describe('compareVars with a tailwind.config palette', () => {
+  const tmpDir = path.join(FIXTURES, '_test_tailwind_config_compare');
+  const config = path.join(tmpDir, 'tailwind.config.js');
+
+  beforeAll(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(config, "module.exports = { theme: { extend: { colors: { brand: { 500: '#10b981' } } } } };\n");
+    fs.writeFileSync(path.join(tmpDir, 'button.css'), '.a { color: #10b981; }\n');
+    fs.writeFileSync(path.join(tmpDir, 'Button.tsx'), 'export const B = () => <div className="bg-[#10b981]" />;\n');
+    fs.writeFileSync(path.join(tmpDir, 'chart.ts'), "export const series = { stroke: '#10b981' };\n");
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function compareEntries(file, extra = {}) {
+    const output = captureOutput(() => {
+      compareVars([path.join(tmpDir, file)], { vars: config, format: 'json', exclude: [], ...extra });
+    });
+    const parsed = JSON.parse(output);
+    return [...parsed.actionable.exact, ...Object.values(parsed.skipped.byContext).flat()];
+  }
+
+  test('suggests theme() in stylesheets and utility classes in components', () => {
+    expect(compareEntries('button.css')[0].suggestion).toBe("theme('colors.brand.500')");
+    const [component] = compareEntries('Button.tsx');
+    expect(component.match).toMatchObject({ name: 'brand-500', syntax: 'tailwind' });
+    expect(component.suggestion).toBe('bg-brand-500');
+  });
+
+  test('matches colors in JS objects without suggesting a class', () => {
+    const [series] = compareEntries('chart.ts');
+    expect(series.match).toMatchObject({ name: 'brand-500', syntax: 'tailwind' });
+    expect(series.suggestion).toBeNull();
+  });
+
+  test('--fix applies theme() but leaves classes alone', () => {
+    captureOutput(() => {
+      compareVars([tmpDir], {
+        vars: config,
+        format: 'text',
+        exclude: [],
+        fix: true,
+        journal: path.join(tmpDir, 'journal.json'),
+      });
+    });
+    expect(fs.readFileSync(path.join(tmpDir, 'button.css'), 'utf-8')).toContain("theme('colors.brand.500')");
+    expect(fs.readFileSync(path.join(tmpDir, 'Button.tsx'), 'utf-8')).toContain('bg-[#10b981]');
+  });
+});
+
+describe('compareVars with a Tailwind v4 @theme palette', () => {
+  const tmpDir = path.join(FIXTURES, '_test_tailwind_v4_compare');
+
+  beforeAll(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, 'app.css'), '@import "tailwindcss";\n@theme {\n  --color-primary: #10b981;\n}\n');
+    fs.writeFileSync(path.join(tmpDir, 'Card.tsx'), [
+      'export const Card = () => (',
+      '  <div className="hover:bg-[#10b981]/50" style={{ color: \'#10b981\' }} />',
+      ');',
+      '',
+    ].join('\n'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('finds the @theme entry point without --vars', () => {
+    const output = captureOutput(() => {
+      compareVars([tmpDir], { format: 'json', exclude: [] });
+    });
+    const parsed = JSON.parse(output);
+    expect(parsed.files).toEqual([path.join(tmpDir, 'app.css')]);
+    const card = [...parsed.actionable.exact, ...Object.values(parsed.skipped.byContext).flat()]
+      .filter((r) => r.file.endsWith('Card.tsx'))
+      .sort((a, b) => a.column - b.column);
+    // The /50 modifier stays outside the replaced bg-[...] part
+    expect(card.map((r) => r.suggestion)).toEqual(['bg-primary', 'var(--color-primary)']);
+  });
+});
+
+describe('compareVars --fix --dry-run', () => {
+  const tmpDir = path.join(FIXTURES, '_test_fix_dry_run');
+  const vars = path.join(tmpDir, 'vars.css');
+  const styles = path.join(tmpDir, 'styles.css');
+  const source = '.a {\n  color: #10b981;\n  border: 1px solid #3b82f6;\n}\n';
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(vars, ':root {\n  --brand: #10b981;\n  --accent: #3b82f6;\n}\n');
+    fs.writeFileSync(styles, source);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('prints a unified diff without writing', () => {
+    const output = captureOutput(() => {
+      compareVars([styles], { vars, format: 'text', exclude: [], fix: true, dryRun: true });
+    });
+    expect(output).toContain('@@ -1,4 +1,4 @@');
+    expect(output).toContain('-  color: #10b981;\n-  border: 1px solid #3b82f6;');
+    expect(output).toContain('+  color: var(--brand);\n+  border: 1px solid var(--accent);');
+    expect(output).toContain('Would fix 2 exact matches in 1 files');
+    expect(fs.readFileSync(styles, 'utf-8')).toBe(source);
+  });
+
+  test('lists planned edits as JSON', () => {
+    const output = captureOutput(() => {
+      compareVars([styles], { vars, format: 'json', exclude: [], fix: true, dryRun: true });
+    });
+    const parsed = JSON.parse(output);
+    expect(parsed.dryRun).toBe(true);
+    expect(parsed.summary).toEqual({ files: 1, edits: 2 });
+    expect(parsed.edits[0]).toEqual({
+      file: styles,
+      line: 2,
+      column: 10,
+      value: '#10b981',
+      replacement: 'var(--brand)',
+      status: 'exact',
+      distance: 0,
+      before: '  color: #10b981;',
+      after: '  color: var(--brand);',
+    });
+    expect(fs.readFileSync(styles, 'utf-8')).toBe(source);
+  });
+
+  test('--fix writes the same edits', () => {
+    captureOutput(() => {
+      compareVars([styles], {
+        vars,
+        format: 'text',
+        exclude: [],
+        fix: true,
+        journal: path.join(tmpDir, 'journal.json'),
+      });
+    });
+    expect(fs.readFileSync(styles, 'utf-8')).toBe(
+      '.a {\n  color: var(--brand);\n  border: 1px solid var(--accent);\n}\n'
+    );
+  });
+
+  test('requires --fix', () => {
+    const output = captureOutput(() => {
+      compareVars([styles], { vars, format: 'text', exclude: [], dryRun: true });
+    });
+    expect(output).toContain('Error: --dry-run previews --fix');
+    expect(process.exitCode).toBe(1);
+    process.exitCode = 0;
+  });
+});
+
+describe('compareVars --learn', () => {
+  const tmpDir = path.join(FIXTURES, '_test_learn');
+  const vars = path.join(tmpDir, 'vars.css');
+
+  beforeEach(() => {
+    fs.mkdirSync(path.join(tmpDir, 'src'), { recursive: true });
+    fs.writeFileSync(vars, ':root {\n  --ink: #1e293b;\n  --surface-raised: #1e293b;\n  --surface-sunken: #0f172a;\n}\n');
+    fs.writeFileSync(
+      path.join(tmpDir, 'src', 'cards.css'),
+      '.a { background: var(--surface-raised); }\n.b { background-color: var(--surface-sunken); }\n/* .c { color: var(--surface-raised); } */\n.d { color: var(--ink); }\n'
+    );
+    fs.writeFileSync(path.join(tmpDir, 'src', 'panel.tsx'), 'const p = <div className="bg-surface-raised" style={{ background: \'var(--surface-raised)\' }} />;\n');
+    fs.writeFileSync(path.join(tmpDir, 'src', 'new.css'), '.e { background-color: #1e293b; }\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    process.exitCode = undefined;
+  });
+
+  function run(extra) {
+    return captureOutput(() => {
+      compareVars([path.join(tmpDir, 'src')], { vars, format: 'json', exclude: [], ...extra });
+    });
+  }
+
+  const matchOf = (parsed) => parsed.actionable.exact.find((r) => r.file.endsWith('new.css')).match;
+
+  test('prefers the token family the codebase uses for the property', () => {
+    expect(matchOf(JSON.parse(run())).name).toBe('--ink');
+
+    const parsed = JSON.parse(run({ learn: true }));
+    expect(matchOf(parsed)).toMatchObject({
+      name: '--surface-raised',
+      preference: { category: 'background', family: '--surface-*', share: 1, uses: 3 },
+    });
+    expect(parsed.learned).toEqual({
+      '--surface-*': { uses: 3, trusted: true, categories: { background: 1 } },
+      '--ink-*': { uses: 1, trusted: false, categories: { text: 1 } },
+    });
+  });
+
+  test('reports what it learned in text output', () => {
+    const output = run({ learn: true, format: 'text' });
+    expect(output).toContain('Learned: property preferences of 2 token families from 4 references');
+    expect(output).toContain('#1e293b -> --surface-raised');
+  });
+});
+
+describe('compareVars --fix-close', () => {
+  const tmpDir = path.join(FIXTURES, '_test_fix_close');
+  const vars = path.join(tmpDir, 'vars.css');
+  const styles = path.join(tmpDir, 'styles.css');
+  const journal = path.join(tmpDir, 'journal.json');
+  const source = '.a { color: #10b981; }\n.b { color: #10b982; }\n.c { color: #818181; }\n';
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(vars, ':root {\n  --brand: #10b981;\n  --gray-500: #808080;\n  --gray-510: #828282;\n}\n');
+    fs.writeFileSync(styles, source);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    process.exitCode = 0;
+  });
+
+  function fix(extra) {
+    return captureOutput(() => {
+      compareVars([styles], { vars, format: 'text', exclude: [], fix: true, journal, ...extra });
+    });
+  }
+
+  test('replaces close matches under the cutoff and reports them with their distance', () => {
+    const output = fix({ fixClose: '1' });
+    expect(output).toContain('Fixed 1 exact matches with var() replacements.');
+    expect(output).toContain('Fixed 1 close matches (dE <= 1):');
+    expect(output).toContain('styles.css:2:13  #10b982 -> var(--brand) (dE=0.56)');
+    const lines = fs.readFileSync(styles, 'utf-8').split('\n');
+    expect(lines[1]).toBe('.b { color: var(--brand); }');
+  });
+
+  test('skips close matches with a tied token of another color', () => {
+    const output = fix({ fixClose: '1' });
+    expect(output).toContain('Skipped 1 close matches with another token within dE 0.5:');
+    expect(output).toMatch(/#818181 -> --gray-5\d0 \(dE=0\.39\) or --gray-5\d0 \(dE=0\.39\)/);
+    expect(fs.readFileSync(styles, 'utf-8')).toContain('.c { color: #818181; }');
+  });
+
+  test('leaves close matches above the cutoff alone', () => {
+    fix({ fixClose: '0.5' });
+    expect(fs.readFileSync(styles, 'utf-8')).toContain('.b { color: #10b982; }');
+  });
+
+  test('lists close edits and tied matches in the JSON dry run', () => {
+    const output = captureOutput(() => {
+      compareVars([styles], { vars, format: 'json', exclude: [], fix: true, dryRun: true, fixClose: '1' });
+    });
+    const parsed = JSON.parse(output);
+    expect(parsed.edits.map((e) => [e.status, e.distance])).toEqual([['exact', 0], ['close', 0.56]]);
+    expect(parsed.ambiguous).toHaveLength(1);
+    expect(parsed.ambiguous[0].tied).toHaveLength(1);
+    expect(fs.readFileSync(styles, 'utf-8')).toBe(source);
+  });
+
+  test('requires --fix and a distance', () => {
+    expect(captureOutput(() => {
+      compareVars([styles], { vars, format: 'text', exclude: [], fixClose: '1' });
+    })).toContain('Error: --fix-close extends --fix');
+    expect(fix({ fixClose: 'abc' })).toContain('Error: Invalid --fix-close "abc"');
+    expect(fs.readFileSync(styles, 'utf-8')).toBe(source);
+  });
+});
+
+describe('compareVars JS references', () => {
+  const tmpDir = path.join(FIXTURES, '_test_js_references');
+  const vars = path.join(tmpDir, 'vars.css');
+  const chart = path.join(tmpDir, 'Chart.tsx');
+  const journal = path.join(tmpDir, 'journal.json');
+  const statement = "import { tokens } from '@/design/tokens';";
+  const source = [
+    "import { Line } from 'charts';",
+    '',
+    "export const series = { stroke: '#10b981', border: '1px solid #10b981' };",
+    'export const Dot = () => <circle fill="#10b981" />;',
+    '',
+  ].join('\n');
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(vars, ':root {\n  --color-primary: #10b981;\n}\n');
+    fs.writeFileSync(chart, source);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function run(extra) {
+    return captureOutput(() => {
+      compareVars([chart], { vars, format: 'text', exclude: [], jsTemplate: 'tokens.{name}', journal, ...extra });
+    });
+  }
+
+  test('suggests --js-template references for whole string literals', () => {
+    const output = captureOutput(() => {
+      compareVars([chart], { vars, format: 'json', exclude: [], jsTemplate: 'tokens.{name}' });
+    });
+    const exact = JSON.parse(output).actionable.exact;
+    expect(exact.map((r) => [r.suggestion, r.replaces])).toEqual([
+      ['tokens.colorPrimary', "'#10b981'"],
+      ['var(--color-primary)', '#10b981'],
+      ['{tokens.colorPrimary}', '"#10b981"'],
+    ]);
+  });
+
+  test('gives no suggestion for translucent literals of opaque tokens', () => {
+    const styles = path.join(tmpDir, 'styles.ts');
+    fs.writeFileSync(styles, "export const card = { borderColor: '#10b981aa' };\n");
+    const output = captureOutput(() => {
+      compareVars([styles], { vars, format: 'json', exclude: [], jsTemplate: 'tokens.{name}' });
+    });
+    const [result] = JSON.parse(output).actionable.exact;
+    expect(result.match.name).toBe('--color-primary');
+    expect(result.suggestion).toBeNull();
+    captureOutput(() => {
+      compareVars([styles], { vars, format: 'text', exclude: [], jsTemplate: 'tokens.{name}', jsImport: statement, fix: true, journal });
+    });
+    expect(fs.readFileSync(styles, 'utf-8')).toBe("export const card = { borderColor: '#10b981aa' };\n");
+  });
+
+  test('--fix replaces the literals and adds the import', () => {
+    const output = run({ fix: true, jsImport: statement });
+    expect(output).toContain('Added imports to 1 files.');
+    expect(fs.readFileSync(chart, 'utf-8')).toBe(
+      [
+        "import { Line } from 'charts';",
+        statement,
+        '',
+        "export const series = { stroke: tokens.colorPrimary, border: '1px solid var(--color-primary)' };",
+        'export const Dot = () => <circle fill={tokens.colorPrimary} />;',
+        '',
+      ].join('\n')
+    );
+    expect(JSON.parse(fs.readFileSync(journal, 'utf-8')).runs[0].files[0].inserted).toEqual([
+      { line: 2, text: statement },
+    ]);
+  });
+
+  test('--fix leaves JS references alone without --js-import', () => {
+    run({ fix: true });
+    const lines = fs.readFileSync(chart, 'utf-8').split('\n');
+    expect(lines[2]).toBe("export const series = { stroke: '#10b981', border: '1px solid var(--color-primary)' };");
+    expect(lines[3]).toContain('fill="#10b981"');
+  });
+
+  test('--dry-run lists the import lines', () => {
+    const output = run({ fix: true, dryRun: true, jsImport: statement, format: 'json' });
+    const parsed = JSON.parse(output);
+    expect(parsed.imports).toEqual([{ file: chart, line: 2, text: statement }]);
+    expect(parsed.edits[0]).toMatchObject({ column: 33, value: "'#10b981'", replacement: 'tokens.colorPrimary', importStatement: statement });
+    expect(fs.readFileSync(chart, 'utf-8')).toBe(source);
+  });
+});
+
+describe('compareVars --fix with named colors and color functions', () => {
+  const tmpDir = path.join(FIXTURES, '_test_fix_named');
+  const vars = path.join(tmpDir, 'vars.css');
+  const styles = path.join(tmpDir, 'styles.css');
+  const box = path.join(tmpDir, 'Box.jsx');
+  const journal = path.join(tmpDir, 'journal.json');
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(vars, ':root {\n  --danger: #ff0000;\n  --brand: #10b981;\n}\n');
+    fs.writeFileSync(styles, '.a {\n  color: Red;\n  background: HSL(0deg 100% 50%);\n  border-color: rgb(16,185,129);\n}\n');
+    fs.writeFileSync(box, "export const Box = () => <div style={{ color: 'red', padding: 4 }} />;\n");
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('replaces named colors in CSS and inline styles, and rgb()/hsl() values', () => {
+    captureOutput(() => {
+      compareVars([tmpDir], { vars, format: 'text', exclude: [], fix: true, journal });
+    });
+    expect(fs.readFileSync(styles, 'utf-8')).toBe(
+      '.a {\n  color: var(--danger);\n  background: var(--danger);\n  border-color: var(--brand);\n}\n'
+    );
+    expect(fs.readFileSync(box, 'utf-8')).toContain("style={{ color: 'var(--danger)', padding: 4 }}");
+    const entries = JSON.parse(fs.readFileSync(journal, 'utf-8')).runs[0].files;
+    expect(entries.flatMap((f) => f.edits.map((e) => e.original)).sort()).toEqual([
+      'HSL(0deg 100% 50%)',
+      'Red',
+      'red',
+      'rgb(16,185,129)',
+    ]);
+  });
+
+  test('--no-named leaves named colors alone', () => {
+    captureOutput(() => {
+      compareVars([styles], { vars, format: 'text', exclude: [], fix: true, journal, named: false });
+    });
+    expect(fs.readFileSync(styles, 'utf-8')).toContain('color: Red;');
+  });
+});
@@ -2,7 +2,7 @@
 
 const path = require('node:path');
 const fs = require('node:fs');
-const { loadConfig, mergeOptions } = require('../src/config');
+const { loadConfig, mergeOptions, addIgnoredColors } = require('../src/config');
 
 const FIXTURES = path.join(__dirname, 'fixtures');
 
@@ -25,6 +25,27 @@ describe('mergeOptions', () => {
     expect(result.vars).toBe('theme.css');
   });
 
+  test('config vars may list several files', () => {
+    const cli = { format: 'text', threshold: '10', exclude: [] };
+    const config = { vars: ['primitives.css', 'semantic.css'] };
+    const result = mergeOptions(cli, config);
+    expect(result.vars).toEqual(['primitives.css', 'semantic.css']);
+  });
+
+  test('config tokenName applies when CLI does not set one', () => {
+    const cli = { format: 'text', exclude: [] };
+    expect(mergeOptions(cli, { tokenName: '--ds-{path}' }).tokenName).toBe('--ds-{path}');
+    const explicit = { ...cli, tokenName: '--{name}' };
+    expect(mergeOptions(explicit, { tokenName: '--ds-{path}' }).tokenName).toBe('--{name}');
+  });
+
+  test('config jsRef applies when CLI does not set one', () => {
+    const cli = { format: 'text', exclude: [] };
+    expect(mergeOptions(cli, { jsRef: 'theme.{path}' }).jsRef).toBe('theme.{path}');
+    const explicit = { ...cli, jsRef: 'tokens.{path}' };
+    expect(mergeOptions(explicit, { jsRef: 'theme.{path}' }).jsRef).toBe('tokens.{path}');
+  });
+
   test('handles empty config', () => {
     const cli = { format: 'text', threshold: '10', exclude: [] };
     const result = mergeOptions(cli, {});
@@ -63,6 +84,16 @@ describe('mergeOptions', () => {
     expect(result.threshold).toBe('5');
   });
 
+  test('config.metric overrides default metric', () => {
+    const result = mergeOptions({ metric: 'cie76', exclude: [] }, { metric: 'ciede2000' });
+    expect(result.metric).toBe('ciede2000');
+  });
+
+  test('explicit --metric wins over config.metric', () => {
+    const result = mergeOptions({ metric: 'oklab', exclude: [] }, { metric: 'ciede2000' });
+    expect(result.metric).toBe('oklab');
+  });
+
   test('config.minCount and minClasses override defaults', () => {
     const cli = { minCount: '2', minClasses: '2', exclude: [] };
     const config = { minCount: 3, minClasses: 4 };
@@ -107,3 +138,35 @@ describe('loadConfig', () => {
     }
   });
 });
+
+describe('ignored colors', () => {
+  const tmpDir = path.join(FIXTURES, '_test_config_ignore');
+  const configPath = path.join(tmpDir, '.hardcode-replacerrc.json');
+
+  beforeEach(() => {
+    fs.mkdirSync(path.join(tmpDir, 'src'), { recursive: true });
+    fs.writeFileSync(configPath, JSON.stringify({ threshold: 5 }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('addIgnoredColors appends entries relative to the config file', () => {
+    const file = path.join(tmpDir, 'src', 'a.css');
+    const written = addIgnoredColors(path.join(tmpDir, 'src'), [
+      { file, value: '#475569', text: 'color: #475569;' },
+    ]);
+    expect(written).toBe(configPath);
+    const saved = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    expect(saved.threshold).toBe(5);
+    expect(saved.ignore).toEqual([{ file: 'src/a.css', value: '#475569', text: 'color: #475569;' }]);
+  });
+
+  test('loadConfig resolves ignore paths against the config directory', () => {
+    fs.writeFileSync(configPath, JSON.stringify({ ignore: [{ file: 'src/a.css', value: 'red' }] }));
+    const config = loadConfig(path.join(tmpDir, 'src'));
+    expect(config.ignore).toEqual([{ file: path.join(tmpDir, 'src', 'a.css'), value: 'red' }]);
+    expect(mergeOptions({ format: 'text' }, config).ignore).toBe(config.ignore);
+  });
+});
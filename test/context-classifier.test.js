@@ -19,6 +19,14 @@ describe("classifyContext", () => {
     expect(result).toBe("css-definition");
   });
 
+  test("identifies SCSS and Less variable definitions", () => {
+    for (const text of ["$brand-primary: #10b981;", "@brand: #10b981;"]) {
+      expect(
+        classifyContext({ file: "src/_vars.scss", text, match: "#10b981" })
+      ).toBe("css-definition");
+    }
+  });
+
   test("identifies meta/manifest tags", () => {
     const result = classifyContext({
       file: "src/index.html",
@@ -0,0 +1,109 @@
+const path = require('node:path');
+const fs = require('node:fs');
+const { isDtcgDocument, parseDtcgDeclarations } = require('../src/dtcg');
+const { loadPalette } = require('../src/palette');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const TOKENS = {
+  color: {
+    $type: 'color',
+    base: {
+      blue: { 500: { $value: '#3b82f6' } },
+      green: { $value: { colorSpace: 'srgb', components: [0.0627, 0.7255, 0.5059] } },
+    },
+    brand: {
+      primary: { $value: '{color.base.blue.500}', $description: 'Main brand color' },
+      overlay: { $value: { colorSpace: 'oklch', components: [0.7, 0.1, 160], alpha: 0.5 } },
+    },
+    textMuted: { $value: '#6b7280' },
+  },
+  spacing: {
+    $type: 'dimension',
+    sm: { $value: '4px' },
+  },
+  border: {
+    focus: { $type: 'color', $value: '#ff0000' },
+    width: { $type: 'dimension', $value: { value: 1, unit: 'px' } },
+  },
+  $extensions: { 'studio.tokens': { version: 1 } },
+};
+
+function parse(data, options) {
+  const content = JSON.stringify(data, null, 2);
+  return parseDtcgDeclarations(data, content, 'tokens.json', options);
+}
+
+describe('isDtcgDocument', () => {
+  test('detects tokens with $value', () => {
+    expect(isDtcgDocument(TOKENS)).toBe(true);
+  });
+
+  test('plain nested JSON is not DTCG', () => {
+    expect(isDtcgDocument({ colors: { primary: '#3b82f6' } })).toBe(false);
+  });
+});
+
+describe('parseDtcgDeclarations', () => {
+  test('maps token paths to kebab-case CSS variable names', () => {
+    const decls = parse(TOKENS);
+    expect(decls['--color-base-blue-500'].value).toBe('#3b82f6');
+    expect(decls['--color-text-muted'].value).toBe('#6b7280');
+  });
+
+  test('inherits $type from groups and skips non-color tokens', () => {
+    const decls = parse(TOKENS);
+    expect(decls['--spacing-sm']).toBeUndefined();
+    expect(decls['--border-width']).toBeUndefined();
+    expect(decls['--border-focus'].value).toBe('#ff0000');
+  });
+
+  test('turns alias references into var() references', () => {
+    const decls = parse(TOKENS);
+    expect(decls['--color-brand-primary'].value).toBe('var(--color-base-blue-500)');
+  });
+
+  test('converts color object values to CSS colors', () => {
+    const decls = parse(TOKENS);
+    expect(decls['--color-base-green'].value).toBe('color(srgb 0.0627 0.7255 0.5059)');
+    expect(decls['--color-brand-overlay'].value).toBe('oklch(0.7 0.1 160 / 0.5)');
+  });
+
+  test('applies a custom naming template', () => {
+    const decls = parse(TOKENS, { tokenName: '--ds-{path}' });
+    expect(decls['--ds-color-brand-primary'].value).toBe('var(--ds-color-base-blue-500)');
+    const short = parse(TOKENS, { tokenName: '--{name}' });
+    expect(short['--primary']).toBeDefined();
+  });
+
+  test('records the line of each token', () => {
+    const decls = parse(TOKENS);
+    const lines = JSON.stringify(TOKENS, null, 2).split('\n');
+    expect(lines[decls['--color-brand-primary'].line - 1]).toContain('"primary"');
+  });
+});
+
+describe('loadPalette with DTCG files', () => {
+  const tmpFile = path.join(FIXTURES, '_test_tokens.json');
+
+  beforeAll(() => {
+    fs.writeFileSync(tmpFile, JSON.stringify(TOKENS, null, 2));
+  });
+
+  afterAll(() => {
+    fs.unlinkSync(tmpFile);
+  });
+
+  test('resolves aliases and records them', () => {
+    const loaded = loadPalette(tmpFile);
+    expect(loaded.colors['--color-brand-primary']).toBe('#3b82f6');
+    expect(loaded.tokens['--color-brand-primary'].aliasOf).toBe('--color-base-blue-500');
+    expect(loaded.colors['--color-base-green']).toBe('#10b981');
+    expect(loaded.colors['--color-brand-overlay']).toMatch(/^#[0-9a-f]{6}80$/);
+  });
+
+  test('does not produce $value names', () => {
+    const loaded = loadPalette(tmpFile);
+    expect(Object.keys(loaded.colors).some((name) => name.includes('$'))).toBe(false);
+  });
+});
@@ -0,0 +1,119 @@
+const path = require('node:path');
+const fs = require('node:fs');
+const { extractTokens } = require('../src/commands/extract');
+const { groupColors, nameTokens, renderTokens } = require('../src/extract-tokens');
+const { captureOutput, useTmpDir } = require('./helpers');
+
+describe('extract tokens', () => {
+  const use = (value, cssProperty = 'color') => ({ value, cssProperty });
+
+  test('merge near-identical colors of the same alpha into the most used one', () => {
+    const groups = groupColors(
+      [use('#e11d49'), use('#e11d48'), use('#E11D48'), use('rgba(225, 29, 72, 0.4)'), use('#2563eb')],
+      { merge: 2, metric: 'cie76' }
+    );
+    expect(groups.map((g) => [g.value, g.alpha, g.colors, g.usages.length])).toEqual([
+      ['#e11d48', 1, ['#e11d48', '#e11d49'], 3],
+      ['#2563eb', 1, ['#2563eb'], 1],
+      ['#e11d4866', 0.4, ['#e11d4866'], 1],
+    ]);
+    expect(groupColors([use('#e11d49'), use('#e11d48')], { merge: 0, metric: 'cie76' })).toHaveLength(2);
+  });
+
+  test('name tokens without clashing with the palette or each other', () => {
+    const groups = groupColors([use('#e11d48'), use('#e11d48'), use('#be123c'), use('#fb7185')], {
+      merge: 2,
+      metric: 'cie76',
+    });
+    const taken = new Set(['text-red-500']);
+    const names = nameTokens(groups, { syntax: 'css', taken }).map((t) => t.name);
+    expect(names[0]).toBe('--text-red-500-2');
+    expect(new Set(names).size).toBe(names.length);
+  });
+
+  test('render each syntax', () => {
+    const tokens = nameTokens(groupColors([use('#e11d48'), use('rgba(225, 29, 72, 0.4)', 'background')], { merge: 2, metric: 'cie76' }), {
+      syntax: 'tailwind',
+      taken: new Set(),
+    });
+    expect(tokens.map((t) => t.name)).toEqual(['--color-text-red-500', '--color-bg-red-500-a40']);
+    expect(renderTokens(tokens, 'tailwind')).toBe(
+      '@theme {\n  --color-text-red-500: #e11d48;\n  --color-bg-red-500-a40: #e11d4866;\n}\n'
+    );
+    expect(JSON.parse(renderTokens(tokens, 'dtcg'))['text-red-500']).toEqual({ $type: 'color', $value: '#e11d48' });
+    const scss = nameTokens(groupColors([use('#e11d48')], { merge: 2, metric: 'cie76' }), { syntax: 'scss', taken: new Set() });
+    expect(renderTokens(scss, 'scss')).toBe('$text-red-500: #e11d48;\n');
+  });
+});
+
+describe('extract command', () => {
+  const tmpDir = useTmpDir('_test_extract');
+  const vars = path.join(tmpDir, 'vars.css');
+  const srcDir = path.join(tmpDir, 'src');
+  const styles = path.join(srcDir, 'styles.css');
+  const out = path.join(tmpDir, 'extracted.css');
+  const journal = path.join(tmpDir, 'journal.json');
+  const source = '.a {\n  color: #e11d48;\n  background: #e11d49;\n}\n.b {\n  color: #e11d48;\n  border-color: #2563eb;\n  outline-color: #10b981;\n}\n';
+
+  beforeEach(() => {
+    fs.mkdirSync(srcDir, { recursive: true });
+    fs.writeFileSync(vars, ':root {\n  --brand: #10b981;\n  --text-red-500: #7f1d1d;\n}\n');
+    fs.writeFileSync(styles, source);
+  });
+
+  function run(options) {
+    return captureOutput(() => {
+      extractTokens([srcDir], { vars, format: 'text', exclude: [], ...options });
+    });
+  }
+
+  test('lists merged tokens and their definitions', () => {
+    const parsed = JSON.parse(run({ format: 'json' }));
+    expect(parsed.summary).toEqual({ colors: 3, uses: 4, tokens: 2 });
+    expect(parsed.tokens.map((t) => [t.name, t.value, t.merged, t.uses])).toEqual([
+      ['--text-red-500-2', '#e11d48', ['#e11d49'], 3],
+      ['--border-blue-500', '#2563eb', [], 1],
+    ]);
+    expect(parsed.definitions).toBe(':root {\n  --text-red-500-2: #e11d48;\n  --border-blue-500: #2563eb;\n}\n');
+  });
+
+  test('writes the syntax of the --out extension and refuses to overwrite', () => {
+    const json = path.join(tmpDir, 'tokens.json');
+    expect(run({ out: json })).toContain(`Wrote 2 tokens to ${json}`);
+    expect(JSON.parse(fs.readFileSync(json, 'utf-8'))['border-blue-500'].$value).toBe('#2563eb');
+    expect(run({ out: json })).toContain('already exists');
+    expect(process.exitCode).toBe(1);
+  });
+
+  test('--fix writes the tokens and replaces the colors', () => {
+    const output = run({ out, fix: true, journal });
+    expect(output).toContain('Replaced 4 colors with extracted tokens in 1 files.');
+    expect(fs.readFileSync(out, 'utf-8')).toContain('--text-red-500-2: #e11d48;');
+    expect(fs.readFileSync(styles, 'utf-8')).toBe(
+      '.a {\n  color: var(--text-red-500-2);\n  background: var(--text-red-500-2);\n}\n.b {\n  color: var(--text-red-500-2);\n  border-color: var(--border-blue-500);\n  outline-color: #10b981;\n}\n'
+    );
+  });
+
+  test('--fix --dry-run writes nothing', () => {
+    const output = run({ out, fix: true, dryRun: true });
+    expect(output).toContain('Would add 2 tokens to');
+    expect(output).toContain('+  border-color: var(--border-blue-500);');
+    expect(fs.existsSync(out)).toBe(false);
+    expect(fs.readFileSync(styles, 'utf-8')).toBe(source);
+  });
+
+  test('--fix with scss tokens adds an @use of the --out file', () => {
+    const scss = path.join(srcDir, 'app.scss');
+    fs.rmSync(styles);
+    fs.writeFileSync(scss, '@use "sass:math";\n.a {\n  color: #e11d48;\n}\n');
+    const output = run({ out: path.join(tmpDir, '_tokens.scss'), fix: true, journal });
+    expect(output).toContain('Replaced 1 colors with extracted tokens in 1 files.');
+    expect(fs.readFileSync(scss, 'utf-8')).toBe(
+      '@use "sass:math";\n@use "../tokens" as *;\n.a {\n  color: $text-red-500-2;\n}\n'
+    );
+  });
+
+  test('--fix needs --out', () => {
+    expect(run({ fix: true })).toContain('Error: extract --fix needs --out <file>');
+  });
+});
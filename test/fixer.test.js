@@ -0,0 +1,119 @@
+const path = require('node:path');
+const fs = require('node:fs');
+const { planEdits, writePlans, formatUnifiedDiff } = require('../src/fixer');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+describe('fixer', () => {
+  const tmpDir = path.join(FIXTURES, '_test_fixer');
+  const file = path.join(tmpDir, 'a.css');
+  const lines = Array.from({ length: 12 }, (_, i) => `.l${i + 1} { color: #000000; }`);
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(file, `${lines.join('\n')}\n`);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function request(line, replacement = 'var(--black)') {
+    return { file, line, column: 14, value: '#000000', replacement };
+  }
+
+  test('plans edits in position order with before/after line text', () => {
+    const [plan] = planEdits([request(3), request(1)]);
+    expect(plan.edits.map((e) => e.line)).toEqual([1, 3]);
+    expect(plan.edits[0].before).toBe('.l1 { color: #000000; }');
+    expect(plan.edits[0].after).toBe('.l1 { color: var(--black); }');
+    expect(plan.updated.split('\n')[2]).toBe('.l3 { color: var(--black); }');
+  });
+
+  test('drops requests whose value is not on the line', () => {
+    const plans = planEdits([{ ...request(2), value: '#ffffff' }]);
+    expect(plans).toEqual([]);
+  });
+
+  test('reports unreadable files and skips them', () => {
+    const errors = [];
+    const origErr = console.error;
+    console.error = (...args) => errors.push(args.join(' '));
+    try {
+      expect(planEdits([{ ...request(1), file: path.join(tmpDir, 'missing.css') }])).toEqual([]);
+    } finally {
+      console.error = origErr;
+    }
+    expect(errors[0]).toContain('Error fixing');
+  });
+
+  test('formats separate hunks with three lines of context', () => {
+    const [plan] = planEdits([request(1), request(12)]);
+    const diff = formatUnifiedDiff(plan);
+    const name = path.relative(process.cwd(), file);
+    expect(diff.split('\n').slice(0, 3)).toEqual([
+      `--- a/${name}`,
+      `+++ b/${name}`,
+      '@@ -1,4 +1,4 @@',
+    ]);
+    expect(diff).toContain('-.l1 { color: #000000; }\n+.l1 { color: var(--black); }\n .l2');
+    expect(diff).toContain('@@ -9,4 +9,4 @@\n .l9');
+    expect(diff).not.toContain('.l5 ');
+  });
+
+  test('merges hunks whose context overlaps', () => {
+    const [plan] = planEdits([request(2), request(8)]);
+    expect(formatUnifiedDiff(plan)).toContain('@@ -1,11 +1,11 @@');
+  });
+
+  test('marks a missing newline at end of file', () => {
+    fs.writeFileSync(file, 'a { color: #000000; }');
+    const [plan] = planEdits([{ ...request(1), column: 12 }]);
+    expect(formatUnifiedDiff(plan)).toContain(
+      '-a { color: #000000; }\n\\ No newline at end of file\n+a { color: var(--black); }\n\\ No newline at end of file'
+    );
+  });
+
+  test('finds values written with another case or spacing', () => {
+    fs.writeFileSync(file, '.a { color: RGB(0,0, 0 ); background: Black; }\n');
+    const [plan] = planEdits([
+      { ...request(1), value: 'rgb(0, 0, 0)' },
+      { ...request(1), column: 40, value: 'black' },
+    ]);
+    expect(plan.updated).toBe('.a { color: var(--black); background: var(--black); }\n');
+    expect(plan.edits.map((e) => [e.value, e.column])).toEqual([
+      ['RGB(0,0, 0 )', 13],
+      ['Black', 39],
+    ]);
+  });
+
+  test('adds import statements after the last import, once', () => {
+    const tsx = path.join(tmpDir, 'Chart.tsx');
+    fs.writeFileSync(tsx, ["'use client';", "import { Line } from 'charts';", '', "const a = '#10b981';", "const b = '#10b981';", ''].join('\n'));
+    const statement = "import { tokens } from '@/design/tokens';";
+    const literal = (line) => ({ file: tsx, line, column: 11, value: "'#10b981'", replacement: 'tokens.primary', importStatement: statement });
+    const [plan] = planEdits([literal(4), literal(5)]);
+    expect(plan.inserted).toEqual([{ line: 3, text: statement }]);
+    expect(plan.updated.split('\n').slice(1, 6)).toEqual([
+      "import { Line } from 'charts';",
+      statement,
+      '',
+      'const a = tokens.primary;',
+      'const b = tokens.primary;',
+    ]);
+    expect(plan.edits.map((e) => e.line)).toEqual([4, 5]);
+    expect(formatUnifiedDiff(plan)).toContain(
+      `@@ -1,5 +1,6 @@\n 'use client';\n import { Line } from 'charts';\n+${statement}\n \n-const a`
+    );
+
+    fs.writeFileSync(tsx, `${statement}\nconst a = '#10b981';\n`);
+    const [again] = planEdits([literal(2)]);
+    expect(again.inserted).toEqual([]);
+  });
+
+  test('writes planned edits', () => {
+    const plans = planEdits([request(1), request(2)]);
+    expect(writePlans(plans)).toEqual(plans);
+    expect(fs.readFileSync(file, 'utf-8')).toBe(plans[0].updated);
+  });
+});
@@ -0,0 +1,64 @@
+// Shared test helpers: console capture and throwaway fixture directories.
+
+const path = require('node:path');
+const fs = require('node:fs');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Capture console.log / console.error output of a synchronous call
+function captureOutput(fn) {
+  const logs = [];
+  const origLog = console.log;
+  const origErr = console.error;
+  console.log = (...args) => logs.push(args.join(' '));
+  console.error = (...args) => logs.push(args.join(' '));
+  try {
+    fn();
+  } finally {
+    console.log = origLog;
+    console.error = origErr;
+  }
+  return logs.join('\n');
+}
+
+// Same for a call that may return a promise; resolves to the output
+function captureOutputAsync(fn) {
+  const logs = [];
+  const origLog = console.log;
+  const origErr = console.error;
+  console.log = (...args) => logs.push(args.join(' '));
+  console.error = (...args) => logs.push(args.join(' '));
+  const restore = () => {
+    console.log = origLog;
+    console.error = origErr;
+  };
+  return Promise.resolve()
+    .then(fn)
+    .then(
+      () => {
+        restore();
+        return logs.join('\n');
+      },
+      (err) => {
+        restore();
+        throw err;
+      }
+    );
+}
+
+// fixtures/<name>, created before each test of the enclosing describe and
+// removed after it, along with any exit code the test set. Call it before
+// the describe's own beforeEach so the directory exists for it.
+function useTmpDir(name) {
+  const tmpDir = path.join(FIXTURES, name);
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+  });
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    process.exitCode = undefined;
+  });
+  return tmpDir;
+}
+
+module.exports = { FIXTURES, captureOutput, captureOutputAsync, useTmpDir };
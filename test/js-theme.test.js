@@ -0,0 +1,179 @@
+const path = require('node:path');
+const fs = require('node:fs');
+const {
+  parseJsThemeDeclarations,
+  jsThemeSuggestion,
+  stringLiteralAround,
+  jsTemplateReference,
+} = require('../src/js-theme');
+const { loadPalette } = require('../src/palette');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const THEME_TS = `import type { Theme } from './types';
+
+type Shade = 50 | 500
+  | 900;
+
+interface Palette {
+  [shade: number]: string;
+}
+
+const emerald: Palette = { 50: '#ecfdf5', 500: '#10b981' };
+
+export const colors = {
+  emerald,
+  slate: { 500: '#64748b' },
+  'brand-primary': emerald[500],
+} as const;
+
+export default { colors } satisfies Theme;
+`;
+
+describe('parseJsThemeDeclarations', () => {
+  test('walks nested exports by dotted path, with computed values', () => {
+    const decls = parseJsThemeDeclarations(THEME_TS, 'theme.ts');
+    expect(Object.keys(decls).sort()).toEqual([
+      'colors.brand-primary',
+      'colors.emerald.50',
+      'colors.emerald.500',
+      'colors.slate.500',
+    ]);
+    expect(decls['colors.brand-primary'].value).toBe('#10b981');
+    expect(decls['colors.emerald.500']).toMatchObject({
+      value: '#10b981',
+      syntax: 'js',
+      reference: 'colors.emerald[500]',
+    });
+    expect(decls['colors.slate.500'].line).toBe(14);
+    expect(decls['colors.brand-primary'].reference).toBe('colors["brand-primary"]');
+  });
+
+  test('formats references with a template', () => {
+    const decls = parseJsThemeDeclarations(THEME_TS, 'theme.ts', { jsRef: 'theme.{path}' });
+    expect(decls['colors.emerald.500'].reference).toBe('theme.colors.emerald[500]');
+  });
+
+  test('reads the default export when there are no named exports', () => {
+    const source = "const base = { white: '#ffffff' };\nmodule.exports = { ...base, brand: { DEFAULT: '#3b82f6' } };\n";
+    const decls = parseJsThemeDeclarations(source, 'theme.cjs');
+    expect(decls.white.value).toBe('#ffffff');
+    expect(decls['brand.DEFAULT']).toMatchObject({ value: '#3b82f6', line: 2 });
+  });
+
+  test('resolves helper functions, templates and concatenation', () => {
+    const source = `const hex = (value) => \`#\${value}\`;
+function shade(name, { alpha = '' } = {}) { return hex(name) + alpha; }
+export const colors = { brand: hex('10b981'), overlay: shade('000000', { alpha: '66' }) };
+`;
+    const decls = parseJsThemeDeclarations(source, 'theme.js');
+    expect(decls['colors.brand'].value).toBe('#10b981');
+    expect(decls['colors.overlay'].value).toBe('#00000066');
+  });
+
+  test('compiles TypeScript syntax, including annotated and generic helpers', () => {
+    const source = `const shade = (hex: string): string => hex;
+const pick = <T,>(value: T): T => value;
+enum Tone { Brand = '#3b82f6' }
+export const colors = { brand: { primary: shade('#3b82f6'), tone: Tone.Brand, picked: pick<string>('#10b981') } };
+`;
+    const decls = parseJsThemeDeclarations(source, 'theme.ts');
+    expect(decls['colors.brand.primary'].value).toBe('#3b82f6');
+    expect(decls['colors.brand.tone'].value).toBe('#3b82f6');
+    expect(decls['colors.brand.picked'].value).toBe('#10b981');
+  });
+
+  test('runs the module away from this process', () => {
+    const imports = "import palette from './palette';\nconst fs = require('fs');\nexport const colors = { base: palette.blue, brand: '#10b981' };\n";
+    expect(Object.keys(parseJsThemeDeclarations(imports, 'theme.js'))).toEqual(['colors.brand']);
+    const breakout = 'this.constructor.constructor("globalThis.escaped = true")();\nexport const a = "#000000";';
+    expect(() => parseJsThemeDeclarations(breakout, 'theme.js')).toThrow('Code generation from strings disallowed');
+    expect(globalThis.escaped).toBeUndefined();
+    expect(() => parseJsThemeDeclarations('export const a = process.env.BRAND;', 'theme.js')).toThrow('process is not defined');
+    expect(() => parseJsThemeDeclarations('while (true) {}', 'theme.js')).toThrow('timed out');
+  });
+
+  test('stops functions that call themselves', () => {
+    expect(() => parseJsThemeDeclarations('const f = () => f();\nexport const a = f();', 'a.js')).toThrow();
+  });
+});
+
+describe('jsThemeSuggestion', () => {
+  test('only suggests references in JS/TS files', () => {
+    expect(jsThemeSuggestion('theme.colors.brand', 'Button.tsx')).toBe('theme.colors.brand');
+    expect(jsThemeSuggestion('theme.colors.brand', 'chart.mjs')).toBe('theme.colors.brand');
+    expect(jsThemeSuggestion('theme.colors.brand', 'button.css')).toBeNull();
+  });
+});
+
+describe('stringLiteralAround', () => {
+  const usage = (file, text) => ({ file, text, column: text.indexOf('#') + 1, value: '#10b981' });
+
+  test('finds a color that is a whole string literal', () => {
+    expect(stringLiteralAround(usage('chart.ts', "  stroke: '#10b981',"))).toEqual({ text: "'#10b981'", jsxAttribute: false });
+    expect(stringLiteralAround(usage('chart.js', 'const c = `#10b981`;')).text).toBe('`#10b981`');
+    expect(stringLiteralAround(usage('Icon.tsx', '<path fill="#10b981" />')).jsxAttribute).toBe(true);
+    expect(stringLiteralAround(usage('Icon.tsx', 'const fill="#10b981";')).jsxAttribute).toBe(false);
+  });
+
+  test('ignores colors inside longer strings and non-JS files', () => {
+    expect(stringLiteralAround(usage('chart.ts', "border: '1px solid #10b981',"))).toBeNull();
+    expect(stringLiteralAround(usage('chart.ts', "color: '#10b981\""))).toBeNull();
+    expect(stringLiteralAround(usage('a.css', "content: '#10b981';"))).toBeNull();
+  });
+});
+
+describe('jsTemplateReference', () => {
+  test('fills {name} camelCased and {var} as is', () => {
+    expect(jsTemplateReference('tokens.{name}', '--color-primary')).toBe('tokens.colorPrimary');
+    expect(jsTemplateReference("cssVar('{var}')", '--brand-500')).toBe("cssVar('--brand-500')");
+  });
+});
+
+describe('loadPalette with JS/TS theme modules', () => {
+  const tmpDir = path.join(FIXTURES, '_test_js_theme');
+
+  beforeAll(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, 'theme.ts'), THEME_TS);
+    fs.writeFileSync(
+      path.join(tmpDir, 'imports.js'),
+      "import base from './base';\nexport const colors = { ...base, primary: '#10b981' };\n"
+    );
+    fs.writeFileSync(path.join(tmpDir, 'broken.js'), "export const colors = { primary: '#10b981' ;\n");
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('keeps the reference in token metadata', () => {
+    const loaded = loadPalette(path.join(tmpDir, 'theme.ts'), { jsRef: 'theme.{path}' });
+    expect(loaded.colors['colors.emerald.500']).toBe('#10b981');
+    expect(loaded.tokens['colors.slate.500']).toMatchObject({
+      syntax: 'js',
+      reference: 'theme.colors.slate[500]',
+      line: 14,
+    });
+    // Shorthand properties have no literal key to point at
+    expect(loaded.tokens['colors.emerald.500'].line).toBeNull();
+  });
+
+  test('leaves imported values out', () => {
+    const loaded = loadPalette(path.join(tmpDir, 'imports.js'));
+    expect(loaded.colors).toEqual({ 'colors.primary': '#10b981' });
+  });
+
+  test('skips modules that cannot be read, with a warning', () => {
+    const errors = [];
+    const origErr = console.error;
+    console.error = (...args) => errors.push(args.join(' '));
+    try {
+      const loaded = loadPalette(path.join(tmpDir, 'broken.js'));
+      expect(loaded.colors).toEqual({});
+    } finally {
+      console.error = origErr;
+    }
+    expect(errors[0]).toContain('Warning: Could not read');
+  });
+});
@@ -0,0 +1,92 @@
+const path = require('node:path');
+const fs = require('node:fs');
+const { auditPalette } = require('../src/commands/audit-palette');
+const { captureOutput, useTmpDir } = require('./helpers');
+
+describe('audit-palette command', () => {
+  const tmpDir = useTmpDir('_test_audit_palette');
+  const vars = path.join(tmpDir, 'vars.css');
+
+  beforeEach(() => {
+    fs.writeFileSync(
+      vars,
+      [
+        ':root {',
+        '  --blue-100: #dbeafe;',
+        '  --blue-300: #93c5fd;',
+        '  --blue-500: #3b82f6;',
+        '  --blue-700: #60a5fa;',
+        '  --blue-900: #1e3a8a;',
+        '  --green-100: #dcfce7;',
+        '  --green-500: #22c55e;',
+        '  --green-900: #7c2d12;',
+        '  --brand: #3b82f6;',
+        '  --bg-primary: var(--blue-500);',
+        '  --accent: #3a82f6;',
+        '  --gray-50: #f9fafb;',
+        '  --slate-50: #f8fafc;',
+        '}',
+        '.dark {',
+        '  --surface: #0f172a;',
+        '  --surface-raised: #0f172a;',
+        '}',
+        '',
+      ].join('\n')
+    );
+  });
+
+  function run(options) {
+    return captureOutput(() => {
+      auditPalette([tmpDir], { vars: [vars], format: 'json', ...options });
+    });
+  }
+
+  test('reports identical values once per primitive and near-duplicates', () => {
+    const parsed = JSON.parse(run({}));
+    expect(parsed.identical).toEqual([
+      { theme: 'default', hex: '#3b82f6', tokens: ['--blue-500', '--brand'] },
+      { theme: 'dark', hex: '#0f172a', tokens: ['--surface', '--surface-raised'] },
+    ]);
+    expect(parsed.nearDuplicates.map((p) => [p.tokens, p.tie])).toEqual([
+      [['--blue-500', '--accent'], true],
+      [['--gray-50', '--slate-50'], false],
+    ]);
+  });
+
+  test('reports tokens that never win a match', () => {
+    const parsed = JSON.parse(run({ theme: 'default' }));
+    expect(parsed.unreachable).toEqual([
+      { token: '--brand', hex: '#3b82f6', winners: ['--blue-500', '--bg-primary'] },
+      { token: '--accent', hex: '#3a82f6', winners: ['--blue-500', '--bg-primary'] },
+    ]);
+  });
+
+  test('reports ramps with lightness out of order and hue jumps', () => {
+    const parsed = JSON.parse(run({ theme: 'default' }));
+    expect(parsed.lightness).toEqual([
+      {
+        ramp: '--blue',
+        direction: 'darker',
+        from: { token: '--blue-500', hex: '#3b82f6', lightness: 55.6 },
+        to: { token: '--blue-700', hex: '#60a5fa', lightness: 66.7 },
+      },
+    ]);
+    expect(parsed.hueJumps.map((j) => [j.ramp, j.from.token, j.to.token])).toEqual([
+      ['--green', '--green-500', '--green-900'],
+    ]);
+    expect(JSON.parse(run({ theme: 'default', hueJump: '120' })).hueJumps).toEqual([]);
+  });
+
+  test('prints a text report', () => {
+    const output = run({ format: 'text', theme: 'default' });
+    expect(output).toContain('=== Palette Audit ===');
+    expect(output).toContain('--- NEAR-DUPLICATES WITHIN dE 2 (2) ---');
+    expect(output).toContain('--blue-500 #3b82f6 ~ --accent #3a82f6  dE 0.12  (within dE 0.5: compare picks by name)');
+    expect(output).toContain('--brand #3b82f6  always matched as --blue-500, --bg-primary');
+  });
+
+  test('rejects an invalid --near', () => {
+    expect(run({ near: 'x' })).toContain('Error: --near must be a distance of 0 or more');
+    expect(process.exitCode).toBe(1);
+  });
+});
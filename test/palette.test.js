@@ -0,0 +1,195 @@
+const path = require('node:path');
+const fs = require('node:fs');
+const { DEFAULT_THEME, loadPalette } = require('../src/palette');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function loadCss(name, css) {
+  const file = path.join(FIXTURES, name);
+  fs.writeFileSync(file, css);
+  try {
+    return loadPalette(file);
+  } finally {
+    fs.unlinkSync(file);
+  }
+}
+
+describe('loadPalette themes', () => {
+  test('single :root block yields only the default theme', () => {
+    const loaded = loadPalette(path.join(FIXTURES, 'variables.css'));
+    expect(Object.keys(loaded.themes)).toEqual([DEFAULT_THEME]);
+    expect(loaded.colors).toBe(loaded.themes[DEFAULT_THEME].colors);
+  });
+
+  test('splits :root, .dark and [data-theme] blocks', () => {
+    const loaded = loadCss('_test_themes.css', `
+      :root { --surface: #ffffff; --accent: #10b981; }
+      .dark { --surface: #0f172a; }
+      [data-theme="dim"] { --surface: #1e293b; }
+    `);
+    expect(Object.keys(loaded.themes)).toEqual(['default', 'dark', 'dim']);
+    expect(loaded.colors['--surface']).toBe('#ffffff');
+    expect(loaded.themes.dark.colors['--surface']).toBe('#0f172a');
+    expect(loaded.themes.dim.colors['--surface']).toBe('#1e293b');
+  });
+
+  test('themes inherit default tokens they do not override', () => {
+    const loaded = loadCss('_test_themes_inherit.css', `
+      :root { --accent: #10b981; --surface: #ffffff; }
+      .dark { --surface: #0f172a; }
+    `);
+    expect(loaded.themes.dark.colors['--accent']).toBe('#10b981');
+  });
+
+  test('prefers-color-scheme media queries name a theme', () => {
+    const loaded = loadCss('_test_themes_media.css', `
+      :root { --surface: #ffffff; }
+      @media (prefers-color-scheme: dark) {
+        :root:not(.light) { --surface: #0f172a; }
+      }
+    `);
+    expect(loaded.themes.dark.colors['--surface']).toBe('#0f172a');
+    expect(loaded.colors['--surface']).toBe('#ffffff');
+  });
+
+  test('selector lists apply to every theme they name', () => {
+    const loaded = loadCss('_test_themes_list.css', `
+      :root { --surface: #ffffff; }
+      .theme-dark, [data-theme='dark'] { --surface: #0f172a; }
+      :root, .light { --text: #111111; }
+    `);
+    expect(Object.keys(loaded.themes)).toEqual(['default', 'dark', 'light']);
+    expect(loaded.themes.light.colors['--text']).toBe('#111111');
+    expect(loaded.colors['--text']).toBe('#111111');
+  });
+
+  test('var() references resolve within the active theme', () => {
+    const loaded = loadCss('_test_themes_alias.css', `
+      :root { --white: #ffffff; --slate-900: #0f172a; --surface: var(--white); }
+      .dark { --surface: var(--slate-900); }
+    `);
+    expect(loaded.tokens['--surface'].aliasOf).toBe('--white');
+    expect(loaded.themes.dark.colors['--surface']).toBe('#0f172a');
+    expect(loaded.themes.dark.tokens['--surface'].aliasOf).toBe('--slate-900');
+  });
+
+  test('component selectors are neither themes nor palette tokens', () => {
+    const loaded = loadCss('_test_themes_component.css', `
+      :root { --surface: #ffffff; }
+      html.dark, :root[data-theme="dim"] { --surface: #0f172a; }
+      .card, nav a { --card-border: #e2e8f0; }
+      [data-theme="dark"] .card { --card-border: #334155; }
+      @media (min-width: 640px) { .card { --card-shadow: #00000033; } }
+    `);
+    expect(Object.keys(loaded.themes)).toEqual(['default', 'dark', 'dim']);
+    expect(loaded.colors['--card-border']).toBeUndefined();
+    expect(loaded.themes.dark.colors['--card-border']).toBeUndefined();
+    expect(loaded.colors['--card-shadow']).toBeUndefined();
+  });
+
+  test('ignores blocks without color tokens', () => {
+    const loaded = loadCss('_test_themes_nocolor.css', `
+      :root { --surface: #ffffff; }
+      .card { --radius: 4px; }
+    `);
+    expect(Object.keys(loaded.themes)).toEqual(['default']);
+  });
+
+  test('JSON files yield a single default theme', () => {
+    const file = path.join(FIXTURES, '_test_themes.json');
+    fs.writeFileSync(file, JSON.stringify({ primary: '#3b82f6' }));
+    try {
+      const loaded = loadPalette(file);
+      expect(Object.keys(loaded.themes)).toEqual([DEFAULT_THEME]);
+      expect(loaded.colors.primary).toBe('#3b82f6');
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+});
+
+describe('loadPalette with multiple files', () => {
+  const tmpDir = path.join(FIXTURES, '_test_multi_vars');
+  const primitives = path.join(tmpDir, 'primitives.css');
+  const semantic = path.join(tmpDir, 'semantic.css');
+  const brand = path.join(tmpDir, 'brand.json');
+
+  beforeAll(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(primitives, [
+      ':root {',
+      '  /* greens */',
+      '  --emerald-500: #10b981;',
+      '  --brand: #3b82f6;',
+      '}',
+      '',
+    ].join('\n'));
+    fs.writeFileSync(semantic, [
+      ':root {',
+      '  --bg-primary: var(--emerald-500);',
+      '  --brand: #2563eb;',
+      '}',
+      '',
+    ].join('\n'));
+    fs.writeFileSync(brand, JSON.stringify({
+      brand: { accent: '#f59e0b', 50: '#fffbeb' },
+    }, null, 2));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('later files take precedence', () => {
+    const loaded = loadPalette([primitives, semantic]);
+    expect(loaded.colors['--brand']).toBe('#2563eb');
+    expect(loaded.files).toEqual([primitives, semantic]);
+  });
+
+  test('var() references resolve across files', () => {
+    const loaded = loadPalette([primitives, semantic]);
+    expect(loaded.colors['--bg-primary']).toBe('#10b981');
+    expect(loaded.tokens['--bg-primary'].aliasOf).toBe('--emerald-500');
+  });
+
+  test('records the source file and line of each token', () => {
+    const loaded = loadPalette([primitives, semantic, brand]);
+    expect(loaded.tokens['--emerald-500']).toEqual({ file: primitives, line: 3 });
+    expect(loaded.tokens['--bg-primary']).toMatchObject({ file: semantic, line: 2 });
+    expect(loaded.tokens['brand.accent']).toEqual({ file: brand, line: 4 });
+    // integer-like keys come first in JSON.stringify output
+    expect(loaded.tokens['brand.50']).toEqual({ file: brand, line: 3 });
+  });
+
+  test('reports conflicting definitions across files', () => {
+    const loaded = loadPalette([primitives, semantic]);
+    expect(loaded.conflicts).toEqual([
+      {
+        name: '--brand',
+        theme: 'default',
+        definitions: [
+          { value: '#3b82f6', file: primitives, line: 4 },
+          { value: '#2563eb', file: semantic, line: 3 },
+        ],
+      },
+    ]);
+  });
+
+  test('identical definitions are not conflicts', () => {
+    const loaded = loadPalette([primitives, primitives]);
+    expect(loaded.conflicts).toEqual([]);
+  });
+
+  test('returns null when any file is missing', () => {
+    const errors = [];
+    const origErr = console.error;
+    console.error = (...args) => errors.push(args.join(' '));
+    try {
+      expect(loadPalette([primitives, path.join(tmpDir, 'missing.css')])).toBeNull();
+      expect(errors[0]).toContain('File not found');
+    } finally {
+      console.error = origErr;
+      process.exitCode = 0;
+    }
+  });
+});
@@ -0,0 +1,148 @@
+const path = require('node:path');
+const fs = require('node:fs');
+const {
+  blankLineComments,
+  parseScssDeclarations,
+  parseLessDeclarations,
+  preprocessorReference,
+  preprocessorSuggestion,
+} = require('../src/preprocessor-vars');
+const { loadPalette } = require('../src/palette');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const SCSS = [
+  '@use "sass:map";',
+  '// $commented: #000000;',
+  '$brand-primary: #10b981;',
+  '$accent: $brand-primary !default;',
+  '$colors: (',
+  '  primary: #3b82f6,',
+  '  "gray": (50: #f9fafb, 900: #111827),',
+  ');',
+  '$brand-primary: #059669 !default;',
+  '.button {',
+  '  $local: #ff0000;',
+  '  background: url(http://example.com/a.png);',
+  '}',
+  '',
+].join('\n');
+
+describe('parseScssDeclarations', () => {
+  const decls = parseScssDeclarations(SCSS, 'vars.scss');
+
+  test('reads top-level variables with their line', () => {
+    expect(decls['$brand-primary']).toEqual({
+      value: '#10b981',
+      file: 'vars.scss',
+      line: 3,
+      syntax: 'scss',
+    });
+    expect(decls.$accent.value).toBe('$brand-primary');
+  });
+
+  test('does not let !default override an earlier definition', () => {
+    expect(decls['$brand-primary'].value).toBe('#10b981');
+  });
+
+  test('flattens maps and nested maps into map.get() names', () => {
+    expect(decls['map.get($colors, primary)']).toMatchObject({ value: '#3b82f6', line: 6 });
+    expect(decls['map.get($colors, gray, 50)']).toMatchObject({ value: '#f9fafb', line: 7 });
+    expect(decls['map.get($colors, gray, 900)'].value).toBe('#111827');
+    expect(decls.$colors).toBeUndefined();
+  });
+
+  test('skips comments and variables inside blocks', () => {
+    expect(decls.$commented).toBeUndefined();
+    expect(decls.$local).toBeUndefined();
+  });
+
+  test('ends statements at line breaks in indented syntax', () => {
+    const sass = parseScssDeclarations('$a: #111111\n$b: $a\n', 'vars.sass', { indented: true });
+    expect(sass.$a.value).toBe('#111111');
+    expect(sass.$b).toMatchObject({ value: '$a', line: 2 });
+  });
+});
+
+describe('parseLessDeclarations', () => {
+  test('reads top-level @variables, last definition wins', () => {
+    const less = '@import "base";\n@brand: #10b981;\n@link: @brand;\n@brand: #059669;\n@media (min-width: 1px) { a { color: red; } }\n';
+    const decls = parseLessDeclarations(less, 'vars.less');
+    expect(decls['@brand']).toEqual({ value: '#059669', file: 'vars.less', line: 4, syntax: 'less' });
+    expect(decls['@link'].value).toBe('@brand');
+    expect(decls['@import']).toBeUndefined();
+    expect(decls['@media']).toBeUndefined();
+  });
+});
+
+describe('preprocessorReference', () => {
+  test('recognizes variable and map references', () => {
+    expect(preprocessorReference('$brand')).toBe('$brand');
+    expect(preprocessorReference('@brand')).toBe('@brand');
+    expect(preprocessorReference("map.get($colors, 'primary')")).toBe('map.get($colors, primary)');
+    expect(preprocessorReference('map-get($colors, gray, 50)')).toBe('map.get($colors, gray, 50)');
+    expect(preprocessorReference('#10b981')).toBeNull();
+    expect(preprocessorReference('darken($brand, 10%)')).toBeNull();
+  });
+});
+
+describe('preprocessorSuggestion', () => {
+  test('uses the token syntax in files of that syntax only', () => {
+    expect(preprocessorSuggestion('$brand', 'scss', 'a.scss', null)).toBe('$brand');
+    expect(preprocessorSuggestion('$brand', 'scss', 'a.sass', 1)).toBe('$brand');
+    expect(preprocessorSuggestion('@brand', 'less', 'a.less', null)).toBe('@brand');
+    expect(preprocessorSuggestion('$brand', 'scss', 'a.less', null)).toBeNull();
+    expect(preprocessorSuggestion('$brand', 'scss', 'App.tsx', null)).toBeNull();
+  });
+
+  test('applies alpha with rgba() or fade()', () => {
+    expect(preprocessorSuggestion('$brand', 'scss', 'a.scss', 0.4)).toBe('rgba($brand, 0.4)');
+    expect(preprocessorSuggestion('@brand', 'less', 'a.less', 0.4)).toBe('fade(@brand, 40%)');
+  });
+});
+
+describe('blankLineComments', () => {
+  test('keeps offsets and URLs', () => {
+    const text = 'a: 1; // note\nb: url(http://x.test/y);';
+    const blanked = blankLineComments(text);
+    expect(blanked.length).toBe(text.length);
+    expect(blanked).not.toContain('note');
+    expect(blanked).toContain('http://x.test/y');
+  });
+});
+
+describe('loadPalette with SCSS and Less files', () => {
+  const tmpDir = path.join(FIXTURES, '_test_preprocessor_palette');
+  const scss = path.join(tmpDir, 'vars.scss');
+  const less = path.join(tmpDir, 'vars.less');
+
+  beforeAll(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(scss, `${SCSS}:root {\n  --surface: $brand-primary;\n  --link: var(--surface);\n}\n`);
+    fs.writeFileSync(less, '@brand: #10b981;\n@link: @brand;\n');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('resolves aliases, map references and custom properties', () => {
+    const loaded = loadPalette(scss);
+    expect(loaded.colors.$accent).toBe('#10b981');
+    expect(loaded.colors['map.get($colors, gray, 50)']).toBe('#f9fafb');
+    expect(loaded.colors['--link']).toBe('#10b981');
+    expect(loaded.tokens.$accent).toEqual({
+      file: scss,
+      line: 4,
+      aliasOf: '$brand-primary',
+      syntax: 'scss',
+    });
+    expect(loaded.tokens['--surface'].syntax).toBeUndefined();
+  });
+
+  test('reads Less variables', () => {
+    const loaded = loadPalette(less);
+    expect(loaded.colors['@link']).toBe('#10b981');
+    expect(loaded.tokens['@link']).toMatchObject({ aliasOf: '@brand', syntax: 'less' });
+  });
+});
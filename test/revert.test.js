@@ -0,0 +1,127 @@
+const path = require('node:path');
+const fs = require('node:fs');
+const { compareVars } = require('../src/commands/compare-vars');
+const { revert } = require('../src/commands/revert');
+const { revertContent } = require('../src/fix-journal');
+const { captureOutput, useTmpDir } = require('./helpers');
+
+describe('revertContent', () => {
+  test('restores several replacements on one line', () => {
+    const edits = [
+      { line: 1, column: 9, original: '#000', replacement: 'var(--black)' },
+      { line: 1, column: 27, original: '#fff', replacement: 'var(--white)' },
+    ];
+    const fixed = 'border: var(--black); background: var(--white);';
+    expect(revertContent(fixed, edits)).toBe('border: #000; background: #fff;');
+  });
+
+  test('removes inserted lines before restoring replacements', () => {
+    const edits = [{ line: 2, column: 11, original: "'#000'", replacement: 'tokens.black' }];
+    const inserted = [{ line: 2, text: "import { tokens } from './tokens';" }];
+    const fixed = "import a from 'a';\nimport { tokens } from './tokens';\nconst c = tokens.black;";
+    expect(revertContent(fixed, edits, inserted)).toBe("import a from 'a';\nconst c = '#000';");
+    expect(revertContent(fixed, edits, [{ line: 1, text: 'import x' }])).toBeNull();
+  });
+
+  test('returns null when a replacement is not where recorded', () => {
+    const edits = [{ line: 1, column: 9, original: '#000', replacement: 'var(--black)' }];
+    expect(revertContent('border: #000;', edits)).toBeNull();
+  });
+});
+
+describe('revert command', () => {
+  const tmpDir = useTmpDir('_test_revert');
+  const vars = path.join(tmpDir, 'vars.css');
+  const styles = path.join(tmpDir, 'styles.css');
+  const other = path.join(tmpDir, 'other.css');
+  const journal = path.join(tmpDir, 'journal.json');
+  const source = '.a {\n  color: #10b981;\n  border: 1px solid #10b981;\n}\n';
+
+  beforeEach(() => {
+    fs.writeFileSync(vars, ':root {\n  --brand: #10b981;\n}\n');
+    fs.writeFileSync(styles, source);
+    fs.writeFileSync(other, '.b { color: #10b981; }\n');
+  });
+
+  function fix(paths) {
+    return captureOutput(() => {
+      compareVars(paths, { vars, format: 'text', exclude: [], fix: true, journal });
+    });
+  }
+
+  test('--fix records each edit with file hashes', () => {
+    const output = fix([styles]);
+    expect(output).toContain(`Undo with: hardcode-replacer revert ${journal}`);
+    const { runs } = JSON.parse(fs.readFileSync(journal, 'utf-8'));
+    expect(runs).toHaveLength(1);
+    const [entry] = runs[0].files;
+    expect(entry.file).toBe(styles);
+    expect(entry.hashBefore).toMatch(/^[0-9a-f]{64}$/);
+    expect(entry.hashAfter).not.toBe(entry.hashBefore);
+    expect(entry.edits).toEqual([
+      { line: 2, column: 10, original: '#10b981', replacement: 'var(--brand)' },
+      { line: 3, column: 21, original: '#10b981', replacement: 'var(--brand)' },
+    ]);
+  });
+
+  test('restores fixed files and deletes the journal', () => {
+    fix([styles, other]);
+    const output = captureOutput(() => revert(journal, { format: 'text' }));
+    expect(output).toContain('Reverted 3 edits in 2 files.');
+    expect(fs.readFileSync(styles, 'utf-8')).toBe(source);
+    expect(fs.readFileSync(other, 'utf-8')).toBe('.b { color: #10b981; }\n');
+    expect(fs.existsSync(journal)).toBe(false);
+  });
+
+  test('removes import lines added by the fix', () => {
+    const chart = path.join(tmpDir, 'chart.ts');
+    const chartSource = "import { Line } from 'charts';\nexport const stroke = '#10b981';\n";
+    fs.writeFileSync(chart, chartSource);
+    captureOutput(() => {
+      compareVars([chart], {
+        vars,
+        format: 'text',
+        exclude: [],
+        fix: true,
+        journal,
+        jsTemplate: 'tokens.{name}',
+        jsImport: "import { tokens } from './tokens';",
+      });
+    });
+    expect(fs.readFileSync(chart, 'utf-8')).toContain('export const stroke = tokens.brand;');
+    const output = captureOutput(() => revert(journal, { format: 'text' }));
+    expect(output).toContain('Reverted 1 edits in 1 files.');
+    expect(fs.readFileSync(chart, 'utf-8')).toBe(chartSource);
+  });
+
+  test('refuses files changed since the fix and keeps them in the journal', () => {
+    fix([styles, other]);
+    fs.appendFileSync(styles, '.c { color: red; }\n');
+    const output = captureOutput(() => revert(journal, { format: 'json' }));
+    const parsed = JSON.parse(output);
+    expect(parsed.reverted).toEqual([{ file: other, edits: 1 }]);
+    expect(parsed.refused).toEqual([{ file: styles, reason: 'changed since the fix' }]);
+    expect(process.exitCode).toBe(1);
+    expect(fs.readFileSync(styles, 'utf-8')).toContain('var(--brand)');
+    const { runs } = JSON.parse(fs.readFileSync(journal, 'utf-8'));
+    expect(runs[0].files.map((f) => f.file)).toEqual([styles]);
+  });
+
+  test('undoes successive runs newest first', () => {
+    const withAccent = `${source}.d { color: #3b82f6; }\n`;
+    fs.writeFileSync(styles, withAccent);
+    fix([styles]);
+    fs.writeFileSync(vars, ':root {\n  --brand: #10b981;\n  --accent: #3b82f6;\n}\n');
+    fix([styles]);
+    expect(JSON.parse(fs.readFileSync(journal, 'utf-8')).runs).toHaveLength(2);
+    const output = captureOutput(() => revert(journal, { format: 'text' }));
+    expect(output).toContain('Reverted 3 edits in 2 files.');
+    expect(fs.readFileSync(styles, 'utf-8')).toBe(withAccent);
+  });
+
+  test('reports a missing journal', () => {
+    const output = captureOutput(() => revert(path.join(tmpDir, 'missing.json'), { format: 'text' }));
+    expect(output).toContain('Error: Journal not found');
+    expect(process.exitCode).toBe(1);
+  });
+});
@@ -0,0 +1,118 @@
+const path = require('node:path');
+const fs = require('node:fs');
+const { Readable, Writable } = require('node:stream');
+const { compareVars } = require('../src/commands/compare-vars');
+const { parseAnswer } = require('../src/review');
+const { captureOutputAsync, useTmpDir } = require('./helpers');
+
+// Terminal stand-in: scripted answers in, prompts collected
+function terminal(answers) {
+  const prompts = [];
+  return {
+    prompts,
+    input: Readable.from(answers.map((a) => `${a}\n`)),
+    output: new Writable({
+      write(chunk, _encoding, done) {
+        prompts.push(chunk.toString());
+        done();
+      },
+    }),
+  };
+}
+
+describe('parseAnswer', () => {
+  const candidates = [{ suggestion: 'var(--a)' }, { suggestion: 'var(--b)' }];
+
+  test('accepts the best candidate or a numbered one', () => {
+    expect(parseAnswer('', candidates)).toEqual({ type: 'accept', candidate: candidates[0] });
+    expect(parseAnswer('a', candidates).candidate).toBe(candidates[0]);
+    expect(parseAnswer('2', candidates).candidate).toBe(candidates[1]);
+  });
+
+  test('skips, ignores, quits and rejects unknown answers', () => {
+    expect(parseAnswer('s', candidates)).toEqual({ type: 'skip' });
+    expect(parseAnswer('i', candidates)).toEqual({ type: 'ignore' });
+    expect(parseAnswer('q', candidates)).toEqual({ type: 'quit' });
+    expect(parseAnswer('3', candidates)).toBeNull();
+    expect(parseAnswer('x', candidates)).toBeNull();
+    expect(parseAnswer('', [])).toEqual({ type: 'skip' });
+  });
+});
+
+describe('compareVars --interactive', () => {
+  const tmpDir = useTmpDir('_test_interactive');
+  const vars = path.join(tmpDir, 'vars.css');
+  const styles = path.join(tmpDir, 'styles.css');
+  const configPath = path.join(tmpDir, '.hardcode-replacerrc.json');
+  const journal = path.join(tmpDir, 'journal.json');
+
+  beforeEach(() => {
+    fs.writeFileSync(vars, ':root {\n  --slate-600: #475569;\n  --slate-500: #64748b;\n}\n');
+    fs.writeFileSync(styles, [
+      '.a { color: #4b5563; }',
+      '.b { color: #475570; }',
+      '.c { border-color: #ff0000; }',
+      '.d { color: #10b981; }',
+      '',
+    ].join('\n'));
+    fs.writeFileSync(configPath, '{}\n');
+  });
+
+  function review(answers, extra = {}) {
+    const io = terminal(answers);
+    const output = captureOutputAsync(() =>
+      compareVars([tmpDir], {
+        vars,
+        format: 'text',
+        exclude: [],
+        journal,
+        interactive: true,
+        input: io.input,
+        output: io.output,
+        ...extra,
+      })
+    );
+    return output.then((text) => ({ text, prompts: io.prompts.join('') }));
+  }
+
+  test('shows each color with ranked candidate tokens', async () => {
+    const { prompts } = await review(['q']);
+    expect(prompts).toContain('[1/4] ');
+    expect(prompts).toContain('.a { color: #4b5563; }');
+    expect(prompts).toMatch(/1\) --slate-600 {2}#475569 {2}dE=[\d.]+ {2}-> var\(--slate-600\)\n {2}2\) --slate-500/);
+  });
+
+  test('applies accepted and picked tokens in one pass', async () => {
+    const { text } = await review(['', '2', 's', 's']);
+    expect(text).toContain('Applied 2 reviewed replacements.');
+    const lines = fs.readFileSync(styles, 'utf-8').split('\n');
+    expect(lines[0]).toBe('.a { color: var(--slate-600); }');
+    expect(lines[1]).toBe('.b { color: var(--slate-500); }');
+    expect(lines[2]).toBe('.c { border-color: #ff0000; }');
+    expect(JSON.parse(fs.readFileSync(journal, 'utf-8')).runs).toHaveLength(1);
+  });
+
+  test('saves ignored colors to the config and skips them next time', async () => {
+    await review(['s', 's', 'i', 'q']);
+    const { ignore } = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    expect(ignore).toEqual([{ file: 'styles.css', value: '#ff0000', text: '.c { border-color: #ff0000; }' }]);
+
+    const { prompts } = await review(['q'], {
+      ignore: [{ file: styles, value: '#ff0000', text: '.c { border-color: #ff0000; }' }],
+    });
+    expect(prompts).toContain('[1/3] ');
+    expect(prompts).not.toContain('#ff0000');
+  });
+
+  test('prints a diff instead of writing with --dry-run', async () => {
+    const before = fs.readFileSync(styles, 'utf-8');
+    const { text } = await review(['a'], { dryRun: true });
+    expect(text).toContain('+.a { color: var(--slate-600); }');
+    expect(fs.readFileSync(styles, 'utf-8')).toBe(before);
+  });
+
+  test('cannot be combined with --fix', async () => {
+    const { text } = await review([], { fix: true });
+    expect(text).toContain('Error: --fix and --interactive are separate runs');
+  });
+});
@@ -0,0 +1,111 @@
+const path = require('node:path');
+const fs = require('node:fs');
+const {
+  readV4Theme,
+  parseTailwindV4Theme,
+  findV4EntryPoints,
+  detectTailwindVersion,
+  tailwindV4Utility,
+  themeUtilityClass,
+} = require('../src/tailwind-colors');
+const { loadPalette } = require('../src/palette');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const V4_CSS = `@import "tailwindcss";
+
+@theme {
+  --color-*: initial;
+  --color-white: #ffffff;
+  --color-brand: oklch(0.7 0.1 160);
+  --font-sans: "Inter", sans-serif;
+  @keyframes spin { to { transform: rotate(360deg); } }
+  --color-danger: #ef4444;
+}
+
+@theme inline {
+  --color-primary: var(--primary);
+  --color-*: initial;
+  --color-surface: var(--surface);
+}
+
+:root {
+  --primary: #10b981;
+  --surface: #ffffff;
+}
+
+.dark {
+  --surface: #0f172a;
+}
+`;
+
+describe('readV4Theme', () => {
+  test('reads @theme, @theme inline and nested blocks', () => {
+    const { variables } = readV4Theme(V4_CSS);
+    expect(Object.keys(variables)).toEqual(['--font-sans', '--color-surface']);
+    expect(variables['--color-surface']).toMatchObject({ value: 'var(--surface)', inline: true });
+  });
+
+  test('reports variables removed by namespace resets', () => {
+    const { removed } = readV4Theme(V4_CSS);
+    expect([...removed].sort()).toEqual(['--color-brand', '--color-danger', '--color-primary', '--color-white']);
+  });
+
+  test('parseTailwindV4Theme returns raw values', () => {
+    const colors = parseTailwindV4Theme('@theme static { --color-brand: #10b981; --color-accent: oklch(0.7 0.1 160) }');
+    expect(colors).toEqual({ '--color-brand': '#10b981', '--color-accent': 'oklch(0.7 0.1 160)' });
+  });
+});
+
+describe('tailwindV4Utility', () => {
+  test('turns arbitrary value classes into theme utilities', () => {
+    const usage = { text: '<a className="hover:bg-[#10b981]/40">', column: 25, value: '#10b981' };
+    expect(tailwindV4Utility('--color-primary', usage, 0.4)).toBe('bg-primary/40');
+    expect(tailwindV4Utility('--color-primary', { text: 'color: #10b981;', column: 8, value: '#10b981' }, null)).toBeNull();
+  });
+});
+
+describe('themeUtilityClass', () => {
+  test('names theme colors and wraps other CSS variables', () => {
+    expect(themeUtilityClass('bg', 'brand-500', { syntax: 'tailwind' }, 3)).toEqual({ className: 'bg-brand-500', themed: true });
+    expect(themeUtilityClass('text', '--color-primary', { syntax: 'tailwind-v4' }, 4).className).toBe('text-primary');
+    expect(themeUtilityClass('bg', '--primary', { file: 'a.css' }, 4)).toEqual({ className: 'bg-(--primary)', themed: false });
+    expect(themeUtilityClass('bg', '--primary', { file: 'a.css' }, 3).className).toBe('bg-[var(--primary)]');
+  });
+
+  test('skips tokens a class cannot reference', () => {
+    expect(themeUtilityClass('bg', '$brand', { syntax: 'scss' }, 3)).toBeNull();
+    expect(themeUtilityClass('bg', 'colors.brand', { syntax: 'js' }, 3)).toBeNull();
+  });
+});
+
+describe('Tailwind v4 entry points', () => {
+  const tmpDir = path.join(FIXTURES, '_test_tailwind_v4');
+  const entry = path.join(tmpDir, 'globals.css');
+
+  beforeAll(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(entry, V4_CSS);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('finds @theme entry points in directories', () => {
+    expect(findV4EntryPoints([tmpDir])).toEqual([entry]);
+    expect(detectTailwindVersion([tmpDir])).toBe(4);
+  });
+
+  test('loads @theme colors with resets applied, per theme', () => {
+    const loaded = loadPalette(entry);
+    expect(loaded.colors['--color-white']).toBeUndefined();
+    expect(loaded.colors['--color-surface']).toBe('#ffffff');
+    expect(loaded.themes.dark.colors['--color-surface']).toBe('#0f172a');
+    expect(loaded.tokens['--color-surface']).toMatchObject({
+      syntax: 'tailwind-v4',
+      reference: '--surface',
+    });
+    expect(loaded.tokens['--surface'].syntax).toBeUndefined();
+  });
+});
@@ -0,0 +1,130 @@
+const path = require('node:path');
+const fs = require('node:fs');
+const {
+  isTailwindConfig,
+  parseTailwindConfigDeclarations,
+  tailwindSuggestion,
+} = require('../src/tailwind-config');
+const { loadPalette } = require('../src/palette');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const CONFIG = `const colors = require('tailwindcss/colors');
+const plugin = require('tailwindcss/plugin');
+
+module.exports = {
+  content: ['./src/**/*.tsx'],
+  theme: {
+    colors: {
+      white: '#ffffff',
+      gray: colors.gray,
+      brand: {
+        DEFAULT: '#3b82f6',
+        500: '#10b981',
+      },
+    },
+    extend: {
+      colors: {
+        brand: { 900: '#1e3a8a' },
+        danger: '#ef4444',
+      },
+    },
+  },
+  plugins: [plugin(() => null)],
+};
+`;
+
+describe('isTailwindConfig', () => {
+  test('recognizes config file names', () => {
+    expect(isTailwindConfig('/app/tailwind.config.js')).toBe(true);
+    expect(isTailwindConfig('tailwind.config.ts')).toBe(true);
+    expect(isTailwindConfig('tailwind.config.mjs')).toBe(true);
+    expect(isTailwindConfig('theme.js')).toBe(false);
+  });
+});
+
+describe('parseTailwindConfigDeclarations', () => {
+  const decls = parseTailwindConfigDeclarations(CONFIG, 'tailwind.config.js');
+
+  test('reads theme.colors and theme.extend.colors by Tailwind name', () => {
+    expect(Object.keys(decls).sort()).toEqual(['brand', 'brand-500', 'brand-900', 'danger', 'white']);
+    expect(decls.brand).toMatchObject({
+      value: '#3b82f6',
+      line: 11,
+      syntax: 'tailwind',
+      reference: 'colors.brand.DEFAULT',
+    });
+    expect(decls['brand-900']).toMatchObject({ reference: 'colors.brand.900', line: 17 });
+  });
+
+  test('reads the function form and ES module configs', () => {
+    const esm = `import plugin from 'tailwindcss/plugin';
+import type { Config } from 'tailwindcss';
+
+export default {
+  theme: {
+    extend: {
+      colors: ({ colors }) => ({ primary: '#10b981', inherit: colors.inherit }),
+    },
+  },
+} satisfies Config;
+`;
+    const esmDecls = parseTailwindConfigDeclarations(esm, 'tailwind.config.ts');
+    expect(Object.keys(esmDecls)).toEqual(['primary']);
+    expect(esmDecls.primary.value).toBe('#10b981');
+  });
+
+  test('runs the config away from this process', () => {
+    const config = `const { execSync } = require('child_process');
+module.exports = { theme: { colors: { brand: '#3b82f6', shell: execSync('echo #000000') } } };
+`;
+    expect(Object.keys(parseTailwindConfigDeclarations(config, 'tailwind.config.js'))).toEqual(['brand']);
+    const breakout = "this.constructor.constructor('globalThis.configRan = true')();\nmodule.exports = {};\n";
+    expect(() => parseTailwindConfigDeclarations(breakout, 'tailwind.config.js')).toThrow();
+    expect(globalThis.configRan).toBeUndefined();
+  });
+});
+
+describe('tailwindSuggestion', () => {
+  const match = { name: 'brand-500', reference: 'colors.brand.500' };
+
+  test('uses theme() in stylesheets', () => {
+    expect(tailwindSuggestion(match, { file: 'a.css', text: '', column: 1, value: '#10b981' }))
+      .toBe("theme('colors.brand.500')");
+    expect(tailwindSuggestion(match, { file: 'a.scss', text: '', column: 1, value: '#10b981', alpha: 0.4 }))
+      .toBe("theme('colors.brand.500 / 40%')");
+  });
+
+  test('uses utility classes in arbitrary value classes', () => {
+    const text = '<div className="p-4 hover:bg-[#10b981]/40">';
+    expect(tailwindSuggestion(match, { file: 'a.tsx', text, column: 30, value: '#10b981', alpha: 0.4 }))
+      .toBe('bg-brand-500/40');
+  });
+
+  test('suggests nothing where a class cannot replace the color', () => {
+    expect(tailwindSuggestion(match, { file: 'a.tsx', text: "style={{ color: '#10b981' }}", column: 18, value: '#10b981', cssProp: 'color' }))
+      .toBeNull();
+    expect(tailwindSuggestion(match, { file: 'theme.ts', text: "  stroke: '#10b981',", column: 12, value: '#10b981', cssProp: 'stroke' }))
+      .toBeNull();
+  });
+});
+
+describe('loadPalette with tailwind.config', () => {
+  const tmpDir = path.join(FIXTURES, '_test_tailwind_config');
+  const config = path.join(tmpDir, 'tailwind.config.js');
+
+  beforeAll(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(config, CONFIG);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('loads config colors with their reference', () => {
+    const loaded = loadPalette(config);
+    expect(loaded.colors['brand-500']).toBe('#10b981');
+    expect(loaded.tokens['brand-500']).toMatchObject({ syntax: 'tailwind', reference: 'colors.brand.500' });
+  });
+});
@@ -0,0 +1,108 @@
+const path = require('node:path');
+const fs = require('node:fs');
+const { tokenUsage } = require('../src/commands/token-usage');
+const { captureOutput, useTmpDir } = require('./helpers');
+
+describe('token-usage command', () => {
+  const tmpDir = useTmpDir('_test_token_usage');
+  const srcDir = path.join(tmpDir, 'src');
+
+  function write(file, content) {
+    const filePath = path.join(tmpDir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  function run(vars, options) {
+    return captureOutput(() => {
+      tokenUsage([srcDir], { vars: [vars], format: 'json', exclude: [], ...options });
+    });
+  }
+
+  const usesOf = (parsed) => Object.fromEntries(parsed.tokens.map((t) => [t.name, [t.references, t.viaAliases]]));
+
+  test('counts var() references, aliases toward their primitives', () => {
+    const vars = write(
+      'vars.css',
+      ':root {\n  --blue-500: #3b82f6;\n  --red-500: #ef4444;\n  --bg-primary: var(--blue-500);\n}\n'
+    );
+    const styles = write(
+      'src/a.css',
+      '.a { background: var(--bg-primary); }\n/* .b { color: var(--red-500); } */\n.c { --local: var(--blue-500); }\n'
+    );
+    write('src/b.tsx', "const style = { color: 'var(--bg-primary)' };\n");
+
+    const parsed = JSON.parse(run(vars));
+    expect(parsed.summary).toEqual({ tokens: 3, used: 2, unused: 1, references: 3 });
+    expect(usesOf(parsed)).toEqual({ '--blue-500': [1, 2], '--red-500': [0, 0], '--bg-primary': [2, 0] });
+    expect(parsed.unused).toEqual(['--red-500']);
+    expect(parsed.tokens[0].files).toEqual([styles, path.join(srcDir, 'b.tsx')].sort());
+  });
+
+  test('credits every alias along a var() chain', () => {
+    const vars = write(
+      'vars.css',
+      ':root {\n  --red-500: #ef4444;\n  --danger: var(--red-500);\n  --error: var(--danger);\n  --warning: #f59e0b;\n}\n'
+    );
+    write('src/a.css', '.a { color: var(--error); }\n');
+    const parsed = JSON.parse(run(vars));
+    expect(usesOf(parsed)).toEqual({
+      '--red-500': [0, 1],
+      '--danger': [0, 1],
+      '--error': [1, 0],
+      '--warning': [0, 0],
+    });
+    expect(parsed.unused).toEqual(['--warning']);
+  });
+
+  test('counts SCSS variables, Sass map entries and JS theme accesses', () => {
+    const scss = write('_vars.scss', '$brand: #10b981;\n$accent: $brand;\n$colors: (gray: (50: #f9fafb, 900: #111827));\n');
+    write('src/a.scss', ".a { color: rgba($accent, 0.4); background: map.get($colors, 'gray', 50); }\n");
+    expect(usesOf(JSON.parse(run(scss)))).toEqual({
+      $brand: [0, 1],
+      $accent: [1, 0],
+      'map.get($colors, gray, 50)': [1, 0],
+      'map.get($colors, gray, 900)': [0, 0],
+    });
+
+    const ts = write('theme.ts', "export const theme = { colors: { emerald: { 500: '#10b981', 600: '#059669' } } };\n");
+    fs.rmSync(srcDir, { recursive: true });
+    write('src/c.tsx', "const a = theme.colors.emerald[500];\nconst b = theme?.colors['emerald']['500'];\n");
+    expect(usesOf(JSON.parse(run(ts)))).toEqual({
+      'theme.colors.emerald.500': [2, 0],
+      'theme.colors.emerald.600': [0, 0],
+    });
+  });
+
+  test('counts Tailwind classes, @apply and theme() references', () => {
+    const theme = write(
+      'src/theme.css',
+      '@import "tailwindcss";\n@theme {\n  --color-primary: #10b981;\n  --color-brand-500: #3b82f6;\n  --color-unused: #ef4444;\n}\n.btn { @apply bg-primary/50 hover:text-brand-500; }\n.x { color: theme(colors.brand.500); }\n'
+    );
+    write('src/c.tsx', 'const b = <div className="border-brand-500 text-primary" />;\n');
+    expect(usesOf(JSON.parse(run(theme)))).toEqual({
+      '--color-primary': [2, 0],
+      '--color-brand-500': [3, 0],
+      '--color-unused': [0, 0],
+    });
+
+    fs.rmSync(srcDir, { recursive: true });
+    const config = write(
+      'tailwind.config.js',
+      "module.exports = { theme: { extend: { colors: { brand: { DEFAULT: '#3b82f6', 500: '#10b981' } } } } };\n"
+    );
+    write('src/d.css', ".d { @apply text-brand; color: theme('colors.brand.500'); }\n");
+    expect(usesOf(JSON.parse(run(config)))).toEqual({ brand: [1, 0], 'brand-500': [1, 0] });
+  });
+
+  test('--unused lists only the tokens without references', () => {
+    const vars = write('vars.css', ':root {\n  --used: #3b82f6;\n  --dead: #ef4444;\n}\n');
+    write('src/a.css', '.a { color: var(--used); }\n');
+    const output = run(vars, { format: 'text', unused: true });
+    expect(output).toContain('2 tokens in');
+    expect(output).toContain('1 used, 1 unused (1 references)');
+    expect(output).toContain(`--dead #ef4444  ${vars}:3`);
+    expect(output).not.toContain('--- USED');
+  });
+});